@@ -5,8 +5,22 @@
  */
 
 import CONFIG from './modules/config.js';
-import { loadRecipeData, prepareRecipes } from './modules/data-loader.js';
-import { searchRecipes } from './modules/recipe-search.js';
+import { loadRecipeData, loadKnowledgeBase, prepareRecipes } from './modules/data-loader.js';
+import { 
+    rankSearchResults, 
+    getResultPage, 
+    findSearchMatches, 
+    generateSearchSuggestions, 
+    getUserSortOptions, 
+    preprocessSearchQuery, 
+    buildRankingSeed, 
+    getRankingConfig 
+} from './modules/recipe-search.js';
+import { buildSearchIndex } from './modules/search-index.js';
+import { parseSearchQuery, getCompletionContext, applyCompletion } from './modules/query-parser.js';
+import { createFacetState, updateFacetState, getFacetFilters, computeFacets } from './modules/facets.js';
+import { recordSearchEvent } from './modules/search-history.js';
+import { recordImpression, recordImageLoad } from './modules/impressions.js';
 import { 
     checkExistingUser, 
     registerUser, 
@@ -15,14 +29,27 @@ import {
     loginUser,
     exportUserData
 } from './modules/user-manager.js';
+import { endSession, getCurrentSessionId } from './modules/session-manager.js';
+import { getArmDisplay, isUserSortEnabled, isExplorationMode } from './modules/experiment.js';
+import { logInteraction } from './modules/interaction-logger.js';
+import { compareRecipes } from './modules/xai-explainer.js';
 import { 
     generateSearchResults, 
+    generateResultCards,
+    generateLoadMore,
     generateUserInfo, 
     generateRecipeDetailsModal,
+    generateRecipeComparisonModal,
     generateSelectionConfirmation,
-    generateAndDisplayXAI
+    generateAndDisplayXAI,
+    generateQueryErrors,
+    generateFacetPanel,
+    generateSearchSuggestionList,
+    generateSortOptions,
+    stepServingsMultiplier
 } from './modules/ui-components.js';
 import { getUserChoiceStats } from './modules/analytics.js';
+import { debounce } from './utils/helpers.js';
 
 /**
  * Eco-Score Recept Kutató Rendszer alkalmazás
@@ -33,10 +60,24 @@ class EcoScoreRecipeApp {
      */
     constructor() {
         this.recipes = [];
+        this.searchIndex = null;
         this.currentUser = null;
         this.testGroup = null;
         this.searchStartTime = null;
+        this.currentSearchId = null;
+        this.currentOriginSearchId = null;
+        this.currentRankingSeed = null;
+        this.currentQuery = null;
+        this.rankedResults = [];
+        this.currentPage = null;
+        this.userSort = null;
+        this.facetState = createFacetState();
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.suggestionContext = null;
+        this.suggestionsDismissedFor = null;
         this.currentRecipeDetails = null;
+        this.compareSelection = null;
         this.abortController = new AbortController();
         
         // Alkalmazás inicializálása async módon
@@ -65,10 +106,18 @@ class EcoScoreRecipeApp {
                 configKeys: Object.keys(CONFIG)
             });
             
-            // Adatok betöltése
-            const rawData = await loadRecipeData();
+            // Adatok betöltése (a tudásbázis a receptek előkészítése előtt kell)
+            const [rawData, knowledgeBaseVersion] = await Promise.all([loadRecipeData(), loadKnowledgeBase()]);
             this.recipes = prepareRecipes(rawData);
             
+            // Tudásbázis nélkül a tényezők semlegesek és nincs javaslat: ezt jelezni kell
+            if (!knowledgeBaseVersion) {
+                this.showError('A hozzávaló tudásbázis nem tölthető be, ezért a fenntarthatósági tényezők és a helyettesítési javaslatok nem érhetők el.');
+            }
+            
+            // Keresési index (fuzzy szomszédokkal) előre, hogy a keresés ne teljes pontozás legyen
+            this.searchIndex = buildSearchIndex(this.recipes, { precomputeFuzzy: true });
+            
             // Event listenerek beállítása
             this.setupEventListeners();
             
@@ -101,19 +150,39 @@ class EcoScoreRecipeApp {
             searchBtn.addEventListener('click', this.handleSearch.bind(this), { signal });
         }
         
-        // Keresési input - Enter billentyű
+        // Keresési input - automatikus kiegészítés és billentyűzet (Enter = keresés)
         const searchInput = document.getElementById('ingredient-search');
         if (searchInput) {
-            searchInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.handleSearch();
-                }
-            }, { signal });
+            const updateSuggestions = debounce(() => this.updateSuggestions(), CONFIG.SEARCH.DEBOUNCE_DELAY);
+            searchInput.addEventListener('input', updateSuggestions, { signal });
+            searchInput.addEventListener('keydown', this.handleSearchKeydown.bind(this), { signal });
+            searchInput.addEventListener('blur', () => this.closeSuggestions(), { signal });
+        }
+        
+        // Javaslat kiválasztása egérrel (mousedown, hogy a mező ne veszítse el a fókuszt)
+        const suggestionList = document.getElementById('search-suggestions');
+        if (suggestionList) {
+            suggestionList.addEventListener('mousedown', this.handleSuggestionMousedown.bind(this), { signal });
         }
         
         // Globális click handler
         document.addEventListener('click', this.handleClick.bind(this), { signal });
         
+        // Felhasználói rendezés (csak ahol a sorrend nem kísérleti manipuláció)
+        const sortSelect = document.getElementById('result-sort');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', this.handleSortChange.bind(this), { signal });
+        }
+        
+        // Szűrőpanel: módosítás után új keresés, húzás közben csak a kiírt érték frissül
+        document.addEventListener('change', this.handleFacetChange.bind(this), { signal });
+        document.addEventListener('input', this.handleFacetInput.bind(this), { signal });
+        
+        // Hibás receptképek cseréje helyettesítőre, a betöltés naplózása (az error és
+        // a load esemény nem buborékol)
+        document.addEventListener('error', this.handleImageError.bind(this), { capture: true, signal });
+        document.addEventListener('load', this.handleImageLoad.bind(this), { capture: true, signal });
+        
         // Új keresés gomb
         const newSearchBtn = document.getElementById('new-search-btn');
         if (newSearchBtn) {
@@ -166,6 +235,12 @@ class EcoScoreRecipeApp {
             this.showRecipeDetails(recipeId);
         }
         
+        // Két recept összehasonlítása (az első kattintás kijelöl, a második megnyitja)
+        if (target.classList.contains('compare-recipe-btn')) {
+            event.preventDefault();
+            this.handleCompareClick(target);
+        }
+        
         // Modal bezárás
         if (target.classList.contains('modal-close') || target.classList.contains('modal-backdrop')) {
             event.preventDefault();
@@ -187,6 +262,200 @@ class EcoScoreRecipeApp {
             const recipeId = target.dataset.recipeId;
             this.showAlternatives(recipeId);
         }
+        
+        // Adagszorzó léptetése a részletek ablakban
+        if (target.classList.contains('servings-decrease') || target.classList.contains('servings-increase')) {
+            event.preventDefault();
+            const section = target.closest('.ingredient-section');
+            const direction = target.classList.contains('servings-increase') ? 1 : -1;
+            const multiplier = stepServingsMultiplier(section, direction);
+            
+            if (multiplier !== null) {
+                logInteraction('servings_change', { recipeId: section.dataset.recipeId, multiplier });
+            }
+        }
+        
+        // Következő találati oldal betöltése
+        if (target.classList.contains('load-more-btn')) {
+            event.preventDefault();
+            this.loadMoreResults();
+        }
+        
+        // Szűrők törlése
+        if (target.classList.contains('facet-reset')) {
+            event.preventDefault();
+            this.applyFacetChange('reset', null, false, createFacetState());
+        }
+    }
+    
+    /**
+     * Szűrőpanel módosítás kezelése
+     * 
+     * @param {Event} event - Change esemény
+     */
+    handleFacetChange(event) {
+        const input = event.target;
+        
+        if (!input.classList?.contains('facet-input')) {
+            return;
+        }
+        
+        const facet = input.dataset.facet;
+        
+        if (input.type === 'checkbox') {
+            this.applyFacetChange(facet, input.value, input.checked);
+            return;
+        }
+        
+        // Tartomány: a két csúszka együtt adja az értéket
+        const fieldset = input.closest('.facet-range');
+        const range = ['min', 'max'].map(bound => 
+            Number(fieldset?.querySelector(`.facet-input[data-bound="${bound}"]`)?.value));
+        this.applyFacetChange(facet, range, true);
+    }
+    
+    /**
+     * Rendezés módosítás kezelése: új sorrend és naplózás
+     * 
+     * @param {Event} event - Change esemény
+     */
+    handleSortChange(event) {
+        if (!isUserSortEnabled(this.testGroup)) {
+            return;
+        }
+        
+        const previousSort = this.userSort;
+        this.userSort = event.target.value;
+        
+        try {
+            const firstPage = this.currentQuery ? this.runSearch(this.currentQuery, 'sort') : null;
+            
+            logInteraction('sort_change', {
+                from: previousSort,
+                to: this.userSort,
+                exploration: isExplorationMode(),
+                query: this.currentQuery,
+                searchId: this.currentSearchId,
+                resultsCount: firstPage?.totalResults ?? null
+            });
+        } catch (error) {
+            console.error('❌ Rendezési hiba:', error);
+            this.showError('Hiba történt a találatok rendezése során.');
+        }
+    }
+    
+    /**
+     * Rendezés vezérlő megjelenítése vagy elrejtése a csoport szerint
+     */
+    updateSortControl() {
+        const control = document.getElementById('sort-control');
+        const select = document.getElementById('result-sort');
+        const enabled = isUserSortEnabled(this.testGroup);
+        
+        // Felfedezés módban alapból relevancia; a kísérleti karokban a csoport sorrendje
+        this.userSort = enabled ? (this.userSort || 'relevance') : null;
+        
+        if (!control || !select) {
+            return;
+        }
+        
+        select.innerHTML = enabled ? generateSortOptions(getUserSortOptions(), this.userSort) : '';
+        select.disabled = !enabled;
+        control.classList.toggle('hidden', !enabled);
+    }
+    
+    /**
+     * Tartomány csúszka aktuális értékének kiírása húzás közben
+     * 
+     * @param {Event} event - Input esemény
+     */
+    handleFacetInput(event) {
+        const input = event.target;
+        
+        if (!input.classList?.contains('facet-input') || input.type !== 'range') {
+            return;
+        }
+        
+        const output = input.closest('.facet-range')
+            ?.querySelector(`.facet-range-value[data-bound="${input.dataset.bound}"]`);
+        if (output) {
+            output.textContent = input.value;
+        }
+    }
+    
+    /**
+     * Szűrő alkalmazása: állapot frissítése, keresés újrafuttatása és naplózás
+     * 
+     * @param {string} facet - Szűrő neve ('reset' az összes törlésénél)
+     * @param {*} value - Szűrő értéke
+     * @param {boolean} selected - Kijelölés
+     * @param {Object|null} nextState - Kész új állapot (törlésnél)
+     */
+    applyFacetChange(facet, value, selected, nextState = null) {
+        if (!this.currentQuery) {
+            return;
+        }
+        
+        try {
+            this.facetState = nextState || updateFacetState(this.facetState, facet, value, selected);
+            const firstPage = this.runSearch(this.currentQuery, 'facet');
+            
+            // Szűrőhasználat naplózása (a teszt csoport a munkamenetből kerül az eseménybe)
+            logInteraction('facet_change', {
+                facet,
+                value,
+                selected,
+                filters: getFacetFilters(this.facetState),
+                query: this.currentQuery,
+                searchId: this.currentSearchId,
+                resultsCount: firstPage.totalResults
+            });
+        } catch (error) {
+            console.error('❌ Szűrő alkalmazási hiba:', error);
+            this.showError('Hiba történt a szűrő alkalmazása során.');
+        }
+    }
+    
+    /**
+     * Betöltési hibás receptkép cseréje helyettesítőre
+     * 
+     * @param {Event} event - Error esemény
+     */
+    handleImageError(event) {
+        const image = event.target;
+        const container = image?.closest?.('.recipe-image');
+        
+        if (!container || image.tagName !== 'IMG') {
+            return;
+        }
+        
+        container.classList.add('recipe-image-placeholder');
+        container.innerHTML = `<span>${container.dataset.placeholderIcon || '🍽️'}</span>`;
+        
+        if (container.classList.contains('recipe-image-card')) {
+            recordImageLoad(this.currentSearchId, container.dataset.recipeId, false);
+        }
+        
+        logInteraction('image_error', {
+            recipeId: container.dataset.recipeId,
+            src: image.getAttribute('src')
+        });
+    }
+    
+    /**
+     * Találati kártya képének betöltése: az impresszió imageLoaded mezőjébe kerül
+     * 
+     * @param {Event} event - Load esemény
+     */
+    handleImageLoad(event) {
+        const image = event.target;
+        const container = image?.closest?.('.recipe-image-card');
+        
+        if (!container || image.tagName !== 'IMG') {
+            return;
+        }
+        
+        recordImageLoad(this.currentSearchId, container.dataset.recipeId, true);
     }
     
     /**
@@ -199,9 +468,10 @@ class EcoScoreRecipeApp {
         
         const formData = new FormData(event.target);
         const email = formData.get('email');
+        const attributes = this.getRegistrationAttributes(formData);
         
         try {
-            this.currentUser = registerUser(email);
+            this.currentUser = registerUser(email, attributes);
             this.testGroup = this.currentUser.testGroup;
             
             // Felhasználói interfész frissítése
@@ -216,6 +486,26 @@ class EcoScoreRecipeApp {
         }
     }
     
+    /**
+     * Rétegzéshez használt attribútumok kiolvasása a regisztrációs űrlapból
+     * Csak a konfigurált (STRATIFY_BY) és kitöltött mezők kerülnek be.
+     * 
+     * @param {FormData} formData - Űrlap adatai
+     * @returns {Object} Attribútumok (pl. { ageGroup, diet })
+     */
+    getRegistrationAttributes(formData) {
+        const attributes = {};
+        
+        (CONFIG.EXPERIMENT?.STRATIFY_BY || []).forEach(field => {
+            const value = formData.get(field);
+            if (value) {
+                attributes[field] = value;
+            }
+        });
+        
+        return attributes;
+    }
+    
     /**
      * Meglévő felhasználó ellenőrzése
      */
@@ -247,6 +537,8 @@ class EcoScoreRecipeApp {
             userInfoContainer.innerHTML = generateUserInfo(this.currentUser);
         }
         
+        this.updateSortControl();
+        
         console.log(`👤 Felhasználó: ${this.currentUser.email} (${this.currentUser.testGroup} csoport)`);
     }
     
@@ -269,6 +561,200 @@ class EcoScoreRecipeApp {
         console.log(`🔄 Szakasz váltás: ${sectionId}`);
     }
     
+    /**
+     * Keresőmező billentyűzet kezelése (combobox: nyilak, Enter, Escape)
+     * 
+     * @param {KeyboardEvent} event - Keydown esemény
+     */
+    handleSearchKeydown(event) {
+        const isOpen = this.suggestions.length > 0;
+        
+        switch (event.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                event.preventDefault();
+                if (isOpen) {
+                    this.moveActiveSuggestion(event.key === 'ArrowDown' ? 1 : -1);
+                } else {
+                    this.updateSuggestions(true);
+                }
+                break;
+            case 'Enter':
+                event.preventDefault();
+                if (isOpen && this.activeSuggestion >= 0) {
+                    this.acceptSuggestion(this.activeSuggestion, 'keyboard');
+                } else {
+                    this.handleSearch();
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    event.preventDefault();
+                    this.closeSuggestions(true);
+                }
+                break;
+            case 'Tab':
+                this.closeSuggestions();
+                break;
+        }
+    }
+    
+    /**
+     * Javaslat kiválasztása egérrel
+     * 
+     * @param {MouseEvent} event - Mousedown esemény
+     */
+    handleSuggestionMousedown(event) {
+        const option = event.target.closest('.search-suggestion');
+        
+        if (!option) {
+            return;
+        }
+        
+        event.preventDefault();
+        this.acceptSuggestion(parseInt(option.dataset.index), 'mouse');
+    }
+    
+    /**
+     * Javaslatok frissítése a keresőmező utolsó (vessző utáni) része alapján
+     * 
+     * @param {boolean} force - Elvetett javaslatok újranyitása (lefelé nyíl)
+     */
+    updateSuggestions(force = false) {
+        const searchInput = document.getElementById('ingredient-search');
+        
+        if (!searchInput || document.activeElement !== searchInput) {
+            return;
+        }
+        
+        // Keresés, kiválasztás vagy Escape után ugyanarra a szövegre nem nyílik újra
+        if (!force && searchInput.value === this.suggestionsDismissedFor) {
+            return;
+        }
+        
+        const context = getCompletionContext(searchInput.value);
+        const suggestions = context 
+            ? generateSearchSuggestions(this.recipes, context.fragment, CONFIG.SEARCH.MAX_SUGGESTIONS)
+            : [];
+        
+        if (suggestions.length === 0) {
+            this.closeSuggestions();
+            return;
+        }
+        
+        this.suggestions = suggestions;
+        this.suggestionContext = context;
+        this.activeSuggestion = -1;
+        this.renderSuggestions();
+        
+        const status = document.getElementById('search-suggestions-status');
+        if (status) {
+            status.textContent = `${suggestions.length} javaslat, a fel és le nyilakkal választható`;
+        }
+    }
+    
+    /**
+     * Kijelölt javaslat léptetése (körbeforogva)
+     * 
+     * @param {number} direction - Irány (1: le, -1: fel)
+     */
+    moveActiveSuggestion(direction) {
+        const count = this.suggestions.length;
+        
+        if (this.activeSuggestion === -1) {
+            this.activeSuggestion = direction > 0 ? 0 : count - 1;
+        } else {
+            this.activeSuggestion = (this.activeSuggestion + direction + count) % count;
+        }
+        
+        this.renderSuggestions();
+    }
+    
+    /**
+     * Javaslat elfogadása: beillesztés a lekérdezésbe és naplózás
+     * 
+     * @param {number} index - Javaslat indexe
+     * @param {string} method - Kiválasztás módja ('keyboard' | 'mouse')
+     */
+    acceptSuggestion(index, method) {
+        const suggestion = this.suggestions[index];
+        const searchInput = document.getElementById('ingredient-search');
+        
+        if (!suggestion || !searchInput) {
+            return;
+        }
+        
+        const fragment = this.suggestionContext?.fragment || '';
+        searchInput.value = applyCompletion(searchInput.value, suggestion.text);
+        
+        logInteraction('suggestion_accept', {
+            fragment,
+            suggestion: suggestion.text,
+            rank: index + 1,
+            suggestionsCount: this.suggestions.length,
+            method,
+            query: searchInput.value
+        });
+        
+        this.closeSuggestions(true);
+        searchInput.focus();
+    }
+    
+    /**
+     * Javaslatlista bezárása
+     * 
+     * @param {boolean} dismiss - A jelenlegi szövegre ne nyíljon újra magától
+     */
+    closeSuggestions(dismiss = false) {
+        const searchInput = document.getElementById('ingredient-search');
+        
+        if (dismiss) {
+            this.suggestionsDismissedFor = searchInput?.value ?? null;
+        }
+        
+        if (this.suggestions.length === 0) {
+            return;
+        }
+        
+        this.suggestions = [];
+        this.activeSuggestion = -1;
+        this.suggestionContext = null;
+        this.renderSuggestions();
+        
+        const status = document.getElementById('search-suggestions-status');
+        if (status) {
+            status.textContent = '';
+        }
+    }
+    
+    /**
+     * Javaslatlista és a combobox ARIA állapotának megjelenítése
+     */
+    renderSuggestions() {
+        const searchInput = document.getElementById('ingredient-search');
+        const list = document.getElementById('search-suggestions');
+        const isOpen = this.suggestions.length > 0;
+        
+        if (list) {
+            list.innerHTML = generateSearchSuggestionList(
+                this.suggestions, 
+                this.suggestionContext?.fragment, 
+                this.activeSuggestion
+            );
+            list.classList.toggle('hidden', !isOpen);
+        }
+        
+        if (searchInput) {
+            searchInput.setAttribute('aria-expanded', String(isOpen));
+            
+            if (isOpen && this.activeSuggestion >= 0) {
+                searchInput.setAttribute('aria-activedescendant', `search-suggestion-${this.activeSuggestion}`);
+            } else {
+                searchInput.removeAttribute('aria-activedescendant');
+            }
+        }
+    }
+    
     /**
      * Keresés kezelése
      */
@@ -276,22 +762,35 @@ class EcoScoreRecipeApp {
         const searchInput = document.getElementById('ingredient-search');
         const ingredients = searchInput?.value?.trim();
         
+        this.closeSuggestions(true);
+        
         if (!ingredients) {
             this.showError('Kérjük, adjon meg legalább egy hozzávalót!');
             return;
         }
         
+        // Lekérdezés szintaxis ellenőrzése (hibák a beviteli mező mellett)
+        const parsedQuery = parseSearchQuery(ingredients);
+        this.displayQueryErrors(parsedQuery.errors);
+        
+        if (parsedQuery.errors.length > 0) {
+            console.warn('⚠️ Hibás keresési lekérdezés:', parsedQuery.errors);
+            return;
+        }
+        
         try {
             console.log('🔍 Keresés indítása:', ingredients);
             
             // Keresési idő mérés kezdése
             this.searchStartTime = Date.now();
             
-            // Receptek keresése
-            const searchResults = searchRecipes(this.recipes, ingredients, this.testGroup);
+            // Új lekérdezésnél a korábbi szűrők nem érvényesek
+            if (ingredients !== this.currentQuery) {
+                this.facetState = createFacetState();
+            }
+            this.currentQuery = ingredients;
             
-            // Eredmények megjelenítése
-            this.displayResults(searchResults, ingredients);
+            this.runSearch(ingredients);
             
         } catch (error) {
             console.error('❌ Keresési hiba:', error);
@@ -299,13 +798,153 @@ class EcoScoreRecipeApp {
         }
     }
     
+    /**
+     * Keresés futtatása az aktuális szűrőkkel, naplózás és megjelenítés
+     * A szűrő- és rendezésváltás finomításként a kiváltó lekérdezés
+     * keresésére hivatkozik.
+     * 
+     * @param {string} ingredients - Keresési kifejezés (szintaktikailag helyes)
+     * @param {string} trigger - Kiváltó ok ('query' | 'facet' | 'sort')
+     * @returns {Object} Megjelenített első találati oldal (getResultPage())
+     */
+    runSearch(ingredients, trigger = 'query') {
+        const facetFilters = getFacetFilters(this.facetState);
+        
+        // Reprodukálható rangsorolási seed (felhasználó + munkamenet + keresés)
+        this.currentRankingSeed = buildRankingSeed(this.currentUser?.id, getCurrentSessionId(), ingredients);
+        
+        // Felhasználói rendezés csak ott, ahol a sorrend nem a kísérleti manipuláció
+        const userSort = isUserSortEnabled(this.testGroup) ? this.userSort : null;
+        
+        // Receptek keresése: a teljes rangsor egyszer készül, a lapozás ebből szeletel
+        this.rankedResults = rankSearchResults(this.recipes, ingredients, this.testGroup, {
+            seed: this.currentRankingSeed,
+            index: this.searchIndex,
+            filters: facetFilters,
+            sort: userSort
+        });
+        const firstPage = getResultPage(this.rankedResults, 1, getArmDisplay(this.testGroup).pageSize);
+        
+        // Keresési esemény naplózása (a nulla találatos kereséseké is)
+        const ranking = getRankingConfig(this.testGroup);
+        const searchEvent = recordSearchEvent(
+            this.currentUser,
+            ingredients,
+            preprocessSearchQuery(ingredients),
+            firstPage.items,
+            {
+                strategy: userSort ? 'user-sort' : ranking.strategy,
+                scorer: ranking.scorer || CONFIG.SEARCH.DEFAULT_SCORER,
+                seed: this.currentRankingSeed,
+                sort: userSort
+            },
+            parseSearchQuery(ingredients).filters,
+            facetFilters,
+            firstPage.totalResults,
+            trigger,
+            trigger === 'query' ? null : this.currentOriginSearchId
+        );
+        this.currentSearchId = searchEvent?.searchId || null;
+        this.currentOriginSearchId = searchEvent?.originSearchId || null;
+        
+        // Eredmények és szűrőpanel megjelenítése
+        this.displayResults(firstPage, ingredients);
+        this.updateFacetPanel(ingredients);
+        
+        return firstPage;
+    }
+    
+    /**
+     * Következő találati oldal hozzáfűzése a listához ("Továbbiak betöltése")
+     * A rangsor pozíciók a teljes listában folytatódnak, és az oldal külön
+     * impresszióként naplózódik az oldalszámmal.
+     */
+    loadMoreResults() {
+        if (!this.currentPage?.hasMore) {
+            return;
+        }
+        
+        const grid = document.querySelector('#search-results .search-results-grid');
+        const footer = document.querySelector('#search-results .search-results-more');
+        
+        if (!grid) {
+            console.error('❌ Találati lista nem található');
+            return;
+        }
+        
+        const nextPage = getResultPage(this.rankedResults, this.currentPage.page + 1, this.currentPage.pageSize);
+        grid.insertAdjacentHTML('beforeend', 
+            generateResultCards(nextPage.items, nextPage.startRank, this.currentQuery, this.testGroup));
+        this.updateCompareButtons();
+        
+        if (footer) {
+            footer.innerHTML = generateLoadMore(nextPage.startRank - 1 + nextPage.items.length, nextPage.totalResults);
+        }
+        
+        this.currentPage = nextPage;
+        this.showResultPage(nextPage);
+        
+        // Billentyűzetes használatnál a fókusz az új oldal első receptjére kerül
+        const firstNewCard = grid.children[nextPage.startRank - 1];
+        if (firstNewCard) {
+            firstNewCard.setAttribute('tabindex', '-1');
+            firstNewCard.focus();
+        }
+        
+        console.log(`📄 ${nextPage.page}. oldal betöltve (${nextPage.items.length} recept)`);
+    }
+    
+    /**
+     * Szűrőpanel frissítése a lekérdezés teljes találati halmazából
+     * (csak azokban a csoportokban, ahol a panel látható)
+     * 
+     * @param {string|null} ingredients - Keresési kifejezés (null: panel elrejtése)
+     */
+    updateFacetPanel(ingredients) {
+        const panel = document.getElementById('facet-panel');
+        
+        if (!panel) {
+            return;
+        }
+        
+        if (!ingredients || !getArmDisplay(this.testGroup).showFacets) {
+            panel.innerHTML = '';
+            panel.classList.add('hidden');
+            return;
+        }
+        
+        const matches = findSearchMatches(this.recipes, ingredients, { index: this.searchIndex });
+        panel.innerHTML = generateFacetPanel(computeFacets(matches, this.facetState));
+        panel.classList.remove('hidden');
+    }
+    
+    /**
+     * Lekérdezés hibáinak megjelenítése (üres listánál elrejtés)
+     * 
+     * @param {Array} errors - parseSearchQuery() hibái
+     */
+    displayQueryErrors(errors) {
+        const errorsDiv = document.getElementById('search-query-errors');
+        const searchInput = document.getElementById('ingredient-search');
+        const hasErrors = errors.length > 0;
+        
+        if (errorsDiv) {
+            errorsDiv.innerHTML = generateQueryErrors(errors);
+            errorsDiv.classList.toggle('hidden', !hasErrors);
+        }
+        
+        if (searchInput) {
+            searchInput.setAttribute('aria-invalid', hasErrors ? 'true' : 'false');
+        }
+    }
+    
     /**
      * Keresési eredmények megjelenítése
      * 
-     * @param {Array} recipes - Találati receptek
+     * @param {Object} page - Az első találati oldal (getResultPage())
      * @param {string} searchIngredients - Keresési kifejezés
      */
-    displayResults(recipes, searchIngredients) {
+    displayResults(page, searchIngredients) {
         const resultsDiv = document.getElementById('search-results');
         
         if (!resultsDiv) {
@@ -313,19 +952,52 @@ class EcoScoreRecipeApp {
             return;
         }
         
-        resultsDiv.innerHTML = generateSearchResults(recipes, searchIngredients, this.testGroup);
+        resultsDiv.innerHTML = generateSearchResults(page.items, searchIngredients, this.testGroup, page);
+        
+        this.compareSelection = null;
+        this.currentPage = page;
+        this.showResultPage(page);
         
-        // Ha C csoport, akkor töltsük be az XAI magyarázatokat
-        if (this.testGroup === 'C' && recipes.length > 0) {
+        console.log(`📋 ${page.items.length} recept megjelenítve (összesen ${page.totalResults})`);
+    }
+    
+    /**
+     * Megjelenített találati oldal naplózása és XAI magyarázatainak betöltése
+     * 
+     * @param {Object} page - Találati oldal (getResultPage())
+     */
+    showResultPage(page) {
+        const recipes = page.items;
+        
+        // Megjelenített találati oldal naplózása (pozíció, oldalszám és fenntarthatóság)
+        recordImpression(this.currentUser, this.currentSearchId, recipes, this.currentRankingSeed, page);
+        
+        // Ha a csoportban látható a magyarázat (C csoport), töltsük be az XAI magyarázatokat
+        if (getArmDisplay(this.testGroup).showExplanations && recipes.length > 0) {
             // Késleltetett betöltés, hogy a kártyák már megjelenjenek
             setTimeout(() => {
-                recipes.forEach(async (recipe) => {
-                    await generateAndDisplayXAI(recipe);
+                recipes.forEach(async (recipe, index) => {
+                    await generateAndDisplayXAI(recipe, this.testGroup, this.getExplanationContext(page.startRank + index));
                 });
             }, 100);
         }
+    }
+    
+    /**
+     * Magyarázat találati környezete: a pozíció és az összevetett találat
+     * (a következő, az utolsó találatnál az előző)
+     * 
+     * @param {number} rank - Recept pozíciója (1-től)
+     * @returns {Object} Környezet ({ rank, contrast })
+     */
+    getExplanationContext(rank) {
+        const contrastRank = rank < this.rankedResults.length ? rank + 1 : rank - 1;
+        const contrastRecipe = this.rankedResults[contrastRank - 1];
         
-        console.log(`📋 ${recipes.length} recept megjelenítve`);
+        return {
+            rank,
+            contrast: contrastRecipe ? { recipe: contrastRecipe, rank: contrastRank } : null
+        };
     }
     
     /**
@@ -356,7 +1028,9 @@ class EcoScoreRecipeApp {
                 rank, 
                 searchIngredients, 
                 decisionTime,
-                source
+                source,
+                this.currentSearchId,
+                rank > 0 && this.currentPage ? Math.ceil(rank / this.currentPage.pageSize) : null
             );
             
             // Modal bezárása ha nyitva van
@@ -403,6 +1077,87 @@ class EcoScoreRecipeApp {
         }
     }
     
+    /**
+     * Összehasonlítás gomb kezelése
+     * Az első kattintás kijelöli a receptet, ugyanarra ismét kattintva a
+     * kijelölés megszűnik, egy másik receptnél megnyílik az összehasonlítás.
+     * 
+     * @param {Element} button - Összehasonlítás gomb
+     */
+    handleCompareClick(button) {
+        const selection = {
+            recipeId: button.dataset.recipeId,
+            rank: parseInt(button.dataset.rank)
+        };
+        
+        if (!this.compareSelection || this.compareSelection.recipeId === selection.recipeId) {
+            this.compareSelection = this.compareSelection ? null : selection;
+            this.updateCompareButtons();
+            return;
+        }
+        
+        const first = this.compareSelection;
+        this.compareSelection = null;
+        this.updateCompareButtons();
+        this.showRecipeComparison(first, selection);
+    }
+    
+    /**
+     * Összehasonlítás gombok állapotának frissítése a kijelölés szerint
+     */
+    updateCompareButtons() {
+        document.querySelectorAll('.compare-recipe-btn').forEach(button => {
+            const selected = this.compareSelection?.recipeId === button.dataset.recipeId;
+            button.setAttribute('aria-pressed', selected ? 'true' : 'false');
+            button.textContent = selected ? '⚖️ Válasszon egy másik receptet' : '⚖️ Összehasonlítás';
+        });
+    }
+    
+    /**
+     * Két recept összehasonlítása modális ablakban (a jobb helyezésű balra)
+     * 
+     * @param {Object} first - Első kijelölés ({ recipeId, rank })
+     * @param {Object} second - Második kijelölés ({ recipeId, rank })
+     */
+    showRecipeComparison(first, second) {
+        try {
+            const [left, right] = [first, second]
+                .sort((a, b) => a.rank - b.rank)
+                .map(selection => ({
+                    recipe: this.recipes.find(r => r.recipeid == selection.recipeId),
+                    rank: selection.rank
+                }));
+            
+            if (!left.recipe || !right.recipe) {
+                throw new Error('A recept nem található');
+            }
+            
+            const modalContainer = document.getElementById('modal-container');
+            if (!modalContainer) {
+                throw new Error('Modális konténer nem található');
+            }
+            
+            const comparison = compareRecipes(left.recipe, right.recipe);
+            modalContainer.innerHTML = generateRecipeComparisonModal(comparison, left, right);
+            modalContainer.classList.add('active');
+            
+            logInteraction('compare_open', {
+                recipeIds: comparison.recipeIds,
+                ranks: [left.rank, right.rank],
+                searchId: this.currentSearchId,
+                query: this.currentQuery,
+                similarity: comparison.similarity,
+                scoreDifference: comparison.scoreDifference
+            });
+            
+            console.log('⚖️ Összehasonlítás megjelenítve:', left.recipe.name, '↔', right.recipe.name);
+            
+        } catch (error) {
+            console.error('❌ Összehasonlítás megjelenítési hiba:', error);
+            this.showError('Hiba történt az összehasonlítás betöltése során.');
+        }
+    }
+    
     /**
      * Modális ablak bezárása
      */
@@ -426,6 +1181,8 @@ class EcoScoreRecipeApp {
             searchInput.value = '';
             searchInput.focus();
         }
+        this.closeSuggestions();
+        this.displayQueryErrors([]);
         
         // Eredmények törlése
         const resultsDiv = document.getElementById('search-results');
@@ -436,8 +1193,19 @@ class EcoScoreRecipeApp {
         // Keresési szakasz megjelenítése
         this.showSection('search-section');
         
-        // Időmérés visszaállítása
+        // Időmérés és keresés azonosító visszaállítása
         this.searchStartTime = null;
+        this.currentSearchId = null;
+        this.currentOriginSearchId = null;
+        this.currentRankingSeed = null;
+        
+        // Szűrők visszaállítása
+        this.currentQuery = null;
+        this.compareSelection = null;
+        this.rankedResults = [];
+        this.currentPage = null;
+        this.facetState = createFacetState();
+        this.updateFacetPanel(null);
         
         console.log('🔄 Új keresés indítva');
     }
@@ -593,6 +1361,7 @@ class EcoScoreRecipeApp {
     destroy() {
         this.abortController.abort();
         this.recipes = null;
+        this.searchIndex = null;
         this.currentUser = null;
         this.currentRecipeDetails = null;
         console.log('🧹 Alkalmazás megtakarítva');
@@ -607,6 +1376,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Takarítás az oldal elhagyásakor
 window.addEventListener('beforeunload', () => {
+    endSession('unload');
+    
     if (window.app && typeof window.app.destroy === 'function') {
         window.app.destroy();
     }
@@ -6,6 +6,11 @@
 
 import CONFIG from './config.js';
 import { safeJsonParse, formatDate } from '../utils/helpers.js';
+import { getSearchEvents } from './search-history.js';
+import { getImpressions } from './impressions.js';
+import { getSessions } from './session-manager.js';
+import { getInteractions } from './interaction-logger.js';
+import { getArmIds } from './experiment.js';
 
 /**
  * Felhasználói választások statisztikáinak lekérése
@@ -186,11 +191,10 @@ function getWeekNumber(date) {
 export function getTestGroupPerformance() {
     const choices = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.CHOICES), []);
     
-    const groupStats = {
-        A: { choices: [], avgSustainability: 0, avgDecisionTime: 0 },
-        B: { choices: [], avgSustainability: 0, avgDecisionTime: 0 },
-        C: { choices: [], avgSustainability: 0, avgDecisionTime: 0 }
-    };
+    const groupStats = {};
+    getArmIds().forEach(armId => {
+        groupStats[armId] = { choices: [], avgSustainability: 0, avgDecisionTime: 0 };
+    });
     
     // Választások csoportosítása
     choices.forEach(choice => {
@@ -242,6 +246,7 @@ export function getSustainabilityImpact(userId) {
             avgImpact: 0,
             improvementTrend: 0,
             carbonFootprintSaved: 0,
+            totalFootprintCo2e: 0,
             recommendationAcceptance: 0
         };
     }
@@ -264,9 +269,13 @@ export function getSustainabilityImpact(userId) {
     
     const improvementTrend = lastAvg - firstAvg;
     
-    // Becsült szén-lábnyom megtakarítás (modell alapú)
+    // Becsült szén-lábnyom megtakarítás (a felkínált találatokhoz képest)
     const carbonFootprintSaved = calculateCarbonSavings(choices);
     
+    // Választott receptek becsült összes lábnyoma
+    const totalFootprintCo2e = choices.reduce((sum, choice) => 
+        sum + (choice.footprint?.co2eKg || 0), 0);
+    
     // AI ajánlások elfogadási aránya
     const aiRecommendations = choices.filter(choice => choice.source === 'ai-recommendation');
     const recommendationAcceptance = choices.length > 0 ? 
@@ -277,61 +286,98 @@ export function getSustainabilityImpact(userId) {
         avgImpact: Math.round(avgImpact * 10) / 10,
         improvementTrend: Math.round(improvementTrend * 10) / 10,
         carbonFootprintSaved: Math.round(carbonFootprintSaved * 100) / 100,
+        totalFootprintCo2e: Math.round(totalFootprintCo2e * 100) / 100,
         recommendationAcceptance: Math.round(recommendationAcceptance * 10) / 10
     };
 }
 
 /**
  * Szén-lábnyom megtakarítás becslése
+ * Viszonyítási alap a választást megelőző találati oldal receptjeinek átlagos
+ * lábnyoma; a megtakarítás ennek és a választott recept lábnyomának különbsége
+ * (nettó érték, a rosszabb választás negatívan számít). Lábnyom vagy
+ * impresszió nélküli (régi) választások kimaradnak.
  * 
  * @param {Array} choices - Választások tömbje
- * @returns {number} Becsült CO2 megtakarítás kg-ban
+ * @returns {number} Becsült CO2e megtakarítás kg-ban
  */
 function calculateCarbonSavings(choices) {
-    // Egyszerűsített modell: magasabb fenntarthatóság = alacsonyabb CO2
-    const baselineEmission = 2.5; // kg CO2 per átlagos étel
+    const viewedItemsBySearch = getViewedItemsBySearch(getImpressions());
+    
     let totalSavings = 0;
     
     choices.forEach(choice => {
-        const sustainabilityIndex = choice.sustainabilityIndex || 50;
-        // Linearisan arányosítjuk: 100 pont = 50% megtakarítás
-        const savingsPercentage = (sustainabilityIndex - 50) / 100;
-        const mealSavings = baselineEmission * savingsPercentage;
-        totalSavings += Math.max(0, mealSavings); // Csak pozitív megtakarítások
+        const chosenEmission = choice.footprint?.co2eKg;
+        const offered = (viewedItemsBySearch[choice.searchId] || [])
+            .map(item => item.co2eKg)
+            .filter(value => typeof value === 'number');
+        
+        if (typeof chosenEmission !== 'number' || offered.length === 0) {
+            return;
+        }
+        
+        const baselineEmission = offered.reduce((sum, value) => sum + value, 0) / offered.length;
+        totalSavings += baselineEmission - chosenEmission;
     });
     
     return totalSavings;
 }
 
+/**
+ * Keresésenként az összes megtekintett találati oldal elemei
+ * Lapozásnál egy kereséshez oldalanként külön impresszió tartozik.
+ * 
+ * @param {Array} impressions - Impressziók
+ * @returns {Object} Keresés azonosító → megjelenített elemek (receptenként egyszer)
+ */
+function getViewedItemsBySearch(impressions) {
+    const itemsBySearch = {};
+    
+    impressions.forEach(impression => {
+        if (!impression.searchId) return;
+        
+        const items = itemsBySearch[impression.searchId] || (itemsBySearch[impression.searchId] = []);
+        impression.items.forEach(item => {
+            if (!items.some(shownItem => shownItem.recipeId == item.recipeId)) {
+                items.push(item);
+            }
+        });
+    });
+    
+    return itemsBySearch;
+}
+
 /**
  * Keresési analitika
+ * A szűrő- és rendezésváltás finomításai nem számítanak külön keresésnek.
  * 
+ * @param {string} userId - Felhasználó azonosító (opcionális)
  * @returns {Object} Keresési statisztikák
  */
-export function getSearchAnalytics() {
-    // Keresési adatok a localStorage-ból (ha implementálva van)
-    const searches = safeJsonParse(localStorage.getItem('search_history'), []);
+export function getSearchAnalytics(userId = null) {
+    const allSearches = getSearchEvents(userId);
+    const searches = allSearches.filter(search => (search.trigger || 'query') === 'query');
     
     if (searches.length === 0) {
         return {
             totalSearches: 0,
             popularIngredients: [],
             avgResultsPerSearch: 0,
-            conversionRate: 0
+            zeroResultSearches: 0,
+            zeroResultRate: 0,
+            conversionRate: 0,
+            abandonmentRate: 0
         };
     }
     
     // Népszerű hozzávalók
     const ingredientCounts = {};
     searches.forEach(search => {
-        if (search.ingredients) {
-            const ingredients = search.ingredients.toLowerCase().split(/[,\s]+/);
-            ingredients.forEach(ingredient => {
-                if (ingredient.length > 2) {
-                    ingredientCounts[ingredient] = (ingredientCounts[ingredient] || 0) + 1;
-                }
-            });
-        }
+        (search.terms || []).forEach(term => {
+            if (term.length > 2) {
+                ingredientCounts[term] = (ingredientCounts[term] || 0) + 1;
+            }
+        });
     });
     
     const popularIngredients = Object.entries(ingredientCounts)
@@ -343,15 +389,406 @@ export function getSearchAnalytics() {
     const avgResultsPerSearch = searches.reduce((sum, search) => 
         sum + (search.resultsCount || 0), 0) / searches.length;
     
-    // Konverziós ráta (keresés -> választás)
+    // Nulla találatos keresések
+    const zeroResultSearches = searches.filter(search => search.zeroResults).length;
+    
+    // Konverzió és lemorzsolódás (keresés -> választás)
     const choices = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.CHOICES), []);
-    const conversionRate = searches.length > 0 ? (choices.length / searches.length) * 100 : 0;
+    const funnel = calculateSearchFunnel(allSearches, choices);
     
     return {
         totalSearches: searches.length,
         popularIngredients,
         avgResultsPerSearch: Math.round(avgResultsPerSearch * 10) / 10,
-        conversionRate: Math.round(conversionRate * 10) / 10
+        zeroResultSearches,
+        zeroResultRate: Math.round((zeroResultSearches / searches.length) * 1000) / 10,
+        conversionRate: funnel.conversionRate,
+        abandonmentRate: funnel.abandonmentRate
+    };
+}
+
+/**
+ * Keresés -> választás tölcsér teszt csoportonként
+ * 
+ * @returns {Object} Tölcsér metrikák csoportonként
+ */
+export function getSearchFunnelByGroup() {
+    const searches = getSearchEvents();
+    const choices = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.CHOICES), []);
+    
+    const searchesByGroup = {};
+    searches.forEach(search => {
+        const group = search.testGroup || 'ismeretlen';
+        if (!searchesByGroup[group]) {
+            searchesByGroup[group] = [];
+        }
+        searchesByGroup[group].push(search);
+    });
+    
+    const funnels = {};
+    Object.entries(searchesByGroup).forEach(([group, groupSearches]) => {
+        funnels[group] = calculateSearchFunnel(groupSearches, choices);
+    });
+    
+    return funnels;
+}
+
+/**
+ * Keresési tölcsér számítása
+ * Csak a lekérdezéssel indított keresések számítanak belépésnek; a szűrő- és
+ * rendezésváltás finomításai a kiváltó lekérdezéshez tartoznak. Egy keresés
+ * konvertált, ha választás hivatkozik rá vagy valamelyik finomítására, és
+ * elhagyott, ha volt találata, de nem követte választás.
+ * 
+ * @param {Array} allSearches - Keresési események (finomításokkal együtt)
+ * @param {Array} choices - Választások
+ * @returns {Object} Tölcsér metrikák
+ */
+function calculateSearchFunnel(allSearches, choices) {
+    const originById = new Map(
+        allSearches.map(search => [search.searchId, search.originSearchId || search.searchId])
+    );
+    const chosenSearchIds = new Set(
+        choices.filter(choice => choice.searchId).map(choice => originById.get(choice.searchId) || choice.searchId)
+    );
+    
+    const searches = allSearches.filter(search => (search.trigger || 'query') === 'query');
+    const totalSearches = searches.length;
+    const searchesWithResults = searches.filter(search => !search.zeroResults).length;
+    const convertedSearches = searches.filter(search => chosenSearchIds.has(search.searchId)).length;
+    const abandonedSearches = searches.filter(search => 
+        !search.zeroResults && !chosenSearchIds.has(search.searchId)
+    ).length;
+    const zeroResultSearches = totalSearches - searchesWithResults;
+    
+    const toPercent = (value, total) => total > 0 ? Math.round((value / total) * 1000) / 10 : 0;
+    
+    return {
+        totalSearches,
+        searchesWithResults,
+        zeroResultSearches,
+        convertedSearches,
+        abandonedSearches,
+        conversionRate: toPercent(convertedSearches, totalSearches),
+        abandonmentRate: toPercent(abandonedSearches, searchesWithResults),
+        zeroResultRate: toPercent(zeroResultSearches, totalSearches)
+    };
+}
+
+/**
+ * Szűrőpanel használat teszt csoportonként
+ * Szűrőnként a módosítások száma, valamint hogy a keresések mekkora
+ * része futott aktív szűrőkkel (pl. Eco-Score tartomány szűréssel).
+ * 
+ * @returns {Object} Szűrőhasználati metrikák csoportonként
+ */
+export function getFacetUsageByGroup() {
+    const facetEvents = getInteractions(null, 'facet_change');
+    const searches = getSearchEvents();
+    const usage = {};
+    
+    const ensureGroup = (group) => {
+        if (!usage[group]) {
+            usage[group] = {
+                facetChanges: 0,
+                resets: 0,
+                byFacet: {},
+                totalSearches: 0,
+                filteredSearches: 0,
+                sustainabilityFilteredSearches: 0
+            };
+        }
+        return usage[group];
+    };
+    
+    getArmIds().forEach(ensureGroup);
+    
+    facetEvents.forEach(event => {
+        const groupUsage = ensureGroup(event.testGroup || 'ismeretlen');
+        const facet = event.details?.facet || 'ismeretlen';
+        
+        if (facet === 'reset') {
+            groupUsage.resets++;
+            return;
+        }
+        
+        groupUsage.facetChanges++;
+        groupUsage.byFacet[facet] = (groupUsage.byFacet[facet] || 0) + 1;
+    });
+    
+    searches.forEach(search => {
+        const groupUsage = ensureGroup(search.testGroup || 'ismeretlen');
+        groupUsage.totalSearches++;
+        
+        if (search.facets) {
+            groupUsage.filteredSearches++;
+            
+            if (search.facets.minSustainability !== undefined || search.facets.maxSustainability !== undefined) {
+                groupUsage.sustainabilityFilteredSearches++;
+            }
+        }
+    });
+    
+    Object.values(usage).forEach(groupUsage => {
+        groupUsage.filteredSearchRate = groupUsage.totalSearches > 0
+            ? Math.round((groupUsage.filteredSearches / groupUsage.totalSearches) * 1000) / 10
+            : 0;
+    });
+    
+    return usage;
+}
+
+/**
+ * Impresszió alapú analitika (pozíció torzítás, rangsoronkénti átkattintás)
+ * 
+ * @param {string} userId - Felhasználó azonosító (opcionális)
+ * @returns {Object} Impresszió metrikák
+ */
+export function getImpressionAnalytics(userId = null) {
+    const impressions = getImpressions(userId);
+    const choices = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.CHOICES), [])
+        .filter(choice => !userId || choice.userId === userId);
+    
+    if (impressions.length === 0) {
+        return {
+            totalImpressions: 0,
+            linkedChoices: 0,
+            clickThroughByRank: {},
+            avgChosenRank: 0,
+            lessSustainableChoices: 0,
+            lessSustainableChoiceRate: 0,
+            avgSustainabilityGap: 0
+        };
+    }
+    
+    // Keresésenként az összes megtekintett oldal elemei (lapozásnál több impresszió)
+    const viewedItemsBySearch = getViewedItemsBySearch(impressions);
+    
+    // Megjelenések száma rangsor pozíciónként
+    const clickThroughByRank = {};
+    impressions.forEach(impression => {
+        impression.items.forEach(item => {
+            if (!clickThroughByRank[item.rank]) {
+                clickThroughByRank[item.rank] = { impressions: 0, choices: 0, rate: 0 };
+            }
+            clickThroughByRank[item.rank].impressions++;
+        });
+    });
+    
+    // Választások összekapcsolása a megjelenített listával
+    const linkedChoices = [];
+    choices.forEach(choice => {
+        const viewedItems = viewedItemsBySearch[choice.searchId];
+        if (!viewedItems) return;
+        
+        const shownItem = viewedItems.find(item => item.recipeId == choice.recipeId);
+        if (!shownItem) return;
+        
+        const bestOffered = Math.max(...viewedItems.map(item => item.sustainabilityIndex || 0));
+        linkedChoices.push({
+            rank: shownItem.rank,
+            sustainabilityGap: bestOffered - (shownItem.sustainabilityIndex || 0)
+        });
+        
+        clickThroughByRank[shownItem.rank].choices++;
+    });
+    
+    Object.values(clickThroughByRank).forEach(entry => {
+        entry.rate = entry.impressions > 0 ? 
+            Math.round((entry.choices / entry.impressions) * 1000) / 10 : 0;
+    });
+    
+    const lessSustainableChoices = linkedChoices.filter(choice => choice.sustainabilityGap > 0).length;
+    const avgChosenRank = linkedChoices.length > 0 ?
+        linkedChoices.reduce((sum, choice) => sum + choice.rank, 0) / linkedChoices.length : 0;
+    const avgSustainabilityGap = linkedChoices.length > 0 ?
+        linkedChoices.reduce((sum, choice) => sum + choice.sustainabilityGap, 0) / linkedChoices.length : 0;
+    
+    return {
+        totalImpressions: impressions.length,
+        linkedChoices: linkedChoices.length,
+        clickThroughByRank,
+        avgChosenRank: Math.round(avgChosenRank * 10) / 10,
+        lessSustainableChoices,
+        lessSustainableChoiceRate: linkedChoices.length > 0 ?
+            Math.round((lessSustainableChoices / linkedChoices.length) * 1000) / 10 : 0,
+        avgSustainabilityGap: Math.round(avgSustainabilityGap * 10) / 10
+    };
+}
+
+/**
+ * Lapozási mélység teszt csoportonként
+ * Keresésenként a megtekintett oldalak száma, és a választások oldal szerinti
+ * megoszlása; a mélyebb (2. vagy későbbi) oldalról választás külön viselkedés.
+ * 
+ * @returns {Object} Lapozási metrikák csoportonként
+ */
+export function getPageDepthByGroup() {
+    const impressions = getImpressions();
+    const choices = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.CHOICES), []);
+    
+    // Keresésenként: csoport, megtekintett oldalak és a receptek oldalszáma
+    const searches = {};
+    impressions.forEach(impression => {
+        if (!impression.searchId) return;
+        
+        if (!searches[impression.searchId]) {
+            searches[impression.searchId] = {
+                testGroup: impression.testGroup || 'ismeretlen',
+                pages: new Set(),
+                recipePages: {}
+            };
+        }
+        
+        const search = searches[impression.searchId];
+        const page = impression.page || 1;
+        search.pages.add(page);
+        impression.items.forEach(item => {
+            search.recipePages[item.recipeId] = search.recipePages[item.recipeId] || page;
+        });
+    });
+    
+    const groups = {};
+    const ensureGroup = (group) => {
+        if (!groups[group]) {
+            groups[group] = {
+                searches: 0,
+                pagesViewed: 0,
+                multiPageSearches: 0,
+                choicesByPage: {},
+                linkedChoices: 0,
+                deepPageChoices: 0,
+                deepPageSustainability: [],
+                firstPageSustainability: []
+            };
+        }
+        return groups[group];
+    };
+    
+    getArmIds().forEach(ensureGroup);
+    
+    Object.values(searches).forEach(search => {
+        const group = ensureGroup(search.testGroup);
+        group.searches++;
+        group.pagesViewed += search.pages.size;
+        if (Math.max(...search.pages) > 1) {
+            group.multiPageSearches++;
+        }
+    });
+    
+    choices.forEach(choice => {
+        const search = searches[choice.searchId];
+        const page = choice.page || search?.recipePages[choice.recipeId];
+        if (!search || !page) return;
+        
+        const group = ensureGroup(search.testGroup);
+        group.linkedChoices++;
+        group.choicesByPage[page] = (group.choicesByPage[page] || 0) + 1;
+        
+        if (page > 1) {
+            group.deepPageChoices++;
+            group.deepPageSustainability.push(choice.sustainabilityIndex || 0);
+        } else {
+            group.firstPageSustainability.push(choice.sustainabilityIndex || 0);
+        }
+    });
+    
+    const round = (value) => Math.round(value * 10) / 10;
+    const average = (values) => values.length > 0 ? 
+        round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0;
+    const toPercent = (value, total) => total > 0 ? Math.round((value / total) * 1000) / 10 : 0;
+    
+    const result = {};
+    Object.entries(groups).forEach(([group, stats]) => {
+        result[group] = {
+            searches: stats.searches,
+            avgPagesViewed: stats.searches > 0 ? round(stats.pagesViewed / stats.searches) : 0,
+            multiPageSearchRate: toPercent(stats.multiPageSearches, stats.searches),
+            linkedChoices: stats.linkedChoices,
+            choicesByPage: stats.choicesByPage,
+            deepPageChoices: stats.deepPageChoices,
+            deepPageChoiceRate: toPercent(stats.deepPageChoices, stats.linkedChoices),
+            avgFirstPageSustainability: average(stats.firstPageSustainability),
+            avgDeepPageSustainability: average(stats.deepPageSustainability)
+        };
+    });
+    
+    return result;
+}
+
+/**
+ * Munkamenet analitika
+ * 
+ * @param {string} userId - Felhasználó azonosító (opcionális)
+ * @returns {Object} Munkamenet metrikák
+ */
+export function getSessionAnalytics(userId = null) {
+    const sessions = getSessions(userId);
+    
+    if (sessions.length === 0) {
+        return {
+            totalSessions: 0,
+            avgDuration: 0,
+            avgSearchesPerSession: 0,
+            avgChoicesPerSession: 0,
+            avgXaiViewsPerSession: 0,
+            endReasons: {},
+            sessions: []
+        };
+    }
+    
+    const searches = getSearchEvents(userId);
+    const choices = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.CHOICES), [])
+        .filter(choice => !userId || choice.userId === userId);
+    const xaiViews = getInteractions(userId, 'xai_view');
+    
+    const countBySession = (items) => {
+        const counts = {};
+        items.forEach(item => {
+            if (item.sessionId) {
+                counts[item.sessionId] = (counts[item.sessionId] || 0) + 1;
+            }
+        });
+        return counts;
+    };
+    
+    const searchCounts = countBySession(searches);
+    const choiceCounts = countBySession(choices);
+    const xaiViewCounts = countBySession(xaiViews);
+    
+    // Munkamenetenkénti összesítés (időtartam másodpercben)
+    const sessionSummaries = sessions.map(session => {
+        const end = new Date(session.endedAt || session.lastActivityAt).getTime();
+        const duration = Math.max(0, (end - new Date(session.startedAt).getTime()) / 1000);
+        
+        return {
+            sessionId: session.sessionId,
+            testGroup: session.testGroup,
+            duration: Math.round(duration),
+            searches: searchCounts[session.sessionId] || 0,
+            choices: choiceCounts[session.sessionId] || 0,
+            xaiViews: xaiViewCounts[session.sessionId] || 0,
+            endReason: session.endReason
+        };
+    });
+    
+    const average = (key) => sessionSummaries.reduce((sum, summary) => 
+        sum + summary[key], 0) / sessionSummaries.length;
+    
+    const endReasons = {};
+    sessionSummaries.forEach(summary => {
+        const reason = summary.endReason || 'active';
+        endReasons[reason] = (endReasons[reason] || 0) + 1;
+    });
+    
+    return {
+        totalSessions: sessionSummaries.length,
+        avgDuration: Math.round(average('duration') * 10) / 10,
+        avgSearchesPerSession: Math.round(average('searches') * 10) / 10,
+        avgChoicesPerSession: Math.round(average('choices') * 10) / 10,
+        avgXaiViewsPerSession: Math.round(average('xaiViews') * 10) / 10,
+        endReasons,
+        sessions: sessionSummaries
     };
 }
 
@@ -458,6 +895,7 @@ export function generateAnalyticsReport(userId) {
     const behaviorAnalysis = getUserBehaviorAnalysis(userId);
     const impactMetrics = getSustainabilityImpact(userId);
     const testGroupPerformance = getTestGroupPerformance();
+    const searchAnalytics = getSearchAnalytics(userId);
     
     const report = {
         metadata: {
@@ -476,7 +914,13 @@ export function generateAnalyticsReport(userId) {
             userStatistics: userStats,
             behaviorAnalysis: behaviorAnalysis,
             impactMetrics: impactMetrics,
-            testGroupComparison: testGroupPerformance
+            testGroupComparison: testGroupPerformance,
+            searchAnalytics: searchAnalytics,
+            searchFunnelByGroup: getSearchFunnelByGroup(),
+            facetUsageByGroup: getFacetUsageByGroup(),
+            impressionAnalytics: getImpressionAnalytics(userId),
+            pageDepthByGroup: getPageDepthByGroup(),
+            sessionAnalytics: getSessionAnalytics(userId)
         },
         insights: generateInsights(userStats, behaviorAnalysis, impactMetrics),
         recommendations: generateRecommendations(userStats, behaviorAnalysis)
@@ -657,6 +1101,17 @@ export function cleanupAnalyticsData(maxAge = 90) {
     
     localStorage.setItem(CONFIG.STORAGE_KEYS.CHOICES, JSON.stringify(cleanedChoices));
     
+    // Keresési napló tisztítása ugyanazzal a határidővel
+    const cleanedSearches = getSearchEvents().filter(search => 
+        search.timestamp && new Date(search.timestamp) > cutoffDate
+    );
+    localStorage.setItem(CONFIG.STORAGE_KEYS.SEARCHES, JSON.stringify(cleanedSearches));
+    
+    const cleanedImpressions = getImpressions().filter(impression => 
+        impression.timestamp && new Date(impression.timestamp) > cutoffDate
+    );
+    localStorage.setItem(CONFIG.STORAGE_KEYS.IMPRESSIONS, JSON.stringify(cleanedImpressions));
+    
     const removedCount = initialCount - cleanedChoices.length;
     
     console.log(`🧹 Analytics cleanup: ${removedCount} régi rekord törölve`);
@@ -12,11 +12,83 @@ const CONFIG = {
     // ✅ KRITIKUS: Adatforrás beállítása
     DATA_SOURCE: './data/recipes_hungarian_best1000.json',
     
-    // A/B/C teszt csoportok
+    // Hozzávaló tudásbázis (séma: data/ingredient-knowledge.schema.json)
+    KNOWLEDGE_BASE_SOURCE: './data/ingredient-knowledge.json',
+    
+    // A/B/C teszt csoportok (kísérleti feltételek)
+    // A ranking.strategy a recipe-search.js rangsorolási regiszterében
+    // bejegyzett stratégia neve, a params annak paraméterei.
+    // A ranking.scorer a relevancia pontozó ('match': fix súlyos egyezés,
+    // 'bm25': IDF súlyozású valószínűségi modell), a scorerParams annak
+    // paraméterei; így a relevancia minősége a fenntarthatósági rendezéstől
+    // függetlenül állítható.
+    // Az allocation a csoport kiosztási aránya (pl. 2:1:1), a display
+    // a csoportban látható felületi elemeket kapcsolja (pontszám, magyarázat,
+    // értékelés, receptkép, szűrőpanel), a display.pageSize pedig a
+    // találati oldal méretét ("Továbbiak" betöltésenként ennyi recept).
+    // A display.allowUserSort engedi a felhasználói rendezést; ahol a
+    // sorrend maga a kísérleti manipuláció, ott kikapcsolva marad.
+    // A display.showCounterfactuals a magyarázatban megjeleníti, mely
+    // hozzávaló módosítások vinnék a receptet a következő Eco-Score sávba.
+    // A display.explanationStyle a magyarázat stílusa: 'composite' (számítás,
+    // összefoglaló, tényezők, javaslatok), 'attribution' (csak tényezők),
+    // 'counterfactual', 'summary' (csak szöveg) vagy 'contrastive' (összevetés
+    // a következő találattal).
+    // A display.allowCompare a kártyákon két recept összehasonlítását engedi.
     TEST_GROUPS: {
-        'A': 'Kontroll csoport - Nincs pontszám',
-        'B': 'Pontszám csoport - Eco-Score látható', 
-        'C': 'XAI csoport - Eco-Score + magyarázat'
+        'A': {
+            description: 'Kontroll csoport - Nincs pontszám',
+            allocation: 1,
+            display: { showScores: false, showExplanations: false, showRatings: true, showImages: true, showFacets: true, pageSize: 10, allowUserSort: false, showCounterfactuals: false, explanationStyle: 'composite', allowCompare: false },
+            ranking: { strategy: 'random', scorer: 'match' }
+        },
+        'B': {
+            description: 'Pontszám csoport - Eco-Score látható',
+            allocation: 1,
+            display: { showScores: true, showExplanations: false, showRatings: true, showImages: true, showFacets: true, pageSize: 10, allowUserSort: false, showCounterfactuals: false, explanationStyle: 'composite', allowCompare: false },
+            ranking: {
+                strategy: 'relevance-sustainability',
+                scorer: 'match',
+                params: {
+                    relevanceWeight: 0.7,
+                    sustainabilityWeight: 0.3,
+                    combinedTolerance: 1,
+                    sustainabilityTolerance: 5
+                }
+            }
+        },
+        'C': {
+            description: 'XAI csoport - Eco-Score + magyarázat',
+            allocation: 1,
+            display: { showScores: true, showExplanations: true, showRatings: true, showImages: true, showFacets: true, pageSize: 10, allowUserSort: false, showCounterfactuals: true, explanationStyle: 'composite', allowCompare: true },
+            ranking: {
+                strategy: 'sustainability-priority',
+                scorer: 'match',
+                params: {
+                    sustainabilityTolerance: 3,
+                    relevanceTolerance: 2
+                }
+            }
+        }
+    },
+    
+    // Szabad felfedezés mód (a kontrollált vizsgálaton kívül): a rendezés
+    // minden csoportban választható. Csak itt kapcsolható be, a résztvevők
+    // (pl. URL paraméterrel) nem oldhatják fel a kísérleti sorrendet.
+    EXPLORATION: {
+        ENABLED: false
+    },
+    
+    // Csoportba sorolás (randomizáció) beállításai
+    EXPERIMENT: {
+        ID: 'eco-score-2025-06',
+        SEED: 'eco-score-2025-06',
+        // 'hash' | 'block' | 'stratified'
+        METHOD: 'block',
+        // Egy blokk mérete: a kiosztási arányok összegének ennyiszerese
+        BLOCK_REPEATS: 2,
+        // Rétegzett randomizáció felhasználói attribútumai (a regisztrációs űrlap mezői)
+        STRATIFY_BY: ['ageGroup', 'diet']
     },
     
     // Keresési beállítások
@@ -24,7 +96,31 @@ const CONFIG = {
         MAX_RESULTS: 10,
         MIN_QUERY_LENGTH: 2,
         CACHE_RESULTS: true,
-        DEBOUNCE_DELAY: 300
+        DEBOUNCE_DELAY: 300,
+        // Automatikus kiegészítés javaslatainak maximális száma
+        MAX_SUGGESTIONS: 8,
+        // Csoport nélküli vagy ismeretlen csoportú keresések rangsorolása
+        DEFAULT_RANKING: { strategy: 'relevance' },
+        // Relevancia pontozó, ha a csoport nem ad meg sajátot
+        DEFAULT_SCORER: 'match',
+        // BM25 alapparaméterek (a csoport scorerParams mezője felülírhatja):
+        // k1 a gyakoriság telítése, b a hossznormalizálás, partialWeight a
+        // részleges/fuzzy, nameWeight a csak névbeli egyezés súlya, scale a
+        // pontszám szorzója (a rendezési tűréshatárok pontskálájához)
+        BM25: { k1: 1.2, b: 0.75, partialWeight: 0.75, nameWeight: 0.3, scale: 10 }
+    },
+    
+    // Adagszámítás: a választható szorzók az eredeti recepthez képest
+    SERVINGS: {
+        MULTIPLIERS: [0.5, 1, 1.5, 2, 3, 4],
+        DEFAULT_MULTIPLIER: 1
+    },
+    
+    // Lábnyom modell (footprint.js emissziós tényezői)
+    FOOTPRINT: {
+        MODEL_VERSION: 'emission-factors-2025.06',
+        // Ennél nagyobb mennyiség grammban/ml-ben megadottnak számít (metrikus receptek)
+        GRAMS_THRESHOLD: 20
     },
     
     // Fenntarthatósági beállítások
@@ -59,11 +155,14 @@ const CONFIG = {
             'egyéb': 0
         },
         
-        // Normalizálási konstansok
+        // Normalizálási konstansok (a kategória módosító ±CATEGORY_MODIFIER_MAX
+        // tartománya képeződik a 0-100 skálára, a 0 módosító 50 pont)
         MAX_ENV_SCORE: 100,
         MAX_NUTRI_SCORE: 100,
+        CATEGORY_MODIFIER_MAX: 10,
         
-        // Fenntarthatósági súlyok
+        // Fenntarthatósági súlyok (a komponensek 0-100 skáláján; a
+        // sustainability.js decomposeSustainabilityScore() tagjai)
         WEIGHTS: {
             ENV_SCORE: 0.6,
             NUTRI_SCORE: 0.3,
@@ -96,6 +195,14 @@ const CONFIG = {
         FALLBACK_ON_ERROR: true,
         CACHE_RESULTS: true,
         
+        // Kontrafaktuális magyarázatok: legfeljebb MAX_EDITS hozzávaló
+        // módosítás, a legjobb CANDIDATE_LIMIT egyedi módosítás kombinálva
+        COUNTERFACTUAL: {
+            MAX_EDITS: 2,
+            MAX_RESULTS: 3,
+            CANDIDATE_LIMIT: 8
+        },
+        
         // ✅ Inicializálási függvény
         init() {
             if (typeof window !== 'undefined' && window.ENV) {
@@ -128,10 +235,22 @@ const CONFIG = {
     // Lokális tárolás kulcsai
     STORAGE_KEYS: {
         USER: 'eco-score-user',
+        // Blokkos besorolás érkezési számlálói (seedenként és rétegenként)
+        EXPERIMENT_STATE: 'eco-score-experiment-state',
         CHOICES: 'eco-score-choices',
+        SEARCHES: 'eco-score-searches',
+        IMPRESSIONS: 'eco-score-impressions',
+        SESSIONS: 'eco-score-sessions',
+        ACTIVE_SESSION: 'eco-score-active-session',
+        INTERACTIONS: 'eco-score-interactions',
         SETTINGS: 'eco-score-settings'
     },
     
+    // Munkamenet beállítások
+    SESSION: {
+        IDLE_TIMEOUT_MINUTES: 30
+    },
+    
     // Analitika beállítások
     ANALYTICS: {
         ENABLED: true,
@@ -6,7 +6,38 @@
 
 import CONFIG from './config.js';
 import { calculateSustainabilityScore, determineCategory, getCategoryIcon } from './sustainability.js';
+import { setKnowledgeBase } from './knowledge-base.js';
+import { normalizeText, normalizeIngredient, containsTerm } from './ingredient-normalizer.js';
 import { safeJsonParse } from '../utils/helpers.js';
+import { parseRVector, cleanVectorItems } from '../utils/r-vector.js';
+
+/**
+ * Előkészített recept modell
+ * 
+ * @typedef {Object} Recipe
+ * @property {number} recipeid - Recept azonosító
+ * @property {string} name - Recept neve
+ * @property {string} ingredients - Hozzávalók (eredeti R vektor szöveg)
+ * @property {Array<string>} ingredientList - Hozzávalók feldolgozott listája
+ * @property {Array<number|null>} ingredientAmounts - Az ingredientList elemeihez tartozó mennyiségek
+ * @property {string} category - Normalizált kategória
+ * @property {string} categoryIcon - Kategória ikon
+ * @property {string|null} recipe_category - Eredeti (részletes) recept kategória
+ * @property {number} env_score - Környezeti pontszám (0-100, kisebb a jobb)
+ * @property {number} nutri_score - Táplálkozási pontszám (0-100)
+ * @property {boolean} envScoreMissing - A környezeti pontszám hiányzik a forrásból (0/NA; helyette 50)
+ * @property {boolean} nutriScoreMissing - A táplálkozási pontszám hiányzik a forrásból (0/NA; helyette 50)
+ * @property {number|null} meal_score - Étkezési pontszám
+ * @property {number} sustainability_index - Fenntarthatósági index (0-100, a konfigurált képletből)
+ * @property {number|null} dataset_sustainability_index - Az adatkészletben szereplő (eltérő képletű) index
+ * @property {Array<string>} images - Kép URL-ek
+ * @property {Array<number|null>} ingredient_quantities - Mennyiségek számként (NA: null)
+ * @property {boolean} quantitiesAligned - A mennyiségek indexre pontosan a hozzávalókhoz tartoznak-e
+ * @property {number|null} aggregated_rating - Átlagos értékelés (0-5)
+ * @property {number} review_count - Értékelések száma
+ * @property {string} instructions - Elkészítési útmutató (eredeti szöveg)
+ * @property {Array<string>} instructionSteps - Elkészítési lépések listája
+ */
 
 /**
  * Recept adatok betöltése
@@ -42,6 +73,34 @@ export async function loadRecipeData() {
     }
 }
 
+/**
+ * Hozzávaló tudásbázis betöltése
+ * A fenntarthatósági, szezonális, helyettesítési, emissziós és kategória
+ * adatok forrása; betöltés nélkül ezek a modulok semleges értékeket adnak.
+ * 
+ * @returns {Promise<string|null>} A betöltött tudásbázis verziója vagy null
+ */
+export async function loadKnowledgeBase() {
+    const source = CONFIG.KNOWLEDGE_BASE_SOURCE || './data/ingredient-knowledge.json';
+    
+    console.log('📚 Tudásbázis betöltése:', source);
+    
+    try {
+        const response = await fetch(source);
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: Tudásbázis nem elérhető`);
+        }
+        
+        const version = setKnowledgeBase(await response.json());
+        console.log('✅ Tudásbázis betöltve, verzió:', version);
+        return version;
+    } catch (error) {
+        console.error('❌ Tudásbázis betöltési hiba:', error);
+        return null;
+    }
+}
+
 /**
  * Fallback adatok betöltése hiba esetén
  * 
@@ -53,7 +112,7 @@ function loadFallbackData() {
         {
             recipeid: 1,
             name: "Egyszerű paradicsomleves",
-            ingredients: "paradicsom, hagyma, só, bors, fokhagyma",
+            ingredients: 'c("paradicsom", "hagyma", "só", "bors", "fokhagyma")',
             category: "leves",
             env_score: 25.5,
             nutri_score: 78.2,
@@ -63,7 +122,7 @@ function loadFallbackData() {
         {
             recipeid: 2,
             name: "Csirkemell rizibizivel",
-            ingredients: "csirkemell, rizs, borsó, sárgarépa, só, bors",
+            ingredients: 'c("csirkemell", "rizs", "borsó", "sárgarépa", "só", "bors")',
             category: "főétel",
             env_score: 58.3,
             nutri_score: 65.1,
@@ -73,7 +132,7 @@ function loadFallbackData() {
         {
             recipeid: 3,
             name: "Uborkasaláta",
-            ingredients: "uborka, tejföl, kapor, só, bors, cukor",
+            ingredients: 'c("uborka", "tejföl", "kapor", "só", "bors", "cukor")',
             category: "saláta",
             env_score: 15.2,
             nutri_score: 72.8,
@@ -83,7 +142,7 @@ function loadFallbackData() {
         {
             recipeid: 4,
             name: "Spenótos lasagne",
-            ingredients: "lasagne tészta, spenót, ricotta, mozzarella, paradicsom szósz, fokhagyma, hagyma",
+            ingredients: 'c("lasagne tészta", "spenót", "ricotta", "mozzarella", "paradicsom szósz", "fokhagyma", "hagyma")',
             category: "főétel",
             env_score: 42.1,
             nutri_score: 70.5,
@@ -93,7 +152,7 @@ function loadFallbackData() {
         {
             recipeid: 5,
             name: "Gyümölcssaláta",
-            ingredients: "alma, banán, narancs, szőlő, citromlé, méz",
+            ingredients: 'c("alma", "banán", "narancs", "szőlő", "citromlé", "méz")',
             category: "desszert",
             env_score: 12.8,
             nutri_score: 85.3,
@@ -103,7 +162,7 @@ function loadFallbackData() {
         {
             recipeid: 6,
             name: "Zöld smoothie",
-            ingredients: "spenót, banán, alma, gyömbér, víz, citromlé",
+            ingredients: 'c("spenót", "banán", "alma", "gyömbér", "víz", "citromlé")',
             category: "ital",
             env_score: 8.5,
             nutri_score: 88.7,
@@ -113,7 +172,7 @@ function loadFallbackData() {
         {
             recipeid: 7,
             name: "Marhapörkölt",
-            ingredients: "marha, hagyma, paprika, paradicsom, só, bors, babérlevél",
+            ingredients: 'c("marha", "hagyma", "paprika", "paradicsom", "só", "bors", "babérlevél")',
             category: "főétel",
             env_score: 75.2,
             nutri_score: 58.1,
@@ -123,7 +182,7 @@ function loadFallbackData() {
         {
             recipeid: 8,
             name: "Vegán burger",
-            ingredients: "fekete bab, quinoa, hagyma, fokhagyma, petrezselyem, zabpehely, zsemlemorzsa",
+            ingredients: 'c("fekete bab", "quinoa", "hagyma", "fokhagyma", "petrezselyem", "zabpehely", "zsemlemorzsa")',
             category: "főétel",
             env_score: 18.3,
             nutri_score: 76.9,
@@ -164,40 +223,209 @@ export function prepareRecipes(rawRecipes) {
  * Egyetlen recept előkészítése
  * 
  * @param {Object} rawRecipe - Nyers recept adat
- * @returns {Object} Előkészített recept
+ * @returns {Recipe} Előkészített recept
  */
 function prepareRecipe(rawRecipe) {
+    // A forrásadatban a mennyiséglista gyakran hosszabb/rövidebb a hozzávalóknál;
+    // ilyenkor az indexek nem feleltethetők meg egymásnak
+    const rawIngredients = parseRVector(rawRecipe.ingredients);
+    const quantities = parseRVector(rawRecipe.ingredient_quantities).map(parseQuantity);
+    const quantitiesAligned = quantities.length > 0 && quantities.length === rawIngredients.length;
+    
+    const ingredientRows = rawIngredients
+        .map((name, index) => ({
+            name: cleanVectorItems([name])[0],
+            quantity: quantitiesAligned ? quantities[index] : null
+        }))
+        .filter(row => row.name);
+    
+    // A forrásban a 0 és az NA pontszám hiányzó adatot jelöl (nem mért értéket)
+    const envScore = parseOptionalNumber(rawRecipe.env_score);
+    const nutriScore = parseOptionalNumber(rawRecipe.nutri_score);
+    
     // Alapértelmezett értékek beállítása
     const recipe = {
         recipeid: rawRecipe.recipeid || 0,
         name: rawRecipe.name || 'Névtelen recept',
         ingredients: rawRecipe.ingredients || '',
+        ingredientList: ingredientRows.map(row => row.name),
+        ingredientAmounts: ingredientRows.map(row => row.quantity),
         category: rawRecipe.category || 'egyéb',
-        env_score: parseFloat(rawRecipe.env_score) || 50,
-        nutri_score: parseFloat(rawRecipe.nutri_score) || 50,
-        sustainability_index: parseFloat(rawRecipe.sustainability_index) || 50,
-        instructions: rawRecipe.instructions || 'Nincs elérhető útmutató.'
+        recipe_category: rawRecipe.recipe_category || null,
+        env_score: envScore || 50,
+        nutri_score: nutriScore || 50,
+        envScoreMissing: !envScore,
+        nutriScoreMissing: !nutriScore,
+        meal_score: parseOptionalNumber(rawRecipe.meal_score),
+        sustainability_index: 50,
+        dataset_sustainability_index: parseOptionalNumber(rawRecipe.sustainability_index),
+        images: cleanVectorItems(parseRVector(rawRecipe.images)).filter(url => /^https?:\/\//i.test(url)),
+        ingredient_quantities: quantities,
+        quantitiesAligned: quantitiesAligned,
+        aggregated_rating: parseOptionalNumber(rawRecipe.aggregated_rating),
+        review_count: Math.max(0, Math.round(parseOptionalNumber(rawRecipe.review_count) || 0)),
+        instructions: rawRecipe.instructions || 'Nincs elérhető útmutató.',
+        instructionSteps: cleanVectorItems(parseRVector(rawRecipe.instructions))
     };
     
     // Kategória normalizálása és ikon hozzáadása
     recipe.category = normalizeCategory(recipe.category);
     recipe.categoryIcon = getCategoryIcon(recipe.category);
     
-    // Hiányzó fenntarthatósági pontszám számítása
-    if (!rawRecipe.sustainability_index && rawRecipe.env_score && rawRecipe.nutri_score) {
-        recipe.sustainability_index = calculateSustainabilityScore(
-            recipe.env_score, 
-            recipe.nutri_score, 
-            recipe.category
-        );
-    }
-    
     // Validáció
     validateRecipe(recipe);
     
+    // Fenntarthatósági pontszám mindig a konfigurált képletből (a validált
+    // pontszámokból), hogy a magyarázat bontása pontosan kiadja; az adatkészlet
+    // más képlettel számolt értéke a dataset_sustainability_index mezőben marad
+    recipe.sustainability_index = calculateSustainabilityScore(
+        recipe.env_score, 
+        recipe.nutri_score, 
+        recipe.category
+    );
+    
     return recipe;
 }
 
+/**
+ * Mennyiség szövegének számmá alakítása
+ * Kezeli a törteket ("1/4"), vegyes számokat ("1 1/2") és tartományokat
+ * ("10 -12", "1/4 - 1/3": a tartomány közepe).
+ * 
+ * @param {string|number|null} value - Nyers mennyiség
+ * @returns {number|null} Mennyiség vagy null, ha nem értelmezhető
+ */
+export function parseQuantity(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    
+    if (value === null || value === undefined) {
+        return null;
+    }
+    
+    const text = String(value).trim().replace(',', '.');
+    if (!text || text.toUpperCase() === 'NA') {
+        return null;
+    }
+    
+    const rangeParts = text.split(/\s*-\s*/);
+    if (rangeParts.length === 2) {
+        const low = parseMixedNumber(rangeParts[0]);
+        const high = parseMixedNumber(rangeParts[1]);
+        return low !== null && high !== null ? (low + high) / 2 : null;
+    }
+    
+    return parseMixedNumber(text);
+}
+
+/**
+ * Vegyes szám értelmezése ("2", "0.5", "3/4", "1 1/2")
+ * 
+ * @param {string} text - Szám szövege
+ * @returns {number|null} Érték vagy null
+ */
+function parseMixedNumber(text) {
+    const parts = text.trim().split(/\s+/).filter(part => part.length > 0);
+    if (parts.length === 0) {
+        return null;
+    }
+    
+    let total = 0;
+    for (const part of parts) {
+        const fraction = part.match(/^(\d+)\/(\d+)$/);
+        
+        if (/^\d+(\.\d+)?$/.test(part)) {
+            total += parseFloat(part);
+        } else if (fraction && Number(fraction[2]) !== 0) {
+            total += Number(fraction[1]) / Number(fraction[2]);
+        } else {
+            return null;
+        }
+    }
+    
+    return total;
+}
+
+/**
+ * Opcionális numerikus mező értelmezése
+ * 
+ * @param {*} value - Nyers érték
+ * @returns {number|null} Szám vagy null
+ */
+function parseOptionalNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Recept hozzávalóinak listája
+ * Előkészített receptnél a tárolt listát adja, nyers receptnél feldolgozza a szöveget.
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @returns {Array<string>} Hozzávalók
+ */
+export function getIngredientList(recipe) {
+    if (!recipe) {
+        return [];
+    }
+    
+    if (Array.isArray(recipe.ingredientList)) {
+        return recipe.ingredientList;
+    }
+    
+    return cleanVectorItems(parseRVector(recipe.ingredients));
+}
+
+/**
+ * Hozzávalók mennyiségekkel párosítva
+ * Ha a mennyiségek nem párosíthatók a hozzávalókhoz, a quantity null.
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @returns {Array<Object>} Sorok ({ name, quantity })
+ */
+export function getIngredientRows(recipe) {
+    const amounts = Array.isArray(recipe?.ingredientAmounts) ? recipe.ingredientAmounts : [];
+    
+    return getIngredientList(recipe).map((name, index) => ({
+        name,
+        quantity: amounts[index] ?? null
+    }));
+}
+
+/**
+ * Recept elsődleges képe
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @returns {string|null} Kép URL vagy null, ha nincs kép
+ */
+export function getPrimaryImage(recipe) {
+    if (!recipe) {
+        return null;
+    }
+    
+    const images = Array.isArray(recipe.images) ? recipe.images : cleanVectorItems(parseRVector(recipe.images));
+    return images.find(url => /^https?:\/\//i.test(url)) || null;
+}
+
+/**
+ * Recept elkészítési lépéseinek listája
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @returns {Array<string>} Lépések
+ */
+export function getInstructionSteps(recipe) {
+    if (!recipe) {
+        return [];
+    }
+    
+    if (Array.isArray(recipe.instructionSteps)) {
+        return recipe.instructionSteps;
+    }
+    
+    return cleanVectorItems(parseRVector(recipe.instructions));
+}
+
 /**
  * Kategória normalizálása
  * 
@@ -245,7 +473,7 @@ function validateRecipe(recipe) {
         throw new Error('Hiányzó recept név');
     }
     
-    if (!recipe.ingredients || recipe.ingredients.trim().length === 0) {
+    if (recipe.ingredientList.length === 0) {
         throw new Error('Hiányzó hozzávalók');
     }
     
@@ -268,9 +496,13 @@ function validateRecipe(recipe) {
 
 /**
  * Receptek szűrése kritériumok alapján
+ * A kizárt és kötelező hozzávalók normalizálva (toldalék, ékezet, szinonima)
+ * vetődnek össze a recept hozzávalóival.
  * 
  * @param {Array} recipes - Receptek tömbje
- * @param {Object} criteria - Szűrési kritériumok
+ * @param {Object} criteria - Szűrési kritériumok ({ category, categories, minSustainability,
+ *                            maxSustainability, maxEnvScore, minNutriScore, maxNutriScore,
+ *                            excludeIngredients, requireIngredients })
  * @returns {Array} Szűrt receptek
  */
 export function filterRecipes(recipes, criteria = {}) {
@@ -284,11 +516,22 @@ export function filterRecipes(recipes, criteria = {}) {
             return false;
         }
         
+        // Több kategória közül bármelyik
+        if (Array.isArray(criteria.categories) && criteria.categories.length > 0 &&
+            !criteria.categories.includes(recipe.category)) {
+            return false;
+        }
+        
         // Fenntarthatósági minimum
         if (criteria.minSustainability && recipe.sustainability_index < criteria.minSustainability) {
             return false;
         }
         
+        // Fenntarthatósági maximum
+        if (criteria.maxSustainability !== undefined && recipe.sustainability_index > criteria.maxSustainability) {
+            return false;
+        }
+        
         // Környezeti maximum
         if (criteria.maxEnvScore && recipe.env_score > criteria.maxEnvScore) {
             return false;
@@ -299,11 +542,28 @@ export function filterRecipes(recipes, criteria = {}) {
             return false;
         }
         
+        // Táplálkozási maximum
+        if (criteria.maxNutriScore !== undefined && recipe.nutri_score > criteria.maxNutriScore) {
+            return false;
+        }
+        
         // Hozzávaló kizárás
-        if (criteria.excludeIngredients && Array.isArray(criteria.excludeIngredients)) {
-            const ingredients = recipe.ingredients.toLowerCase();
+        if (Array.isArray(criteria.excludeIngredients) && criteria.excludeIngredients.length > 0) {
+            const ingredients = getIngredientList(recipe).map(normalizeIngredient);
             for (const excluded of criteria.excludeIngredients) {
-                if (ingredients.includes(excluded.toLowerCase())) {
+                const term = normalizeText(excluded);
+                if (term && ingredients.some(ingredient => containsTerm(ingredient, term))) {
+                    return false;
+                }
+            }
+        }
+        
+        // Kötelező hozzávalók
+        if (Array.isArray(criteria.requireIngredients) && criteria.requireIngredients.length > 0) {
+            const ingredients = getIngredientList(recipe).map(normalizeIngredient);
+            for (const required of criteria.requireIngredients) {
+                const term = normalizeText(required);
+                if (term && !ingredients.some(ingredient => containsTerm(ingredient, term))) {
                     return false;
                 }
             }
@@ -0,0 +1,317 @@
+/**
+ * experiment.js
+ * Kísérleti csoportba sorolás (N karú, reprodukálható randomizáció)
+ * Verzió: 2025.06.20
+ */
+
+import CONFIG from './config.js';
+import { createSeededRandom, shuffleArray, safeJsonParse, safeJsonStringify } from '../utils/helpers.js';
+
+// Támogatott karszám és besorolási módszerek
+const MIN_ARMS = 2;
+const MAX_ARMS = 6;
+const ASSIGNMENT_METHODS = ['hash', 'block', 'stratified'];
+
+// Magyarázat stílusok (display.explanationStyle): összetett, csak tényezők,
+// csak kontrafaktuális, csak szöveges összefoglaló, összevető ("miért ez és nem a #2")
+const EXPLANATION_STYLES = ['composite', 'attribution', 'counterfactual', 'summary', 'contrastive'];
+
+/**
+ * Kísérleti karok lekérése a konfigurációból
+ * 
+ * @returns {Array} Karok ({ id, allocation, description })
+ */
+export function getArms() {
+    return Object.entries(CONFIG.TEST_GROUPS || {}).map(([id, arm]) => ({
+        id,
+        allocation: arm.allocation ?? 1,
+        description: arm.description || ''
+    }));
+}
+
+/**
+ * Kísérleti karok azonosítói
+ * 
+ * @returns {Array} Kar azonosítók (pl. ['A', 'B', 'C'])
+ */
+export function getArmIds() {
+    return getArms().map(arm => arm.id);
+}
+
+/**
+ * Kar megjelenítési beállításai
+ * 
+ * @param {string} armId - Kar (teszt csoport) azonosító
+ * @returns {Object} Megjelenítési kapcsolók
+ */
+export function getArmDisplay(armId) {
+    return {
+        showScores: false,
+        showExplanations: false,
+        showFacets: false,
+        pageSize: CONFIG.SEARCH?.MAX_RESULTS || 10,
+        allowUserSort: false,
+        showCounterfactuals: false,
+        explanationStyle: 'composite',
+        allowCompare: false,
+        ...(CONFIG.TEST_GROUPS?.[armId]?.display || {})
+    };
+}
+
+/**
+ * Szabad felfedezés mód (a kontrollált vizsgálaton kívül)
+ * Csak a konfigurációból kapcsolható be, így a vizsgálat résztvevői nem
+ * írhatják felül a kar rendezését.
+ * 
+ * @returns {boolean} Aktív-e a felfedezés mód
+ */
+export function isExplorationMode() {
+    return CONFIG.EXPLORATION?.ENABLED === true;
+}
+
+/**
+ * Választhat-e a felhasználó rendezést a karban
+ * Ahol a sorrend a kísérleti manipuláció, csak felfedezés módban.
+ * 
+ * @param {string} armId - Kar (teszt csoport) azonosító
+ * @returns {boolean} Engedélyezett-e a felhasználói rendezés
+ */
+export function isUserSortEnabled(armId) {
+    return isExplorationMode() || getArmDisplay(armId).allowUserSort === true;
+}
+
+/**
+ * Kísérleti konfiguráció ellenőrzése
+ * 
+ * @param {string} method - Besorolási módszer
+ * @returns {Array} Érvényes karok
+ */
+export function validateExperimentConfig(method = getAssignmentMethod()) {
+    const arms = getArms();
+    
+    if (arms.length < MIN_ARMS || arms.length > MAX_ARMS) {
+        throw new Error(`Érvénytelen kísérleti konfiguráció: ${MIN_ARMS}-${MAX_ARMS} kar szükséges (jelenleg ${arms.length})`);
+    }
+    
+    if (!ASSIGNMENT_METHODS.includes(method)) {
+        throw new Error(`Ismeretlen besorolási módszer: ${method}`);
+    }
+    
+    arms.forEach(arm => {
+        if (typeof arm.allocation !== 'number' || arm.allocation <= 0) {
+            throw new Error(`Érvénytelen kiosztási arány a(z) ${arm.id} karnál`);
+        }
+        
+        // Blokkos kiosztásnál a blokk csak egész arányokból rakható össze
+        if (method !== 'hash' && !Number.isInteger(arm.allocation)) {
+            throw new Error(`A(z) ${arm.id} kar kiosztási aránya blokkos randomizációhoz egész szám kell legyen`);
+        }
+        
+        const { pageSize, explanationStyle } = getArmDisplay(arm.id);
+        if (!Number.isInteger(pageSize) || pageSize <= 0) {
+            throw new Error(`Érvénytelen oldalméret a(z) ${arm.id} karnál`);
+        }
+        
+        if (!EXPLANATION_STYLES.includes(explanationStyle)) {
+            throw new Error(`Ismeretlen magyarázat stílus a(z) ${arm.id} karnál: ${explanationStyle}`);
+        }
+    });
+    
+    return arms;
+}
+
+/**
+ * Felhasználó besorolása egy kísérleti karba
+ * A besorolás a seedből és a felhasználó azonosítójából (hash), illetve a
+ * rétegen belüli érkezési sorszámból (blokkos) bármikor újraszámolható.
+ * 
+ * @param {string} userId - Felhasználó azonosító
+ * @param {Object} attributes - Rétegzéshez használt felhasználói attribútumok
+ * @returns {Object} Besorolási rekord (arm, method, seed, ...)
+ */
+export function assignArm(userId, attributes = {}) {
+    const method = getAssignmentMethod();
+    const arms = validateExperimentConfig(method);
+    const seed = getExperimentSeed();
+    
+    let details;
+    
+    switch (method) {
+        case 'hash':
+            details = assignByHash(userId, arms, seed);
+            break;
+            
+        case 'block':
+            details = assignByBlock(seed, 'all');
+            break;
+            
+        case 'stratified':
+            details = assignByBlock(seed, getStratumKey(attributes));
+            break;
+    }
+    
+    const assignment = {
+        experimentId: CONFIG.EXPERIMENT?.ID || null,
+        method,
+        seed,
+        ...details,
+        assignedAt: new Date().toISOString()
+    };
+    
+    console.log(`🎲 Csoportba sorolás (${method}): ${assignment.arm}`);
+    
+    return assignment;
+}
+
+/**
+ * Blokk újragenerálása auditáláshoz
+ * 
+ * @param {string} seed - Kísérlet seed
+ * @param {string} stratum - Réteg kulcs
+ * @param {number} blockIndex - Blokk sorszáma
+ * @returns {Array} A blokk kar sorrendje
+ */
+export function buildAllocationBlock(seed, stratum, blockIndex) {
+    const arms = validateExperimentConfig('block');
+    const repeats = Math.max(1, CONFIG.EXPERIMENT?.BLOCK_REPEATS || 1);
+    
+    const block = [];
+    arms.forEach(arm => {
+        for (let i = 0; i < arm.allocation * repeats; i++) {
+            block.push(arm.id);
+        }
+    });
+    
+    const random = createSeededRandom(`${seed}|${stratum}|${blockIndex}`);
+    return shuffleArray(block, random);
+}
+
+/**
+ * Besorolási állapot törlése (új kísérlet indításakor)
+ * 
+ * @returns {boolean} Sikeres törlés
+ */
+export function resetAssignmentState() {
+    try {
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.EXPERIMENT_STATE);
+        console.log('✅ Besorolási állapot törölve');
+        return true;
+    } catch (error) {
+        console.error('❌ Besorolási állapot törlési hiba:', error);
+        return false;
+    }
+}
+
+/**
+ * Hash alapú besorolás kiosztási arányokkal
+ * 
+ * @param {string} userId - Felhasználó azonosító
+ * @param {Array} arms - Karok
+ * @param {string} seed - Kísérlet seed
+ * @returns {Object} Besorolás részletei
+ */
+function assignByHash(userId, arms, seed) {
+    const totalAllocation = arms.reduce((sum, arm) => sum + arm.allocation, 0);
+    const draw = createSeededRandom(`${seed}|${userId}`)() * totalAllocation;
+    
+    let cumulative = 0;
+    const arm = arms.find(candidate => {
+        cumulative += candidate.allocation;
+        return draw < cumulative;
+    }) || arms[arms.length - 1];
+    
+    return { arm: arm.id, stratum: null };
+}
+
+/**
+ * Permutált blokkos besorolás (rétegenként külön sorozattal)
+ * Az n-edik érkező a(z) ⌊n / blokkméret⌋-edik blokk n-edik helyét kapja, így
+ * minden teljes blokk után a karok létszáma pontosan a kiosztási arányokat
+ * követi. Az érkezési számlálót (seedenként és rétegenként) a felhasználói
+ * rekord mellett őrizzük; a sorszám a besorolási rekordba kerül auditáláshoz.
+ * 
+ * @param {string} seed - Kísérlet seed
+ * @param {string} stratum - Réteg kulcs
+ * @returns {Object} Besorolás részletei
+ */
+function assignByBlock(seed, stratum) {
+    const state = loadAssignmentState(seed);
+    const sequenceNumber = state.strata[stratum] || 0;
+    
+    const blockSize = buildAllocationBlock(seed, stratum, 0).length;
+    const blockIndex = Math.floor(sequenceNumber / blockSize);
+    const blockPosition = sequenceNumber % blockSize;
+    const arm = buildAllocationBlock(seed, stratum, blockIndex)[blockPosition];
+    
+    state.strata[stratum] = sequenceNumber + 1;
+    saveAssignmentState(state);
+    
+    return { arm, stratum, sequenceNumber, blockIndex, blockPosition, blockSize };
+}
+
+/**
+ * Réteg kulcs összeállítása a konfigurált attribútumokból
+ * 
+ * @param {Object} attributes - Felhasználói attribútumok
+ * @returns {string} Réteg kulcs
+ */
+function getStratumKey(attributes) {
+    const fields = CONFIG.EXPERIMENT?.STRATIFY_BY || [];
+    
+    if (fields.length === 0) {
+        return 'all';
+    }
+    
+    return fields
+        .map(field => `${field}=${attributes?.[field] ?? 'ismeretlen'}`)
+        .join('|');
+}
+
+/**
+ * Besorolási módszer a konfigurációból
+ * 
+ * @returns {string} Módszer
+ */
+function getAssignmentMethod() {
+    return CONFIG.EXPERIMENT?.METHOD || 'hash';
+}
+
+/**
+ * Kísérlet seed a konfigurációból
+ * 
+ * @returns {string} Seed
+ */
+function getExperimentSeed() {
+    return String(CONFIG.EXPERIMENT?.SEED ?? CONFIG.EXPERIMENT?.ID ?? 'eco-score');
+}
+
+/**
+ * Besorolási állapot betöltése
+ * Más kísérlet vagy seed számlálóját nem folytatjuk.
+ * 
+ * @param {string} seed - Kísérlet seed
+ * @returns {Object} Állapot ({ experimentId, seed, strata })
+ */
+function loadAssignmentState(seed) {
+    const experimentId = CONFIG.EXPERIMENT?.ID || null;
+    const state = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.EXPERIMENT_STATE), null);
+    
+    if (!state || state.experimentId !== experimentId || state.seed !== seed || !state.strata) {
+        return { experimentId, seed, strata: {} };
+    }
+    
+    return state;
+}
+
+/**
+ * Besorolási állapot mentése
+ * 
+ * @param {Object} state - Állapot
+ */
+function saveAssignmentState(state) {
+    try {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.EXPERIMENT_STATE, safeJsonStringify(state));
+    } catch (error) {
+        console.error('❌ Besorolási állapot mentési hiba:', error);
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * facets.js
+ * Keresési szűrőpanel: kategória, Eco-Score és táplálkozási tartomány, allergének
+ * Verzió: 2025.06.20
+ */
+
+import CONFIG from './config.js';
+import { filterRecipes, groupRecipesByCategory } from './data-loader.js';
+import { getKnowledgeSection } from './knowledge-base.js';
+
+// A tartomány csúszkák határai (a pontszámok 0-100 skálán vannak)
+const RANGE_MIN = 0;
+const RANGE_MAX = 100;
+
+// Szűrők (facet) nevei, a naplózott eseményekben is
+const FACETS = ['category', 'sustainability', 'nutrition', 'allergen'];
+
+/**
+ * Alapállapotú (semmit nem szűrő) szűrőpanel állapot
+ * 
+ * @returns {Object} Állapot ({ categories, sustainability, nutrition, allergens })
+ */
+export function createFacetState() {
+    return {
+        categories: [],
+        sustainability: [RANGE_MIN, RANGE_MAX],
+        nutrition: [RANGE_MIN, RANGE_MAX],
+        allergens: []
+    };
+}
+
+/**
+ * Szűrőpanel állapot módosítása (az eredeti állapot nem változik)
+ * 
+ * @param {Object} state - Jelenlegi állapot
+ * @param {string} facet - Szűrő neve ('category' | 'sustainability' | 'nutrition' | 'allergen')
+ * @param {*} value - Kategória vagy allergén kulcs, tartománynál [min, max]
+ * @param {boolean} selected - Kijelölés (kategória és allergén esetén)
+ * @returns {Object} Új állapot
+ */
+export function updateFacetState(state, facet, value, selected = true) {
+    if (!FACETS.includes(facet)) {
+        throw new Error(`Ismeretlen szűrő: ${facet}`);
+    }
+    
+    const next = {
+        ...state,
+        categories: [...state.categories],
+        allergens: [...state.allergens]
+    };
+    
+    if (facet === 'category' || facet === 'allergen') {
+        const key = facet === 'category' ? 'categories' : 'allergens';
+        next[key] = next[key].filter(item => item !== value);
+        if (selected) {
+            next[key].push(value);
+        }
+    } else {
+        next[facet] = normalizeRange(value);
+    }
+    
+    return next;
+}
+
+/**
+ * Aktív-e valamelyik szűrő
+ * 
+ * @param {Object} state - Szűrőpanel állapot
+ * @returns {boolean} Szűr-e a panel
+ */
+export function isFacetStateActive(state) {
+    return Object.keys(getFacetFilters(state)).length > 0;
+}
+
+/**
+ * Szűrőpanel állapot filterRecipes() kritériumokká alakítása
+ * 
+ * @param {Object} state - Szűrőpanel állapot
+ * @param {string|null} omit - Kihagyandó szűrő (a saját darabszámaihoz)
+ * @returns {Object} filterRecipes() kritériumok
+ */
+export function getFacetFilters(state, omit = null) {
+    const filters = {};
+    
+    if (omit !== 'category' && state.categories.length > 0) {
+        filters.categories = [...state.categories];
+    }
+    
+    if (omit !== 'sustainability') {
+        Object.assign(filters, toRangeFilters(state.sustainability, 'minSustainability', 'maxSustainability'));
+    }
+    
+    if (omit !== 'nutrition') {
+        Object.assign(filters, toRangeFilters(state.nutrition, 'minNutriScore', 'maxNutriScore'));
+    }
+    
+    if (omit !== 'allergen' && state.allergens.length > 0) {
+        filters.excludeIngredients = state.allergens.flatMap(getAllergenTerms);
+    }
+    
+    return filters;
+}
+
+/**
+ * Szűrőpanel adatai a lekérdezés teljes találati halmazából
+ * A kategóriák darabszáma a többi szűrő után, a kategória szűrő nélkül
+ * számolódik (így a nem kijelölt kategóriák is mutatják, mennyit adnának);
+ * az allergéneknél az a szám, ahány találatot az adott allergén tartalmaz.
+ * 
+ * @param {Array} matches - A lekérdezésre illeszkedő összes recept
+ * @param {Object} state - Szűrőpanel állapot
+ * @returns {Object} Szűrőpanel adatok ({ total, categories, sustainability, nutrition, allergens })
+ */
+export function computeFacets(matches, state) {
+    const recipes = Array.isArray(matches) ? matches : [];
+    
+    const categoryBase = filterRecipes(recipes, getFacetFilters(state, 'category'));
+    const grouped = groupRecipesByCategory(categoryBase);
+    const categoryNames = [...new Set([
+        ...Object.keys(CONFIG.CATEGORY_ICONS || {}),
+        ...Object.keys(grouped)
+    ])];
+    
+    const categories = categoryNames
+        .map(category => ({
+            category,
+            icon: CONFIG.CATEGORY_ICONS?.[category] || '🍴',
+            count: grouped[category]?.length || 0,
+            selected: state.categories.includes(category)
+        }))
+        .filter(item => item.count > 0 || item.selected);
+    
+    const allergenBase = filterRecipes(recipes, getFacetFilters(state, 'allergen'));
+    const allergens = getKnowledgeSection('allergens').map(allergen => ({
+        key: allergen.key,
+        label: allergen.label,
+        count: allergenBase.length - filterRecipes(allergenBase, { excludeIngredients: getAllergenTerms(allergen.key) }).length,
+        selected: state.allergens.includes(allergen.key)
+    }));
+    
+    return {
+        total: filterRecipes(recipes, getFacetFilters(state)).length,
+        categories,
+        sustainability: { min: RANGE_MIN, max: RANGE_MAX, selected: [...state.sustainability] },
+        nutrition: { min: RANGE_MIN, max: RANGE_MAX, selected: [...state.nutrition] },
+        allergens
+    };
+}
+
+/**
+ * Egy allergén csoport hozzávalói (tudásbázis allergens szakasza)
+ * 
+ * @param {string} key - Allergén kulcs
+ * @returns {Array} Hozzávaló nevek
+ */
+export function getAllergenTerms(key) {
+    const allergen = getKnowledgeSection('allergens').find(entry => entry.key === key);
+    return allergen ? [allergen.name, ...allergen.synonyms] : [];
+}
+
+/**
+ * Tartomány rendezése és a határokhoz igazítása
+ * 
+ * @param {Array} range - [min, max]
+ * @returns {Array} Érvényes [min, max]
+ */
+function normalizeRange(range) {
+    const [low, high] = (Array.isArray(range) ? range : [RANGE_MIN, RANGE_MAX])
+        .map(value => Math.min(RANGE_MAX, Math.max(RANGE_MIN, Number(value) || 0)));
+    
+    return low <= high ? [low, high] : [high, low];
+}
+
+/**
+ * Tartomány kritériumok (a teljes tartomány nem szűr)
+ * 
+ * @param {Array} range - [min, max]
+ * @param {string} minKey - Minimum kritérium neve
+ * @param {string} maxKey - Maximum kritérium neve
+ * @returns {Object} Kritériumok
+ */
+function toRangeFilters(range, minKey, maxKey) {
+    const filters = {};
+    
+    if (range[0] > RANGE_MIN) {
+        filters[minKey] = range[0];
+    }
+    
+    if (range[1] < RANGE_MAX) {
+        filters[maxKey] = range[1];
+    }
+    
+    return filters;
+}
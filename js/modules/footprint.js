@@ -0,0 +1,148 @@
+/**
+ * footprint.js
+ * Hozzávaló alapú környezeti lábnyom becslés (CO2e, víz, földhasználat)
+ * Verzió: 2025.06.20
+ */
+
+import CONFIG from './config.js';
+import { getIngredientRows } from './data-loader.js';
+import { getKnowledgeSection, getEntryTerms, getKnowledgeBaseVersion } from './knowledge-base.js';
+import { normalizeIngredient, containsTerm } from './ingredient-normalizer.js';
+
+/**
+ * Hozzávaló emissziós tényezőjének keresése a tudásbázisban
+ * A tényezők 1 kg termékre vonatkoznak: co2e (kg CO2-egyenérték), water (liter),
+ * land (m² év); forrás Poore & Nemecek (2018) kerekítve ('P&N2018') vagy
+ * irodalmi becslés ('becslés').
+ * A leghosszabb illeszkedő kulcsszó nyer (pl. "mogyoróvaj" a "vaj" előtt,
+ * "borsó" a "bors" előtt), egyenlőségnél a táblázatban korábbi bejegyzés.
+ * 
+ * @param {string} ingredient - Hozzávaló neve
+ * @returns {Object|null} Emissziós tényező vagy null, ha ismeretlen
+ */
+export function getEmissionFactor(ingredient) {
+    if (!ingredient || typeof ingredient !== 'string') {
+        return null;
+    }
+    
+    const normalized = normalizeIngredient(ingredient);
+    let bestMatch = null;
+    let bestLength = 0;
+    
+    getKnowledgeSection('emissionFactors').forEach(factor => {
+        getEntryTerms(factor).forEach(keyword => {
+            if (keyword.length > bestLength && containsTerm(normalized, keyword)) {
+                bestMatch = factor;
+                bestLength = keyword.length;
+            }
+        });
+    });
+    
+    if (!bestMatch) {
+        return null;
+    }
+    
+    const { name: canonicalName, synonyms, ...factor } = bestMatch;
+    return factor;
+}
+
+/**
+ * Egy hozzávaló lábnyomának becslése
+ * A forrásadat mennyiségei mértékegység nélküliek (jellemzően csésze, darab,
+ * font vagy kanál), ezért a tényező gramsPerUnit értékével (egy tipikus egység
+ * tömege) számolunk; a CONFIG.FOOTPRINT.GRAMS_THRESHOLD feletti mennyiségeket
+ * (metrikus receptek) közvetlenül grammnak vesszük.
+ * 
+ * @param {string} ingredient - Hozzávaló neve
+ * @param {number|null} quantity - Mennyiség (mértékegység nélkül); null esetén 1 egység
+ * @returns {Object} Becslés ({ name, factor, grams, co2eKg, waterL, landM2, matched })
+ */
+export function estimateIngredientFootprint(ingredient, quantity = null) {
+    const factor = getEmissionFactor(ingredient);
+    
+    if (!factor) {
+        return { name: ingredient, factor: null, grams: 0, co2eKg: 0, waterL: 0, landM2: 0, matched: false };
+    }
+    
+    const units = quantity !== null && quantity >= 0 ? quantity : 1;
+    const gramsThreshold = CONFIG.FOOTPRINT?.GRAMS_THRESHOLD ?? Infinity;
+    const grams = units > gramsThreshold ? units : units * factor.gramsPerUnit;
+    const kilograms = grams / 1000;
+    
+    return {
+        name: ingredient,
+        factor: factor.key,
+        grams: Math.round(grams),
+        co2eKg: kilograms * factor.co2e,
+        waterL: kilograms * factor.water,
+        landM2: kilograms * factor.land,
+        matched: true
+    };
+}
+
+/**
+ * Recept lábnyomának becslése a hozzávalók mennyiségéből
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @param {number} multiplier - Adagszorzó
+ * @returns {Object} Lábnyom (co2eKg, waterL, landM2, lefedettség, hozzávalónkénti bontás)
+ */
+export function calculateRecipeFootprint(recipe, multiplier = 1) {
+    const rows = getIngredientRows(recipe);
+    
+    const ingredients = rows.map(row => estimateIngredientFootprint(
+        row.name,
+        row.quantity !== null ? row.quantity * multiplier : multiplier
+    ));
+    
+    const matched = ingredients.filter(item => item.matched);
+    const sum = field => matched.reduce((total, item) => total + item[field], 0);
+    
+    return {
+        co2eKg: roundTo(sum('co2eKg'), 3),
+        waterL: roundTo(sum('waterL'), 1),
+        landM2: roundTo(sum('landM2'), 2),
+        totalGrams: Math.round(sum('grams')),
+        // Hány hozzávalóhoz volt emissziós tényező
+        coverage: rows.length > 0 ? roundTo(matched.length / rows.length, 3) : 0,
+        // A mennyiségek a forrásadatból származnak-e (különben 1 egység/hozzávaló)
+        quantitiesFromData: rows.some(row => row.quantity !== null),
+        ingredients: ingredients.map(item => ({
+            ...item,
+            co2eKg: roundTo(item.co2eKg, 3),
+            waterL: roundTo(item.waterL, 1),
+            landM2: roundTo(item.landM2, 2)
+        }))
+    };
+}
+
+/**
+ * Lábnyom összefoglaló választás vagy impresszió naplózásához
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @returns {Object} Rövid lábnyom adatok
+ */
+export function getFootprintSummary(recipe) {
+    const footprint = calculateRecipeFootprint(recipe);
+    
+    return {
+        co2eKg: footprint.co2eKg,
+        waterL: footprint.waterL,
+        landM2: footprint.landM2,
+        coverage: footprint.coverage,
+        model: CONFIG.FOOTPRINT?.MODEL_VERSION || null,
+        knowledgeBaseVersion: getKnowledgeBaseVersion()
+    };
+}
+
+/**
+ * Kerekítés adott tizedesjegyre
+ * 
+ * @param {number} value - Érték
+ * @param {number} decimals - Tizedesjegyek
+ * @returns {number} Kerekített érték
+ */
+function roundTo(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,166 @@
+/**
+ * impressions.js
+ * Megjelenített találati oldalak (impressziók) naplózása
+ * Verzió: 2025.06.20
+ */
+
+import CONFIG from './config.js';
+import { generateUniqueId, safeJsonParse, safeJsonStringify } from '../utils/helpers.js';
+import { getCurrentSessionId } from './session-manager.js';
+import { getArmDisplay } from './experiment.js';
+import { getPrimaryImage } from './data-loader.js';
+import { calculateRecipeFootprint } from './footprint.js';
+
+/**
+ * Impresszió rögzítése egy megjelenített találati oldalhoz
+ * A találatok sorrendje és fenntarthatósági indexe mentésre kerül,
+ * a későbbi választás a közös keresés azonosítón keresztül kapcsolható hozzá.
+ * Lapozásnál oldalanként külön impresszió készül; a rangsor pozíció a
+ * teljes találati listában értendő (a 2. oldal első elemének rangja pl. 11).
+ * Az imageShown azt jelzi, hogy a kép elem megjelent; az imageLoaded a
+ * tényleges betöltést (null: még nem töltött be, lásd recordImageLoad()).
+ * 
+ * @param {Object} user - Felhasználó objektum
+ * @param {string|null} searchId - A találati oldalt előállító keresés azonosítója
+ * @param {Array} recipes - Megjelenített receptek (rangsor szerint)
+ * @param {string|null} rankingSeed - A sorrendet előállító rangsorolási seed
+ * @param {Object|null} pageInfo - Találati oldal ({ page, pageSize, startRank, totalResults })
+ * @returns {Object|null} Rögzített impresszió
+ */
+export function recordImpression(user, searchId, recipes, rankingSeed = null, pageInfo = null) {
+    if (!CONFIG.ANALYTICS?.ENABLED || !CONFIG.ANALYTICS?.TRACK_VIEWS) {
+        return null;
+    }
+    
+    if (!user || !Array.isArray(recipes) || recipes.length === 0) {
+        return null;
+    }
+    
+    const imagesEnabled = getArmDisplay(user.testGroup).showImages;
+    const startRank = pageInfo?.startRank || 1;
+    
+    const impression = {
+        impressionId: `impression_${generateUniqueId()}`,
+        searchId: searchId,
+        sessionId: getCurrentSessionId(),
+        userId: user.id,
+        testGroup: user.testGroup,
+        rankingSeed: rankingSeed,
+        imagesEnabled: imagesEnabled,
+        page: pageInfo?.page || 1,
+        pageSize: pageInfo?.pageSize || recipes.length,
+        totalResults: pageInfo?.totalResults ?? recipes.length,
+        items: recipes.map((recipe, index) => {
+            // Kép csak akkor jelenik meg, ha a csoportban be van kapcsolva és van URL
+            const imageShown = imagesEnabled && getPrimaryImage(recipe) !== null;
+            
+            return {
+                recipeId: recipe.recipeid,
+                rank: startRank + index,
+                sustainabilityIndex: recipe.sustainability_index || 0,
+                co2eKg: calculateRecipeFootprint(recipe).co2eKg,
+                imageShown: imageShown,
+                imageLoaded: imageShown ? null : false
+            };
+        }),
+        timestamp: new Date().toISOString()
+    };
+    
+    try {
+        const impressions = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.IMPRESSIONS), []);
+        impressions.push(impression);
+        localStorage.setItem(CONFIG.STORAGE_KEYS.IMPRESSIONS, safeJsonStringify(impressions, '[]'));
+    } catch (error) {
+        console.error('❌ Impresszió mentési hiba:', error);
+    }
+    
+    console.log(`👁️ Impresszió naplózva: ${impression.page}. oldal, ${impression.items.length} recept`);
+    
+    return impression;
+}
+
+/**
+ * Receptkép betöltésének (vagy betöltési hibájának) rögzítése
+ * A keresés legutóbbi, a receptet tartalmazó impressziójában frissül az
+ * imageLoaded mező.
+ * 
+ * @param {string|null} searchId - A találati oldalt előállító keresés azonosítója
+ * @param {number|string} recipeId - Recept azonosító
+ * @param {boolean} loaded - Betöltött-e a kép
+ * @returns {boolean} Sikeres frissítés
+ */
+export function recordImageLoad(searchId, recipeId, loaded) {
+    if (!searchId) {
+        return false;
+    }
+    
+    try {
+        const impressions = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.IMPRESSIONS), []);
+        for (let i = impressions.length - 1; i >= 0; i--) {
+            const item = impressions[i].searchId === searchId
+                ? impressions[i].items.find(entry => String(entry.recipeId) === String(recipeId))
+                : null;
+            
+            if (item) {
+                item.imageLoaded = loaded;
+                localStorage.setItem(CONFIG.STORAGE_KEYS.IMPRESSIONS, safeJsonStringify(impressions, '[]'));
+                return true;
+            }
+        }
+    } catch (error) {
+        console.error('❌ Képbetöltés mentési hiba:', error);
+    }
+    
+    return false;
+}
+
+/**
+ * Impressziók lekérése
+ * 
+ * @param {string} userId - Felhasználó azonosító (opcionális)
+ * @returns {Array} Impressziók tömbje
+ */
+export function getImpressions(userId = null) {
+    try {
+        const impressions = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.IMPRESSIONS), []);
+        
+        if (userId) {
+            return impressions.filter(impression => impression.userId === userId);
+        }
+        
+        return impressions;
+    } catch (error) {
+        console.error('❌ Impressziók lekérési hiba:', error);
+        return [];
+    }
+}
+
+/**
+ * Egy kereséshez tartozó impressziók lekérése
+ * 
+ * @param {string} searchId - Keresés azonosító
+ * @returns {Array} A kereséshez tartozó impressziók
+ */
+export function getImpressionsForSearch(searchId) {
+    if (!searchId) {
+        return [];
+    }
+    
+    return getImpressions().filter(impression => impression.searchId === searchId);
+}
+
+/**
+ * Impressziós napló törlése
+ * 
+ * @returns {boolean} Sikeres törlés
+ */
+export function clearImpressions() {
+    try {
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.IMPRESSIONS);
+        console.log('✅ Impressziós napló törölve');
+        return true;
+    } catch (error) {
+        console.error('❌ Impressziós napló törlési hiba:', error);
+        return false;
+    }
+}
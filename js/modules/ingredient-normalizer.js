@@ -0,0 +1,404 @@
+/**
+ * ingredient-normalizer.js
+ * Magyar nyelvű hozzávaló normalizálás (ékezet, toldalék, szinonima, összetett szó)
+ * Verzió: 2025.06.20
+ */
+
+import { getKnowledgeSection } from './knowledge-base.js';
+
+// Egy szótő legalább ennyi karakter (a tudásbázisban szereplő szavakra nem vonatkozik)
+const MIN_STEM_LENGTH = 3;
+
+// Ismeretlen (szótárban nem szereplő) szó szótöve legalább ennyi karakter
+// (így a "sült" nem csonkul "sül"-re, a "sót" viszont a szótárból "só" marad)
+const MIN_UNKNOWN_STEM_LENGTH = 4;
+
+// Összetett szó utótagjaként elfogadott ismert szó minimális hossza
+const MIN_HEAD_LENGTH = 4;
+
+// Ennél rövidebb kifejezés csak egész szóként (vagy összetétel tagjaként) illeszkedik
+const SHORT_TERM_LENGTH = 3;
+
+// Legfeljebb ennyi toldalék választható le egymás után (pl. hagymá-k-at)
+const MAX_SUFFIX_ROUNDS = 2;
+
+// Esetragok, hosszabbak előre
+const CASE_SUFFIXES = [
+    'ként',
+    'ból', 'ből', 'ról', 'ről', 'tól', 'től', 'nak', 'nek', 'val', 'vel', 'ban', 'ben',
+    'hoz', 'hez', 'höz', 'nál', 'nél', 'ért',
+    'ba', 'be', 'ra', 're', 'ig'
+];
+
+// Kötőhangzós toldalékok (tárgyrag, többes szám, -on, melléknévképző -s),
+// csak mássalhangzóra végződő tő után
+const LINKED_SUFFIXES = ['ot', 'et', 'öt', 'at', 'ok', 'ek', 'ök', 'ak', 'on', 'en', 'ön', 'os', 'es', 'ös', 'as'];
+
+// Magánhangzó után kötőhangzó nélkül álló toldalékok (almá-t, hagymá-k, kakaó-s)
+const VOWEL_SUFFIXES = ['t', 'k', 'n', 's'];
+
+// A tárgyrag -t kötőhangzó nélkül ezek után a mássalhangzók után is állhat (pl. mártást)
+const BARE_T_CONSONANTS = ['s', 'z', 'l', 'n', 'r', 'j', 'y'];
+
+const VOWELS = 'aáeéiíoóöőuúüű';
+
+// Gyorsítótárak (a tudásbázis cseréjekor törlendők)
+const textCache = new Map();
+const ingredientCache = new Map();
+const lemmaCache = new Map();
+const compoundCache = new Map();
+let lexiconCache = null;
+
+/**
+ * Ékezetek eltávolítása
+ * 
+ * @param {string} text - Szöveg
+ * @returns {string} Ékezet nélküli szöveg
+ */
+export function foldAccents(text) {
+    if (!text || typeof text !== 'string') {
+        return '';
+    }
+    
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Szöveg normalizálása összehasonlításhoz
+ * Kisbetűsítés, írásjelek eltávolítása, ékezetmentesítés, szavanként
+ * toldalékleválasztás, majd szinonimák kanonikus alakra cserélése.
+ * 
+ * @param {string} text - Hozzávaló, keresési kifejezés vagy tudásbázis kulcs
+ * @returns {string} Normalizált alak (pl. "paradicsomot" → "paradicsom")
+ */
+export function normalizeText(text) {
+    if (!text || typeof text !== 'string') {
+        return '';
+    }
+    
+    if (textCache.has(text)) {
+        return textCache.get(text);
+    }
+    
+    const words = splitWords(text).map(getCachedLemma);
+    const normalized = applySynonyms(words).join(' ');
+    
+    textCache.set(text, normalized);
+    return normalized;
+}
+
+/**
+ * Hozzávaló normalizálása szövegre és szavakra bontva
+ * A szavak között az összetett szavak ismert tagjai is szerepelnek
+ * (pl. "csirkemellből" → csirkemell, csirke, mell).
+ * 
+ * @param {string} text - Hozzávaló neve
+ * @returns {Object} Normalizált hozzávaló ({ text, tokens })
+ */
+export function normalizeIngredient(text) {
+    if (ingredientCache.has(text)) {
+        return ingredientCache.get(text);
+    }
+    
+    const normalized = normalizeText(text);
+    const tokens = [];
+    
+    normalized.split(' ').filter(Boolean).forEach(word => {
+        if (!compoundCache.has(word)) {
+            compoundCache.set(word, splitCompound(word));
+        }
+        tokens.push(word, ...compoundCache.get(word));
+    });
+    
+    const result = {
+        text: normalized,
+        tokens: [...new Set(tokens)]
+    };
+    
+    ingredientCache.set(text, result);
+    return result;
+}
+
+/**
+ * Normalizált kifejezés előfordulása egy normalizált hozzávalóban
+ * Rövid kifejezés (pl. "so", "vaj") csak egész szóként vagy összetett szó
+ * utótagjaként (pekándió, vörösbor) illeszkedik, hosszabb kifejezés
+ * részszövegként is.
+ * 
+ * @param {Object} ingredient - normalizeIngredient() eredménye
+ * @param {string} term - normalizeText() eredménye
+ * @returns {boolean} Illeszkedik-e
+ */
+export function containsTerm(ingredient, term) {
+    if (!ingredient || !term) {
+        return false;
+    }
+    
+    if (term.length <= SHORT_TERM_LENGTH) {
+        return ingredient.tokens.some(token => token.endsWith(term));
+    }
+    
+    return ingredient.text.includes(term);
+}
+
+/**
+ * Részleges egyezés mindkét irányban
+ * A kifejezés szerepel a hozzávalóban, vagy a hozzávaló a kifejezésben
+ * (pl. "marha" és "marhapörkölt"), a containsTerm() szabályai szerint.
+ * 
+ * @param {Object} ingredient - normalizeIngredient() eredménye
+ * @param {string} term - normalizeText() eredménye
+ * @returns {boolean} Illeszkedik-e
+ */
+export function isPartialMatch(ingredient, term) {
+    return containsTerm(ingredient, term) || containsTerm(normalizeIngredient(term), ingredient.text);
+}
+
+/**
+ * Egy szó szótövének meghatározása (ékezetmentes alakban)
+ * A toldalékokat ékezetes alakon választjuk le, mert a tővégi magánhangzó
+ * nyúlása (almá-t, hagymá-k) jelzi a magánhangzós tövet. A tudásbázisban
+ * szereplő szavak változatlanok maradnak, így a toldaléknak látszó végződésű
+ * szavak (pl. tojás, sajt, spenót) nem csonkulnak.
+ * 
+ * @param {string} word - Kisbetűs szó
+ * @returns {string} Ékezetmentes szótő
+ */
+export function lemmatizeWord(word) {
+    const lexicon = getLexicon();
+    let current = word.toLowerCase();
+    
+    for (let round = 0; round < MAX_SUFFIX_ROUNDS; round++) {
+        const folded = foldAccents(current);
+        if (lexicon.words.has(folded)) {
+            break;
+        }
+        
+        const stems = getStemCandidates(current);
+        const knownStem = stems.flatMap(withDroppedVowel).find(stem => lexicon.words.has(foldAccents(stem)));
+        if (knownStem) {
+            current = knownStem;
+            continue;
+        }
+        
+        // Ismert utótagú összetett szó (krémsajt, marhahúsleves) nem csonkolható
+        if (endsWithKnownWord(folded, lexicon)) {
+            break;
+        }
+        
+        const stem = stems.find(candidate => foldAccents(candidate).length >= MIN_UNKNOWN_STEM_LENGTH);
+        if (!stem) {
+            break;
+        }
+        current = stem;
+    }
+    
+    return foldAccents(current);
+}
+
+/**
+ * Normalizálási gyorsítótárak törlése (tudásbázis cseréjekor)
+ */
+export function resetNormalizationCache() {
+    textCache.clear();
+    ingredientCache.clear();
+    lemmaCache.clear();
+    compoundCache.clear();
+    lexiconCache = null;
+}
+
+/**
+ * Kötőjel után álló toldalék felismerése
+ * A hasonult -val/-vel (ketchup-pal, vaj-jal) csak akkor toldalék, ha a
+ * mássalhangzója az előző tag végét ismétli, így a "sült-hal" hala megmarad.
+ * 
+ * @param {string} part - Kötőjel utáni szórész (kisbetűs)
+ * @param {string} previous - A kötőjel előtti szórész (kisbetűs)
+ * @returns {boolean} Toldalék-e (pl. "ban", "t", "pal")
+ */
+export function isHyphenatedSuffix(part, previous = '') {
+    if (CASE_SUFFIXES.includes(part) || LINKED_SUFFIXES.includes(part) || VOWEL_SUFFIXES.includes(part)) {
+        return true;
+    }
+    
+    const assimilated = part.match(new RegExp(`^([^${VOWELS}]+)[ae]l$`));
+    return Boolean(assimilated && previous && previous.endsWith(assimilated[1]));
+}
+
+/**
+ * Ismert szóra végződő összetett szó ellenőrzése (pl. krémsajt, marhahúsleves)
+ * 
+ * @param {string} word - Ékezetmentes szó
+ * @param {Object} lexicon - Szótár
+ * @returns {boolean} Ismert utótagú-e
+ */
+function endsWithKnownWord(word, lexicon) {
+    const endsWithKnown = known => known.length >= MIN_STEM_LENGTH &&
+        word.length - known.length >= 2 && word.endsWith(known);
+    
+    return lexicon.heads.some(endsWithKnown) || [...lexicon.words].some(endsWithKnown);
+}
+
+/**
+ * Szótő gyorsítótárból (a receptnevek és hozzávalók szavai sokszor ismétlődnek)
+ * 
+ * @param {string} word - Kisbetűs szó
+ * @returns {string} Ékezet nélküli szótő
+ */
+function getCachedLemma(word) {
+    if (!lemmaCache.has(word)) {
+        lemmaCache.set(word, lemmatizeWord(word));
+    }
+    
+    return lemmaCache.get(word);
+}
+
+/**
+ * Szöveg szavakra bontása
+ * A kötőjeles szó tagjai külön szavak (sült-csirke), de a kötőjellel írt
+ * toldalék (wok-ban, ketchup-pal) nem önálló szó.
+ * 
+ * @param {string} text - Szöveg
+ * @returns {Array} Kisbetűs szavak
+ */
+function splitWords(text) {
+    return text.toLowerCase()
+        .replace(/[^\w\s\u00C0-\u024F\u1E00-\u1EFF-]/g, ' ')
+        .split(/\s+/)
+        .flatMap(word => word.split('-').filter((part, index, parts) => index === 0 || !isHyphenatedSuffix(part, parts[index - 1])))
+        .filter(Boolean);
+}
+
+/**
+ * Szótő és kiesett tőhangzós változatai (cukr → cukor, epr → eper)
+ * A tőhangzó kiesése miatt a tárgyragos alakból (cukrot) nem a szótári tő
+ * marad; a visszaállított alakokat csak ismert szóként fogadjuk el.
+ * 
+ * @param {string} stem - Szótő jelölt
+ * @returns {Array} A jelölt és a visszaállított alakok
+ */
+function withDroppedVowel(stem) {
+    const cluster = stem.match(new RegExp(`^(.*[^${VOWELS}])([^${VOWELS}])$`));
+    if (!cluster) {
+        return [stem];
+    }
+    
+    return [stem, ...['o', 'e', 'ö'].map(vowel => `${cluster[1]}${vowel}${cluster[2]}`)];
+}
+
+/**
+ * Lehetséges szótövek egy toldalék leválasztásával
+ * 
+ * @param {string} word - Kisbetűs szó
+ * @returns {Array} Szótövek (a nyúlt tővégi á/é visszarövidítve)
+ */
+function getStemCandidates(word) {
+    const candidates = [];
+    const last = word.slice(-1);
+    const previous = word.slice(-2, -1);
+    
+    // Hasonult -val/-vel: tojással → tojás, olajjal → olaj
+    const assimilated = word.match(/^(.*([^aáeéiíoóöőuúüű]))\2[ae]l$/);
+    if (assimilated) {
+        candidates.push(assimilated[1]);
+    }
+    
+    CASE_SUFFIXES
+        .filter(suffix => word.endsWith(suffix))
+        .forEach(suffix => candidates.push(word.slice(0, -suffix.length)));
+    
+    LINKED_SUFFIXES
+        .filter(suffix => word.endsWith(suffix) && !VOWELS.includes(word.slice(-suffix.length - 1, -suffix.length)))
+        .forEach(suffix => candidates.push(word.slice(0, -suffix.length)));
+    
+    if (VOWEL_SUFFIXES.includes(last) &&
+        (VOWELS.includes(previous) || (last === 't' && BARE_T_CONSONANTS.includes(previous)))) {
+        candidates.push(word.slice(0, -1));
+    }
+    
+    return candidates
+        .filter(stem => stem.length > 0)
+        .map(stem => stem.replace(/á$/, 'a').replace(/é$/, 'e'));
+}
+
+/**
+ * Szinonimák cseréje kanonikus alakra
+ * Előbb a teljes kifejezést, majd az egyes szavakat vetjük össze a szótárral.
+ * 
+ * @param {Array} words - Szótövek
+ * @returns {Array} Kanonikus szavak
+ */
+function applySynonyms(words) {
+    const synonyms = getLexicon().synonyms;
+    const phrase = words.join(' ');
+    
+    if (synonyms.has(phrase)) {
+        return synonyms.get(phrase).split(' ');
+    }
+    
+    return words.map(word => synonyms.get(word) || word);
+}
+
+/**
+ * Összetett szó felbontása ismert tagokra
+ * Az előtag ismert hozzávaló kell legyen (csirke|mell igen, fok|hagyma nem),
+ * az utótag ismert hozzávaló vagy a szótár összetételi utótagja.
+ * 
+ * @param {string} word - Normalizált szó
+ * @returns {Array} Tagok (üres, ha nem bontható)
+ */
+function splitCompound(word) {
+    const { words, heads } = getLexicon();
+    
+    for (const head of heads) {
+        const prefix = word.slice(0, -head.length);
+        if (word.endsWith(head) && prefix.length >= MIN_STEM_LENGTH && words.has(prefix)) {
+            return [getLexicon().synonyms.get(prefix) || prefix, head];
+        }
+    }
+    
+    return [];
+}
+
+/**
+ * Szótár összeállítása a tudásbázisból
+ * words: minden tudásbázisbeli szó (ezek nem csonkolhatók),
+ * synonyms: változat → kanonikus alak, heads: összetételi utótagok.
+ * 
+ * @returns {Object} Szótár ({ words, synonyms, heads })
+ */
+function getLexicon() {
+    if (lexiconCache) {
+        return lexiconCache;
+    }
+    
+    const lexicon = getKnowledgeSection('lexicon') || {};
+    const words = new Set();
+    const addWords = term => splitWords(term).forEach(word => words.add(foldAccents(word)));
+    
+    ['sustainability', 'seasonality', 'substitutions', 'emissionFactors'].forEach(section => {
+        getKnowledgeSection(section).forEach(entry => {
+            [entry.name, ...(entry.synonyms || [])].forEach(addWords);
+        });
+    });
+    Object.values(getKnowledgeSection('categoryKeywords')).flat().forEach(addWords);
+    (lexicon.lemmas || []).forEach(addWords);
+    (lexicon.synonyms || []).forEach(entry => [entry.name, ...entry.synonyms].forEach(addWords));
+    
+    // A szinonimák kulcsai már szótövezett alakok (a szótár elkészülte után számolva)
+    lexiconCache = { words, synonyms: new Map(), heads: [] };
+    
+    const stemPhrase = term => splitWords(term).map(lemmatizeWord).join(' ');
+    (lexicon.synonyms || []).forEach(entry => {
+        const canonical = stemPhrase(entry.name);
+        entry.synonyms.forEach(synonym => lexiconCache.synonyms.set(stemPhrase(synonym), canonical));
+    });
+    
+    // Utótag a szótár összetételi utótagja, vagy legalább MIN_HEAD_LENGTH hosszú ismert szó
+    // (így a borsó nem bomlik bor + só tagokra)
+    const compoundHeads = (lexicon.compoundHeads || []).map(foldAccents);
+    lexiconCache.heads = [...new Set([...compoundHeads, ...[...words].filter(word => word.length >= MIN_HEAD_LENGTH)])]
+        .sort((a, b) => b.length - a.length);
+    
+    return lexiconCache;
+}
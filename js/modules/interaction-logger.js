@@ -0,0 +1,66 @@
+/**
+ * interaction-logger.js
+ * Felhasználói interakciók (pl. XAI megtekintések) naplózása
+ * Verzió: 2025.06.20
+ */
+
+import CONFIG from './config.js';
+import { generateUniqueId, safeJsonParse, safeJsonStringify } from '../utils/helpers.js';
+import { touchSession } from './session-manager.js';
+
+/**
+ * Interakciós esemény rögzítése
+ * A felhasználó és a teszt csoport az aktív munkamenetből származik.
+ * 
+ * @param {string} type - Esemény típusa (pl. 'xai_view')
+ * @param {Object} details - Eseményfüggő adatok
+ * @returns {Object|null} Rögzített esemény
+ */
+export function logInteraction(type, details = {}) {
+    if (!CONFIG.ANALYTICS?.ENABLED || !type) {
+        return null;
+    }
+    
+    const session = touchSession();
+    
+    const interaction = {
+        eventId: `event_${generateUniqueId()}`,
+        type: type,
+        userId: session?.userId || null,
+        testGroup: session?.testGroup || null,
+        sessionId: session?.sessionId || null,
+        details: details,
+        timestamp: new Date().toISOString()
+    };
+    
+    try {
+        const interactions = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.INTERACTIONS), []);
+        interactions.push(interaction);
+        localStorage.setItem(CONFIG.STORAGE_KEYS.INTERACTIONS, safeJsonStringify(interactions, '[]'));
+    } catch (error) {
+        console.error('❌ Interakció mentési hiba:', error);
+    }
+    
+    return interaction;
+}
+
+/**
+ * Interakciós események lekérése
+ * 
+ * @param {string} userId - Felhasználó azonosító (opcionális)
+ * @param {string} type - Esemény típusa (opcionális)
+ * @returns {Array} Események tömbje
+ */
+export function getInteractions(userId = null, type = null) {
+    try {
+        const interactions = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.INTERACTIONS), []);
+        
+        return interactions.filter(interaction =>
+            (!userId || interaction.userId === userId) &&
+            (!type || interaction.type === type)
+        );
+    } catch (error) {
+        console.error('❌ Interakciók lekérési hiba:', error);
+        return [];
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * knowledge-base.js
+ * Verziózott hozzávaló tudásbázis (data/ingredient-knowledge.json) kezelése
+ * Verzió: 2025.06.20
+ */
+
+import { normalizeText, resetNormalizationCache } from './ingredient-normalizer.js';
+
+// Hozzávaló bejegyzéseket (name + synonyms) tartalmazó szakaszok
+const INGREDIENT_SECTIONS = ['sustainability', 'seasonality', 'substitutions', 'emissionFactors', 'allergens'];
+
+// Betöltés előtt (vagy sikertelen betöltés esetén) üres tudásbázis
+const EMPTY_KNOWLEDGE_BASE = {
+    version: null,
+    sustainability: [],
+    seasonality: [],
+    substitutions: [],
+    emissionFactors: [],
+    allergens: [],
+    categoryKeywords: {},
+    lexicon: {}
+};
+
+let knowledgeBase = EMPTY_KNOWLEDGE_BASE;
+
+// Betöltetlen tudásbázis használatára csak egyszer figyelmeztetünk
+let missingWarningShown = false;
+
+// Bejegyzésenként a normalizált kifejezések
+let entryTermsCache = new WeakMap();
+
+/**
+ * Tudásbázis ellenőrzése a séma (ingredient-knowledge.schema.json) fő szabályai szerint
+ * 
+ * @param {Object} data - Betöltött tudásbázis
+ * @returns {Object} Az ellenőrzött tudásbázis
+ */
+export function validateKnowledgeBase(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Érvénytelen tudásbázis: objektum szükséges');
+    }
+    
+    if (typeof data.version !== 'string' || data.version.length === 0) {
+        throw new Error('Érvénytelen tudásbázis: hiányzó verzió');
+    }
+    
+    INGREDIENT_SECTIONS.forEach(section => {
+        if (!Array.isArray(data[section])) {
+            throw new Error(`Érvénytelen tudásbázis: a(z) ${section} szakasz nem tömb`);
+        }
+        
+        data[section].forEach((entry, index) => {
+            if (!entry || typeof entry.name !== 'string' || entry.name.length === 0) {
+                throw new Error(`Érvénytelen tudásbázis: hiányzó név (${section}[${index}])`);
+            }
+            
+            if (!Array.isArray(entry.synonyms)) {
+                throw new Error(`Érvénytelen tudásbázis: hiányzó szinonimák (${section}: ${entry.name})`);
+            }
+        });
+    });
+    
+    if (!data.categoryKeywords || typeof data.categoryKeywords !== 'object' || Array.isArray(data.categoryKeywords)) {
+        throw new Error('Érvénytelen tudásbázis: a categoryKeywords szakasz nem objektum');
+    }
+    
+    (data.lexicon?.synonyms || []).forEach((entry, index) => {
+        if (!entry || typeof entry.name !== 'string' || !Array.isArray(entry.synonyms)) {
+            throw new Error(`Érvénytelen tudásbázis: hibás szinonima bejegyzés (lexicon.synonyms[${index}])`);
+        }
+    });
+    
+    return data;
+}
+
+/**
+ * Tudásbázis beállítása (ellenőrzés után)
+ * 
+ * @param {Object} data - Betöltött tudásbázis
+ * @returns {string} A beállított tudásbázis verziója
+ */
+export function setKnowledgeBase(data) {
+    knowledgeBase = validateKnowledgeBase(data);
+    entryTermsCache = new WeakMap();
+    resetNormalizationCache();
+    return knowledgeBase.version;
+}
+
+/**
+ * Tudásbázis verziója
+ * 
+ * @returns {string|null} Verzió vagy null, ha még nincs betöltve
+ */
+export function getKnowledgeBaseVersion() {
+    return knowledgeBase.version;
+}
+
+/**
+ * Tudásbázis betöltöttségének ellenőrzése
+ * 
+ * @returns {boolean} Be van-e töltve tudásbázis
+ */
+export function isKnowledgeBaseLoaded() {
+    return knowledgeBase.version !== null;
+}
+
+/**
+ * Tudásbázis egy szakaszának lekérése
+ * 
+ * @param {string} section - Szakasz neve (pl. 'sustainability')
+ * @returns {Array|Object} A szakasz bejegyzései
+ */
+export function getKnowledgeSection(section) {
+    if (knowledgeBase.version === null && !missingWarningShown) {
+        console.warn('⚠️ A tudásbázis nincs betöltve: semleges hatású tényezők, helyettesítési javaslatok nélkül');
+        missingWarningShown = true;
+    }
+    
+    return knowledgeBase[section] ?? EMPTY_KNOWLEDGE_BASE[section] ?? [];
+}
+
+/**
+ * Egy bejegyzés összes egyeztethető kifejezése (kanonikus név és szinonimák)
+ * A kifejezések normalizált alakban vannak (lásd ingredient-normalizer.js),
+ * a hozzávalót is normalizálva kell velük összevetni.
+ * 
+ * @param {Object} entry - Tudásbázis bejegyzés
+ * @returns {Array} Normalizált kifejezések
+ */
+export function getEntryTerms(entry) {
+    if (!entryTermsCache.has(entry)) {
+        const terms = [entry.name, ...(entry.synonyms || [])].map(normalizeText).filter(Boolean);
+        entryTermsCache.set(entry, [...new Set(terms)]);
+    }
+    
+    return entryTermsCache.get(entry);
+}
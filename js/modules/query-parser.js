@@ -0,0 +1,429 @@
+/**
+ * query-parser.js
+ * Keresési lekérdezés nyelv: hozzávalók, kötelező és kizárt hozzávalók, szűrők
+ * Verzió: 2025.06.20
+ */
+
+import CONFIG from './config.js';
+import { normalizeText, foldAccents, isHyphenatedSuffix } from './ingredient-normalizer.js';
+
+/*
+ * Szintaxis (a szavakat szóköz, vessző vagy pontosvessző választja el):
+ *   csirke            hozzávaló (a relevanciába számít)
+ *   +fokhagyma        kötelező hozzávaló
+ *   -tejszín          kizárt hozzávaló
+ *   "fekete bors"     többszavas hozzávaló (+ és - előtaggal is)
+ *   kategória:leves   kategória szűrő
+ *   eco>60            legalább ennyi fenntarthatósági index
+ *   env<40            legfeljebb ennyi környezeti pontszám
+ *   nutri>50          legalább ennyi táplálkozási pontszám
+ * A számos szűrőknél a > és >= (illetve < és <=) egyaránt megengedő határ,
+ * a filterRecipes() kritériumaihoz igazodva.
+ */
+
+// Szűrő mezők: elfogadott nevek (ékezet nélkül) és a filterRecipes() kritériumai
+const FILTER_FIELDS = {
+    category: {
+        aliases: ['kategoria', 'category', 'kat'],
+        label: 'kategória'
+    },
+    eco: {
+        aliases: ['eco', 'oko', 'fenntarthatosag'],
+        label: 'eco',
+        criteria: { '>': 'minSustainability' }
+    },
+    env: {
+        aliases: ['env', 'kornyezet'],
+        label: 'env',
+        criteria: { '<': 'maxEnvScore' }
+    },
+    nutri: {
+        aliases: ['nutri', 'taplalkozas'],
+        label: 'nutri',
+        criteria: { '>': 'minNutriScore' }
+    }
+};
+
+// Szűrő alak: mező, operátor (:, >, >=, <, <=, =), érték
+const FILTER_PATTERN = /^([^\s:<>=]+)\s*(:|>=|<=|>|<|=)\s*(.*)$/;
+
+// Kifejezések minimális hossza (a rövidebbek figyelmen kívül maradnak)
+const MIN_TERM_LENGTH = 2;
+
+/**
+ * Keresési lekérdezés feldolgozása
+ * A hibák nem dobódnak, hanem strukturáltan visszajönnek, hogy a felület
+ * a beviteli mező mellett jeleníthesse meg őket.
+ * 
+ * @param {string} query - Nyers keresési lekérdezés
+ * @returns {Object} Feldolgozott lekérdezés ({ query, terms, requiredTerms,
+ *                   excludedTerms, filters, errors })
+ *                   - terms: minden keresett (pontozott) normalizált kifejezés
+ *                   - filters: filterRecipes() kritériumok (category,
+ *                     minSustainability, maxEnvScore, minNutriScore,
+ *                     excludeIngredients, requireIngredients)
+ *                   - errors: [{ code, message, token, start, end }]
+ */
+export function parseSearchQuery(query) {
+    const parsed = {
+        query: typeof query === 'string' ? query : '',
+        terms: [],
+        requiredTerms: [],
+        excludedTerms: [],
+        filters: {},
+        errors: []
+    };
+    
+    tokenizeQuery(parsed.query, parsed.errors).forEach(token => {
+        if (token.operator) {
+            parseModifiedTerm(token, parsed);
+        } else if (!token.quoted && FILTER_PATTERN.test(token.text)) {
+            parseFilter(token, parsed);
+        } else {
+            addTerms(parsed.terms, token.text, token.quoted);
+        }
+    });
+    
+    // A kötelező kifejezések is keresett kifejezések
+    addUnique(parsed.terms, parsed.requiredTerms);
+    
+    parsed.requiredTerms
+        .filter(term => parsed.excludedTerms.includes(term))
+        .forEach(term => {
+            parsed.errors.push(createError('CONFLICTING_TERMS',
+                `A(z) "${term}" egyszerre kötelező és kizárt`, term));
+        });
+    
+    if (parsed.excludedTerms.length > 0) {
+        parsed.filters.excludeIngredients = [...parsed.excludedTerms];
+    }
+    
+    if (parsed.requiredTerms.length > 0) {
+        parsed.filters.requireIngredients = [...parsed.requiredTerms];
+    }
+    
+    if (parsed.terms.length === 0 && parsed.errors.length === 0 && parsed.query.trim()) {
+        parsed.errors.push(createError('NO_TERMS',
+            'Adjon meg legalább egy keresett hozzávalót (a kizárások és szűrők mellé)', parsed.query.trim()));
+    }
+    
+    return parsed;
+}
+
+/**
+ * Van-e a lekérdezésben szűrő, kötelező vagy kizárt hozzávaló
+ * 
+ * @param {Object} parsed - parseSearchQuery() eredménye
+ * @returns {boolean} Szűr-e a lekérdezés
+ */
+export function hasQueryFilters(parsed) {
+    return Boolean(parsed) && Object.keys(parsed.filters || {}).length > 0;
+}
+
+/**
+ * Kiegészítendő rész a lekérdezés végén (automatikus kiegészítéshez)
+ * Az utolsó vessző vagy pontosvessző utáni rész, a +/- előtaggal és a
+ * nyitó idézőjellel leválasztva. Szűrő (pl. eco>50) nem egészíthető ki.
+ * 
+ * @param {string} query - Nyers lekérdezés (a beviteli mező tartalma)
+ * @returns {Object|null} Kiegészítési környezet ({ prefix, operator, fragment })
+ */
+export function getCompletionContext(query) {
+    const text = typeof query === 'string' ? query : '';
+    const segmentStart = Math.max(text.lastIndexOf(','), text.lastIndexOf(';')) + 1;
+    const segment = text.slice(segmentStart);
+    const match = segment.match(/^(\s*)([+-]?)("?)(.*)$/);
+    const fragment = match[4].trim();
+    
+    if (!fragment || fragment.includes('"') || FILTER_PATTERN.test(fragment)) {
+        return null;
+    }
+    
+    return {
+        prefix: text.slice(0, segmentStart) + match[1],
+        operator: match[2],
+        fragment
+    };
+}
+
+/**
+ * Kiválasztott javaslat beillesztése a lekérdezés végére
+ * A többszavas hozzávaló idézőjelbe kerül, hogy egy kifejezés maradjon;
+ * a végére vessző kerül, így a következő hozzávaló azonnal gépelhető.
+ * 
+ * @param {string} query - Nyers lekérdezés
+ * @param {string} suggestion - Kiválasztott javaslat
+ * @returns {string} Kiegészített lekérdezés
+ */
+export function applyCompletion(query, suggestion) {
+    const context = getCompletionContext(query);
+    const text = typeof query === 'string' ? query : '';
+    const term = /\s/.test(suggestion.trim()) ? `"${suggestion.trim()}"` : suggestion.trim();
+    
+    if (!context) {
+        const base = text.replace(/[\s,;]+$/, '');
+        return base ? `${base}, ${term}, ` : `${term}, `;
+    }
+    
+    const separator = context.prefix && !/\s$/.test(context.prefix) ? ' ' : '';
+    return `${context.prefix}${separator}${context.operator}${term}, `;
+}
+
+/**
+ * Lekérdezés szavakra bontása (idézőjeles kifejezésekkel és pozíciókkal)
+ * 
+ * @param {string} query - Nyers lekérdezés
+ * @param {Array} errors - Hibalista (a lezáratlan idézőjel ide kerül)
+ * @returns {Array} Szavak ({ text, operator, quoted, raw, start, end })
+ */
+function tokenizeQuery(query, errors) {
+    const tokens = [];
+    const separators = /[\s,;&]/;
+    let position = 0;
+    
+    while (position < query.length) {
+        if (separators.test(query[position])) {
+            position++;
+            continue;
+        }
+        
+        const start = position;
+        let operator = null;
+        
+        if (query[position] === '+' || query[position] === '-') {
+            operator = query[position];
+            position++;
+        }
+        
+        if (query[position] === '"') {
+            const closing = query.indexOf('"', position + 1);
+            
+            if (closing === -1) {
+                errors.push(createError('UNTERMINATED_QUOTE', 'Lezáratlan idézőjel', query.slice(start), start));
+                break;
+            }
+            
+            tokens.push({
+                text: query.slice(position + 1, closing),
+                operator,
+                quoted: true,
+                raw: query.slice(start, closing + 1),
+                start,
+                end: closing + 1
+            });
+            position = closing + 1;
+            continue;
+        }
+        
+        while (position < query.length && !separators.test(query[position])) {
+            position++;
+        }
+        
+        const raw = query.slice(start, position);
+        
+        // A szó belsejében álló + elválasztó (pl. "csirke+rizs")
+        const text = (operator ? raw.slice(1) : raw).replace(/\+/g, ' ');
+        tokens.push({ text, operator, quoted: false, raw, start, end: position });
+    }
+    
+    return tokens;
+}
+
+/**
+ * Kötelező (+) vagy kizárt (-) hozzávaló feldolgozása
+ * 
+ * @param {Object} token - Szó
+ * @param {Object} parsed - Feldolgozás alatt álló lekérdezés
+ */
+function parseModifiedTerm(token, parsed) {
+    if (!token.quoted && FILTER_PATTERN.test(token.text)) {
+        parsed.errors.push(createError('INVALID_MODIFIER',
+            `Szűrő elé nem tehető ${token.operator} jel`, token.raw, token.start));
+        return;
+    }
+    
+    const term = normalizeText(token.text.trim());
+    
+    if (term.length < MIN_TERM_LENGTH) {
+        parsed.errors.push(createError('MISSING_VALUE',
+            `A(z) ${token.operator} jel után hozzávaló kell`, token.raw, token.start));
+        return;
+    }
+    
+    addUnique(token.operator === '+' ? parsed.requiredTerms : parsed.excludedTerms, [term]);
+}
+
+/**
+ * Szűrő feldolgozása (kategória:érték, mező>szám, mező<szám)
+ * 
+ * @param {Object} token - Szó
+ * @param {Object} parsed - Feldolgozás alatt álló lekérdezés
+ */
+function parseFilter(token, parsed) {
+    const [, rawField, rawOperator, rawValue] = token.text.match(FILTER_PATTERN);
+    const fieldName = resolveFilterField(rawField);
+    const value = rawValue.trim();
+    
+    if (!fieldName) {
+        parsed.errors.push(createError('UNKNOWN_FILTER',
+            `Ismeretlen szűrő: "${rawField}" (lehetséges: ${getFilterLabels().join(', ')})`, token.raw, token.start));
+        return;
+    }
+    
+    if (!value) {
+        parsed.errors.push(createError('MISSING_VALUE',
+            `A(z) ${FILTER_FIELDS[fieldName].label} szűrőhöz érték kell`, token.raw, token.start));
+        return;
+    }
+    
+    if (fieldName === 'category') {
+        parseCategoryFilter(token, rawOperator, value, parsed);
+        return;
+    }
+    
+    const field = FILTER_FIELDS[fieldName];
+    const direction = rawOperator.charAt(0);
+    const criterion = field.criteria[direction];
+    
+    if (!criterion) {
+        const supported = Object.keys(field.criteria).map(operator => `${field.label}${operator}szám`).join(', ');
+        parsed.errors.push(createError('UNSUPPORTED_OPERATOR',
+            `A(z) ${field.label} szűrő így használható: ${supported}`, token.raw, token.start));
+        return;
+    }
+    
+    const number = Number(value.replace(',', '.'));
+    
+    if (!Number.isFinite(number)) {
+        parsed.errors.push(createError('INVALID_NUMBER',
+            `A(z) ${field.label} szűrő értéke nem szám: "${value}"`, token.raw, token.start));
+        return;
+    }
+    
+    if (number < 0 || number > 100) {
+        parsed.errors.push(createError('OUT_OF_RANGE',
+            `A(z) ${field.label} szűrő értéke 0 és 100 között lehet`, token.raw, token.start));
+        return;
+    }
+    
+    setFilter(parsed, criterion, number, token);
+}
+
+/**
+ * Kategória szűrő feldolgozása (ékezet nélkül is elfogadva)
+ * 
+ * @param {Object} token - Szó
+ * @param {string} operator - Operátor
+ * @param {string} value - Érték
+ * @param {Object} parsed - Feldolgozás alatt álló lekérdezés
+ */
+function parseCategoryFilter(token, operator, value, parsed) {
+    if (operator !== ':') {
+        parsed.errors.push(createError('UNSUPPORTED_OPERATOR',
+            'A kategória szűrő így használható: kategória:név', token.raw, token.start));
+        return;
+    }
+    
+    const categories = Object.keys(CONFIG.CATEGORY_ICONS || {});
+    const folded = foldAccents(value.toLowerCase());
+    const category = categories.find(name => foldAccents(name) === folded);
+    
+    if (!category) {
+        parsed.errors.push(createError('UNKNOWN_CATEGORY',
+            `Ismeretlen kategória: "${value}" (lehetséges: ${categories.join(', ')})`, token.raw, token.start));
+        return;
+    }
+    
+    setFilter(parsed, 'category', category, token);
+}
+
+/**
+ * Szűrő beállítása (ugyanaz a szűrő eltérő értékkel hiba)
+ * 
+ * @param {Object} parsed - Feldolgozás alatt álló lekérdezés
+ * @param {string} criterion - filterRecipes() kritérium neve
+ * @param {*} value - Érték
+ * @param {Object} token - Szó
+ */
+function setFilter(parsed, criterion, value, token) {
+    if (criterion in parsed.filters && parsed.filters[criterion] !== value) {
+        parsed.errors.push(createError('DUPLICATE_FILTER',
+            `Ugyanaz a szűrő többször, eltérő értékkel: "${token.raw}"`, token.raw, token.start));
+        return;
+    }
+    
+    parsed.filters[criterion] = value;
+}
+
+/**
+ * Szűrő mező azonosítása a beírt név alapján
+ * 
+ * @param {string} rawField - Beírt mezőnév
+ * @returns {string|null} Mező kulcsa
+ */
+function resolveFilterField(rawField) {
+    const folded = foldAccents(rawField.toLowerCase());
+    return Object.keys(FILTER_FIELDS).find(name => FILTER_FIELDS[name].aliases.includes(folded)) || null;
+}
+
+/**
+ * Szűrők megjelenített nevei (hibaüzenetekhez)
+ * 
+ * @returns {Array} Szűrő nevek
+ */
+function getFilterLabels() {
+    return Object.values(FILTER_FIELDS).map(field => field.label);
+}
+
+/**
+ * Keresett kifejezések hozzáadása (idézőjel nélkül szavanként, az írásjelek is elválasztanak)
+ * A kötőjeles szó tagjai külön kifejezések, a kötőjellel írt toldalék (wok-ban) elmarad.
+ * 
+ * @param {Array} terms - Kifejezések listája
+ * @param {string} text - Szó vagy idézőjeles kifejezés
+ * @param {boolean} quoted - Idézőjeles-e
+ */
+function addTerms(terms, text, quoted) {
+    const parts = quoted ? [text] : text.split(/[^\w\u00C0-\u024F\u1E00-\u1EFF-]+/)
+        .flatMap(word => word.split('-').filter((part, index, parts) => index === 0 ||
+            !isHyphenatedSuffix(part.toLowerCase(), parts[index - 1].toLowerCase())));
+    
+    addUnique(terms, parts
+        .map(part => part.trim())
+        .filter(part => part.length >= MIN_TERM_LENGTH)
+        .map(normalizeText)
+        .filter(term => term.length >= MIN_TERM_LENGTH));
+}
+
+/**
+ * Elemek hozzáadása ismétlődés nélkül
+ * 
+ * @param {Array} list - Cél lista
+ * @param {Array} items - Új elemek
+ */
+function addUnique(list, items) {
+    items.forEach(item => {
+        if (!list.includes(item)) {
+            list.push(item);
+        }
+    });
+}
+
+/**
+ * Strukturált lekérdezés hiba
+ * 
+ * @param {string} code - Hibakód
+ * @param {string} message - Magyar nyelvű üzenet
+ * @param {string} token - A hibás rész
+ * @param {number} start - A hibás rész kezdete a lekérdezésben
+ * @returns {Object} Hiba ({ code, message, token, start, end })
+ */
+function createError(code, message, token, start = null) {
+    return {
+        code,
+        message,
+        token,
+        start,
+        end: start !== null ? start + token.length : null
+    };
+}
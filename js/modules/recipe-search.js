@@ -5,27 +5,132 @@
  */
 
 import CONFIG from './config.js';
-import { shuffleArray, countCommonElements, calculateStringSimilarity } from '../utils/helpers.js';
+import { shuffleArray, createSeededRandom, countCommonElements, calculateStringSimilarity } from '../utils/helpers.js';
+import { getIngredientList, filterRecipes } from './data-loader.js';
+import { normalizeText, normalizeIngredient, containsTerm, isPartialMatch } from './ingredient-normalizer.js';
+import { getSearchIndex, findCandidateRecipes, findMatchingEntries, getNormalizedIngredients } from './search-index.js';
+import { parseSearchQuery, hasQueryFilters } from './query-parser.js';
 
 /**
  * Receptek keresése a megadott hozzávalók alapján
+ * A lekérdezés szintaxisa (kötelező/kizárt hozzávalók, szűrők) a
+ * query-parser.js leírása szerint; hibás lekérdezésre nincs találat.
  * 
  * @param {Array} recipes - Receptek tömbje
- * @param {string} ingredientsQuery - Keresési kifejezés (hozzávalók)
+ * @param {string} ingredientsQuery - Keresési lekérdezés (hozzávalók, szűrők)
  * @param {string} testGroup - Teszt csoport (A, B, C)
- * @returns {Array} Találati receptek
+ * @param {Object} options - Keresési beállítások ({ seed: rangsorolási seed,
+ *                           index: előre épített keresési index, linearScan: index nélküli teljes pontozás,
+ *                           scorer: a csoport relevancia pontozójának felülírása,
+ *                           filters: további filterRecipes() kritériumok, pl. a szűrőpanelről,
+ *                           sort: felhasználói rendezés (getUserSortOptions()) a csoport stratégiája helyett,
+ *                           page: találati oldal (1-től), pageSize: oldalméret, alapból MAX_RESULTS })
+ * @returns {Array} Találati receptek (a kért oldal)
  */
-export function searchRecipes(recipes, ingredientsQuery, testGroup) {
+export function searchRecipes(recipes, ingredientsQuery, testGroup, options = {}) {
     console.log('🔍 Keresés:', ingredientsQuery);
     console.log('👥 Teszt csoport:', testGroup);
     
+    // 1-3. Lekérdezés feldolgozása, pontozás és rendezés teszt csoport szerint
+    const rankedResults = rankSearchResults(recipes, ingredientsQuery, testGroup, options);
+    
+    // 4. A kért találati oldal (alapból az első, a konfigurált maximummal)
+    const finalResults = getResultPage(rankedResults, options.page, options.pageSize).items;
+    
+    console.log('📋 Végső eredmények:', finalResults.length, 'recept');
+    
+    // Debug: fenntarthatóság ellenőrzése
+    finalResults.forEach((recipe, idx) => {
+        console.log(`   ${idx+1}. ${recipe.name} - Eco-Score: ${recipe.sustainability_index || 'N/A'}`);
+    });
+    
+    return finalResults;
+}
+
+/**
+ * A teljes rangsorolt találati lista (oldalakra bontás előtt)
+ * A lapozás ebből szeletel, így a rangsor pozíciók oldalanként stabilak.
+ * 
+ * @param {Array} recipes - Receptek tömbje
+ * @param {string} ingredientsQuery - Keresési lekérdezés
+ * @param {string} testGroup - Teszt csoport
+ * @param {Object} options - searchRecipes() beállításai (page és pageSize nélkül)
+ * @returns {Array} Rangsorolt találati receptek
+ */
+export function rankSearchResults(recipes, ingredientsQuery, testGroup, options = {}) {
+    const matchResults = collectMatchResults(recipes, ingredientsQuery, testGroup, options);
+    
+    // Felhasználó által választott rendezés (csak a kísérleti manipuláción kívül)
+    if (options.sort) {
+        return applyUserSortOrder(matchResults, options.sort);
+    }
+    
+    return applySortingStrategy(matchResults, testGroup, options.seed ?? null);
+}
+
+/**
+ * Egy találati oldal a rangsorolt listából
+ * 
+ * @param {Array} rankedResults - rankSearchResults() eredménye
+ * @param {number} page - Oldalszám (1-től; a határokhoz igazítva)
+ * @param {number} pageSize - Oldalméret (alapból CONFIG.SEARCH.MAX_RESULTS)
+ * @returns {Object} Oldal ({ items, page, pageSize, startRank, totalResults, totalPages, hasMore })
+ */
+export function getResultPage(rankedResults, page = 1, pageSize = null) {
+    const results = Array.isArray(rankedResults) ? rankedResults : [];
+    const size = Math.max(1, Math.floor(pageSize || CONFIG.SEARCH?.MAX_RESULTS || 10));
+    const totalPages = Math.ceil(results.length / size);
+    const currentPage = Math.min(Math.max(1, Math.floor(page || 1)), Math.max(1, totalPages));
+    const start = (currentPage - 1) * size;
+    
+    return {
+        items: results.slice(start, start + size),
+        page: currentPage,
+        pageSize: size,
+        startRank: start + 1,
+        totalResults: results.length,
+        totalPages,
+        hasMore: currentPage < totalPages
+    };
+}
+
+/**
+ * A lekérdezésre illeszkedő összes recept (rangsorolás és korlát nélkül)
+ * A szűrőpanel darabszámai ebből a teljes találati halmazból számolódnak.
+ * 
+ * @param {Array} recipes - Receptek tömbje
+ * @param {string} ingredientsQuery - Keresési lekérdezés
+ * @param {Object} options - Keresési beállítások ({ index, filters })
+ * @returns {Array} Illeszkedő receptek az eredeti sorrendben
+ */
+export function findSearchMatches(recipes, ingredientsQuery, options = {}) {
+    return collectMatchResults(recipes, ingredientsQuery, null, options).map(result => result.recipe);
+}
+
+/**
+ * Lekérdezés feldolgozása, jelöltek szűrése és pontozása
+ * 
+ * @param {Array} recipes - Receptek tömbje
+ * @param {string} ingredientsQuery - Keresési lekérdezés
+ * @param {string|null} testGroup - Teszt csoport (a pontozó kiválasztásához)
+ * @param {Object} options - searchRecipes() beállításai
+ * @returns {Array} Pontozott találatok (rendezés előtt)
+ */
+function collectMatchResults(recipes, ingredientsQuery, testGroup, options = {}) {
     if (!recipes || !recipes.length || !ingredientsQuery) {
         console.warn('⚠️ Üres recept lista vagy keresés!');
         return [];
     }
     
-    // 1. Keresési kifejezés feldolgozása
-    const searchTerms = preprocessSearchQuery(ingredientsQuery);
+    // 1. Keresési lekérdezés feldolgozása
+    const parsedQuery = parseSearchQuery(ingredientsQuery);
+    
+    if (parsedQuery.errors.length > 0) {
+        console.warn('⚠️ Hibás keresési lekérdezés:', parsedQuery.errors.map(error => error.message).join('; '));
+        return [];
+    }
+    
+    const searchTerms = parsedQuery.terms;
     
     if (searchTerms.length === 0) {
         console.warn('⚠️ Nincs érvényes keresési kifejezés!');
@@ -34,47 +139,137 @@ export function searchRecipes(recipes, ingredientsQuery, testGroup) {
     
     console.log('🔎 Keresett hozzávalók:', searchTerms.join(', '));
     
-    // 2. Hozzávaló egyezések keresése
-    const matchResults = findMatchingRecipes(recipes, searchTerms);
+    // 2. Hozzávaló egyezések keresése (az index jelöltjein, vagy teljes pontozással)
+    const scoring = createScoringContext(recipes, testGroup, options);
+    console.log('🧮 Relevancia pontozó:', scoring.scorerName);
+    let candidates = options.linearScan
+        ? recipes
+        : selectCandidates(recipes, searchTerms, scoring.getIndex());
     
-    // 3. Találatok rendezése teszt csoport szerint
-    const sortedResults = applySortingStrategy(matchResults, testGroup);
+    // Szűrők, kötelező és kizárt hozzávalók (a lekérdezésből és a szűrőpanelről;
+    // mindkét kritérium halmaznak teljesülnie kell)
+    if (hasQueryFilters(parsedQuery)) {
+        console.log('🧹 Lekérdezés szűrők:', parsedQuery.filters);
+        candidates = filterRecipes(candidates, parsedQuery.filters);
+    }
     
-    // 4. Találatok korlátozása a konfigurált maximumra
-    const finalResults = sortedResults.slice(0, CONFIG.SEARCH?.MAX_RESULTS || 10);
+    if (options.filters && Object.keys(options.filters).length > 0) {
+        console.log('🧹 Szűrőpanel:', options.filters);
+        candidates = filterRecipes(candidates, options.filters);
+    }
     
-    console.log('📋 Végső eredmények:', finalResults.length, 'recept');
+    return findMatchingRecipes(candidates, searchTerms, scoring);
+}
+
+/**
+ * Rangsorolási seed összeállítása felhasználóból, munkamenetből és keresésből
+ * Ugyanaz a keresés ugyanabban a munkamenetben ugyanazt a sorrendet adja.
+ * 
+ * @param {string} userId - Felhasználó azonosító
+ * @param {string|null} sessionId - Munkamenet azonosító
+ * @param {string} ingredientsQuery - Keresési kifejezés
+ * @returns {string} Seed
+ */
+export function buildRankingSeed(userId, sessionId, ingredientsQuery) {
+    const parsedQuery = parseSearchQuery(ingredientsQuery);
+    let normalizedQuery = parsedQuery.terms.join(',');
     
-    // Debug: fenntarthatóság ellenőrzése
-    finalResults.forEach((recipe, idx) => {
-        console.log(`   ${idx+1}. ${recipe.name} - Eco-Score: ${recipe.sustainability_index || 'N/A'}`);
-    });
+    // Szűrős lekérdezésnél a szűrők is a seed részei
+    if (hasQueryFilters(parsedQuery)) {
+        normalizedQuery += `|${JSON.stringify(parsedQuery.filters)}`;
+    }
+
+    return `${userId || 'anonim'}|${sessionId || 'nincs-munkamenet'}|${normalizedQuery}`;
+}
+
+/**
+ * Naplózott keresés találati oldalának újragenerálása auditáláshoz
+ * A lekérdezés szűrői a kifejezésből, a szűrőpanel kritériumai a naplózott
+ * facets mezőből kerülnek vissza.
+ * 
+ * @param {Array} recipes - Receptek tömbje (ugyanaz az adatkészlet)
+ * @param {Object} searchEvent - Naplózott keresési esemény
+ * @returns {Array} Az eredetivel egyező sorrendű találatok
+ */
+export function replaySearch(recipes, searchEvent) {
+    if (!searchEvent) {
+        return [];
+    }
     
-    return finalResults;
+    return searchRecipes(recipes, searchEvent.query, searchEvent.testGroup, {
+        seed: searchEvent.ranking?.seed ?? null,
+        scorer: searchEvent.ranking?.scorer || undefined,
+        sort: searchEvent.ranking?.sort || undefined,
+        filters: searchEvent.facets || undefined
+    });
 }
 
 /**
  * Keresési kifejezés előfeldolgozása
+ * A keresett (pontozott) normalizált kifejezések, a kötelezőkkel együtt;
+ * a kizárt hozzávalók és a szűrők nem kerülnek bele.
  * 
  * @param {string} query - Nyers keresési kifejezés
  * @returns {Array} Feldolgozott keresési kifejezések
  */
-function preprocessSearchQuery(query) {
+export function preprocessSearchQuery(query) {
     if (!query || typeof query !== 'string') {
         return [];
     }
     
-    return query.toLowerCase()
-        .trim()
-        // Speciális karakterek eltávolítása
-        .replace(/[^\w\s\u00C0-\u024F\u1E00-\u1EFF]/g, ' ')
-        // Vesszők és egyéb elválasztók alapján szétbontás
-        .split(/[,;+&\s]+/)
-        // Rövid szavak kiszűrése és trim
-        .map(term => term.trim())
-        .filter(term => term.length >= 2)
-        // Duplikátumok eltávolítása
-        .filter((term, index, arr) => arr.indexOf(term) === index);
+    return parseSearchQuery(query).terms;
+}
+
+/**
+ * Jelölt receptek kiválasztása a keresési indexből
+ * A jelöltek az eredeti sorrendben maradnak, így a pontozás és a rendezés
+ * eredménye megegyezik a teljes pontozáséval.
+ * 
+ * @param {Array} recipes - Receptek tömbje
+ * @param {Array} searchTerms - Keresési kifejezések
+ * @param {Object} index - A receptlistához tartozó keresési index
+ * @returns {Array} Jelölt receptek
+ */
+function selectCandidates(recipes, searchTerms, index) {
+    return findCandidateRecipes(index, searchTerms).map(recipeIndex => recipes[recipeIndex]);
+}
+
+/**
+ * Egy keresés pontozási környezete
+ * A pontozó a csoport ranking.scorer beállításából (vagy az options.scorer
+ * felülírásból) jön; az index csak akkor épül fel, ha szükség van rá.
+ * 
+ * @param {Array} recipes - Receptek tömbje (a korpusz)
+ * @param {string} testGroup - Teszt csoport
+ * @param {Object} options - searchRecipes() beállításai
+ * @returns {Object} Pontozási környezet ({ scorerName, scorer, params, matchCache, getIndex })
+ */
+function createScoringContext(recipes, testGroup, options = {}) {
+    const ranking = getRankingConfig(testGroup);
+    let scorerName = options.scorer || ranking.scorer || CONFIG.SEARCH?.DEFAULT_SCORER || 'match';
+    
+    if (!relevanceScorers.has(scorerName)) {
+        console.warn(`⚠️ Ismeretlen relevancia pontozó: ${scorerName}, alapértelmezett pontozás használata`);
+        scorerName = 'match';
+    }
+    
+    let searchIndex = null;
+    
+    return {
+        scorerName,
+        scorer: relevanceScorers.get(scorerName),
+        params: ranking.scorerParams || {},
+        // Hozzávaló-kifejezés összevetések gyorsítótára (a receptek sok hozzávalón osztoznak)
+        matchCache: new Map(),
+        getIndex() {
+            if (!searchIndex) {
+                searchIndex = options.index && options.index.recipes === recipes
+                    ? options.index
+                    : getSearchIndex(recipes);
+            }
+            return searchIndex;
+        }
+    };
 }
 
 /**
@@ -82,13 +277,14 @@ function preprocessSearchQuery(query) {
  * 
  * @param {Array} recipes - Receptek tömbje
  * @param {Array} searchTerms - Keresési kifejezések
+ * @param {Object} scoring - Pontozási környezet (createScoringContext)
  * @returns {Array} Pontozott találatok
  */
-function findMatchingRecipes(recipes, searchTerms) {
+function findMatchingRecipes(recipes, searchTerms, scoring) {
     const matchResults = [];
     
     recipes.forEach(recipe => {
-        const matchScore = calculateMatchScore(recipe, searchTerms);
+        const matchScore = scoring.scorer(recipe, searchTerms, scoring);
         
         if (matchScore.totalScore > 0) {
             matchResults.push({
@@ -109,15 +305,16 @@ function findMatchingRecipes(recipes, searchTerms) {
  * 
  * @param {Object} recipe - Recept objektum
  * @param {Array} searchTerms - Keresési kifejezések
+ * @param {Map} matchCache - Összevetések gyorsítótára (opcionális)
  * @returns {Object} Pontszám részletei
  */
-function calculateMatchScore(recipe, searchTerms) {
+function calculateMatchScore(recipe, searchTerms, matchCache = new Map()) {
     if (!recipe.ingredients) {
         return { totalScore: 0, exactMatches: 0, partialMatches: 0, relevanceScore: 0 };
     }
     
     // Recept hozzávalóinak előkészítése
-    const recipeIngredients = preprocessRecipeIngredients(recipe.ingredients);
+    const recipeIngredients = preprocessRecipeIngredients(recipe);
     
     let exactMatches = 0;
     let partialMatches = 0;
@@ -128,31 +325,29 @@ function calculateMatchScore(recipe, searchTerms) {
         
         // Pontos egyezés keresése
         recipeIngredients.forEach(ingredient => {
-            if (ingredient === searchTerm) {
+            const match = matchIngredient(ingredient, searchTerm, matchCache);
+            
+            if (match.type === 'exact') {
                 exactMatches++;
                 relevanceScore += 10; // Pontos egyezés magas pontszám
                 termMatched = true;
-            } else if (ingredient.includes(searchTerm) || searchTerm.includes(ingredient)) {
+            } else if (match.type === 'partial') {
                 if (!termMatched) { // Csak egyszer számoljuk a részleges egyezést
                     partialMatches++;
                     relevanceScore += 5; // Részleges egyezés közepes pontszám
                     termMatched = true;
                 }
-            } else {
-                // String hasonlóság ellenőrzése (fuzzy matching)
-                const similarity = calculateStringSimilarity(ingredient, searchTerm);
-                if (similarity > 0.7 && !termMatched) {
-                    partialMatches++;
-                    relevanceScore += Math.round(similarity * 3); // Hasonlóság alapú pontszám
-                    termMatched = true;
-                }
+            } else if (match.similarity > 0.7 && !termMatched) {
+                // String hasonlóság alapú (fuzzy) egyezés
+                partialMatches++;
+                relevanceScore += Math.round(match.similarity * 3); // Hasonlóság alapú pontszám
+                termMatched = true;
             }
         });
         
         // Név alapú egyezés (alacsonyabb prioritás)
         if (!termMatched && recipe.name) {
-            const nameLower = recipe.name.toLowerCase();
-            if (nameLower.includes(searchTerm)) {
+            if (containsTerm(normalizeIngredient(recipe.name), searchTerm)) {
                 partialMatches++;
                 relevanceScore += 2; // Név egyezés alacsony pontszám
             }
@@ -171,29 +366,260 @@ function calculateMatchScore(recipe, searchTerms) {
     };
 }
 
+/**
+ * BM25 relevancia pontszám egy receptre
+ * A recept a dokumentum, a hozzávalói a szavai. A kifejezés gyakorisága a
+ * vele egyező hozzávalók száma (részleges és fuzzy egyezés csökkentett
+ * súllyal, a csak névben előforduló kifejezés nameWeight súllyal); az IDF a
+ * korpusz (a teljes receptlista) dokumentumgyakoriságából jön, így a gyakori
+ * hozzávalók (só, hagyma) kevesebbet érnek a ritkáknál.
+ * A pontszám scale-szeresére skálázódik, hogy a rendezési stratégiák
+ * tűréshatárai a megszokott pontskálán maradjanak.
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @param {Array} searchTerms - Keresési kifejezések
+ * @param {Object} scoring - Pontozási környezet ({ params, matchCache, getIndex })
+ * @returns {Object} Pontszám részletei
+ */
+function calculateBm25Score(recipe, searchTerms, scoring) {
+    if (!recipe.ingredients) {
+        return { totalScore: 0, exactMatches: 0, partialMatches: 0, relevanceScore: 0 };
+    }
+    
+    const {
+        k1 = 1.2,
+        b = 0.75,
+        partialWeight = 0.75,
+        nameWeight = 0.3,
+        scale = 10
+    } = { ...CONFIG.SEARCH?.BM25, ...scoring.params };
+    
+    const index = scoring.getIndex();
+    const recipeIngredients = preprocessRecipeIngredients(recipe);
+    const averageLength = index.averageDocumentLength || 1;
+    const lengthNormalization = 1 - b + b * (recipeIngredients.length / averageLength);
+    
+    let exactMatches = 0;
+    let partialMatches = 0;
+    let relevanceScore = 0;
+    
+    searchTerms.forEach(searchTerm => {
+        let frequency = 0;
+        let termExact = false;
+        
+        recipeIngredients.forEach(ingredient => {
+            const match = matchIngredient(ingredient, searchTerm, scoring.matchCache);
+            
+            if (match.type === 'exact') {
+                exactMatches++;
+                frequency += 1;
+                termExact = true;
+            } else if (match.type === 'partial') {
+                frequency += partialWeight;
+            } else if (match.similarity > 0.7) {
+                frequency += partialWeight * match.similarity;
+            }
+        });
+        
+        // Név alapú egyezés (csak ha a hozzávalók között nincs)
+        if (frequency === 0 && recipe.name && containsTerm(normalizeIngredient(recipe.name), searchTerm)) {
+            frequency = nameWeight;
+        }
+        
+        if (frequency === 0) {
+            return;
+        }
+        
+        if (!termExact) {
+            partialMatches++;
+        }
+        
+        const idf = getInverseDocumentFrequency(index, searchTerm, scoring.matchCache);
+        relevanceScore += idf * (frequency * (k1 + 1)) / (frequency + k1 * lengthNormalization);
+    });
+    
+    const totalScore = Math.round(relevanceScore * scale * 100) / 100;
+    
+    return {
+        totalScore,
+        exactMatches,
+        partialMatches,
+        relevanceScore: totalScore
+    };
+}
+
+/**
+ * Kifejezés inverz dokumentumgyakorisága (BM25 IDF)
+ * A dokumentumgyakoriság azoknak a recepteknek a száma, amelyek valamelyik
+ * hozzávalója a pontozó szabályai szerint egyezik a kifejezéssel. Indexenként
+ * és kifejezésenként gyorsítótárazott.
+ * 
+ * @param {Object} index - Keresési index
+ * @param {string} searchTerm - Keresési kifejezés
+ * @param {Map} matchCache - Összevetések gyorsítótára
+ * @returns {number} IDF érték
+ */
+function getInverseDocumentFrequency(index, searchTerm, matchCache) {
+    if (!documentFrequencyCache.has(index)) {
+        documentFrequencyCache.set(index, new Map());
+    }
+    
+    const frequencies = documentFrequencyCache.get(index);
+    
+    if (!frequencies.has(searchTerm)) {
+        const documents = new Set();
+        
+        findMatchingEntries(index, searchTerm).forEach(id => {
+            const match = matchIngredient(index.vocabulary[id], searchTerm, matchCache);
+            if (match.type !== 'fuzzy' || match.similarity > 0.7) {
+                index.postings[id].forEach(recipeIndex => documents.add(recipeIndex));
+            }
+        });
+        
+        frequencies.set(searchTerm, documents.size);
+    }
+    
+    const documentCount = index.recipes.length;
+    const documentFrequency = frequencies.get(searchTerm);
+    
+    return Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+}
+
+/**
+ * Egy hozzávaló és egy kifejezés összevetése (pontos, részleges vagy hasonlóság)
+ * Az eredmény csak a normalizált szövegtől függ, ezért gyorsítótárazható.
+ * 
+ * @param {Object} ingredient - Normalizált hozzávaló ({ text, tokens })
+ * @param {string} searchTerm - Keresési kifejezés
+ * @param {Map} matchCache - Összevetések gyorsítótára
+ * @returns {Object} Egyezés ({ type: 'exact' | 'partial' | 'fuzzy', similarity })
+ */
+function matchIngredient(ingredient, searchTerm, matchCache) {
+    const key = `${ingredient.text}\u0000${searchTerm}`;
+    
+    if (!matchCache.has(key)) {
+        let match;
+        if (ingredient.text === searchTerm) {
+            match = { type: 'exact', similarity: 1 };
+        } else if (isPartialMatch(ingredient, searchTerm)) {
+            match = { type: 'partial', similarity: 1 };
+        } else {
+            match = { type: 'fuzzy', similarity: calculateStringSimilarity(ingredient.text, searchTerm) };
+        }
+        matchCache.set(key, match);
+    }
+    
+    return matchCache.get(key);
+}
+
 /**
  * Recept hozzávalóinak előfeldolgozása
+ * A hozzávalók a keresési kifejezésekkel azonos módon normalizálódnak.
  * 
- * @param {string} ingredients - Nyers hozzávalók string
- * @returns {Array} Tisztított hozzávalók lista
+ * @param {Object} recipe - Recept objektum
+ * @returns {Array} Normalizált hozzávalók lista ({ text, tokens })
  */
-function preprocessRecipeIngredients(ingredients) {
-    if (!ingredients || typeof ingredients !== 'string') {
-        return [];
+function preprocessRecipeIngredients(recipe) {
+    return getNormalizedIngredients(recipe);
+}
+
+/**
+ * Relevancia pontozók regisztere
+ * Kulcs: pontozó neve, érték: (recipe, searchTerms, scoring) =>
+ * { totalScore, exactMatches, partialMatches, relevanceScore }
+ */
+const relevanceScorers = new Map();
+
+// Keresési index → (kifejezés → dokumentumgyakoriság)
+const documentFrequencyCache = new WeakMap();
+
+/**
+ * Relevancia pontozó regisztrálása
+ * A CONFIG.TEST_GROUPS[csoport].ranking.scorer mezője erre a névre hivatkozhat,
+ * a ranking.scorerParams a pontozó paraméterei.
+ * 
+ * @param {string} name - Pontozó neve
+ * @param {Function} scorer - Pontozó függvény (recipe, searchTerms, scoring) => Object
+ * @param {Object} options - Beállítások ({ override: meglévő felülírása })
+ */
+export function registerRelevanceScorer(name, scorer, options = {}) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Érvénytelen relevancia pontozó név');
+    }
+    
+    if (typeof scorer !== 'function') {
+        throw new Error(`A(z) "${name}" relevancia pontozó nem függvény`);
+    }
+    
+    if (relevanceScorers.has(name) && !options.override) {
+        throw new Error(`A(z) "${name}" relevancia pontozó már regisztrálva van`);
+    }
+    
+    relevanceScorers.set(name, scorer);
+}
+
+/**
+ * Regisztrált relevancia pontozók nevei
+ * 
+ * @returns {Array} Pontozó nevek
+ */
+export function getRelevanceScorerNames() {
+    return Array.from(relevanceScorers.keys());
+}
+
+// Beépített relevancia pontozók
+registerRelevanceScorer('match', (recipe, searchTerms, scoring) => calculateMatchScore(recipe, searchTerms, scoring.matchCache));
+registerRelevanceScorer('bm25', calculateBm25Score);
+
+/**
+ * Rangsorolási stratégiák regisztere
+ * Kulcs: stratégia neve, érték: (matchResults, params, context) => rendezett matchResults
+ */
+const rankingStrategies = new Map();
+
+/**
+ * Rangsorolási stratégia regisztrálása
+ * A CONFIG.TEST_GROUPS[csoport].ranking.strategy mezője erre a névre hivatkozhat.
+ * 
+ * @param {string} name - Stratégia neve
+ * @param {Function} strategy - Rendező függvény (matchResults, params, context) => Array
+ * @param {Object} options - Beállítások ({ override: meglévő felülírása })
+ */
+export function registerRankingStrategy(name, strategy, options = {}) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Érvénytelen rangsorolási stratégia név');
     }
     
-    return ingredients
-        .toLowerCase()
-        // R lista formátum eltávolítása
-        .replace(/^c\s*\(/i, '')
-        .replace(/\)$/, '')
-        // Idézőjelek és speciális karakterek eltávolítása
-        .replace(/["']/g, '')
-        .replace(/[^\w\s\u00C0-\u024F\u1E00-\u1EFF,]/g, ' ')
-        // Vesszők alapján szétbontás
-        .split(/[,;]+/)
-        .map(ingredient => ingredient.trim())
-        .filter(ingredient => ingredient.length > 1);
+    if (typeof strategy !== 'function') {
+        throw new Error(`A(z) "${name}" rangsorolási stratégia nem függvény`);
+    }
+    
+    if (rankingStrategies.has(name) && !options.override) {
+        throw new Error(`A(z) "${name}" rangsorolási stratégia már regisztrálva van`);
+    }
+    
+    rankingStrategies.set(name, strategy);
+}
+
+/**
+ * Regisztrált rangsorolási stratégiák nevei
+ * 
+ * @returns {Array} Stratégia nevek
+ */
+export function getRankingStrategyNames() {
+    return Array.from(rankingStrategies.keys());
+}
+
+/**
+ * Teszt csoport rangsorolási beállításának lekérése
+ * 
+ * @param {string} testGroup - Teszt csoport
+ * @returns {Object} Rangsorolási beállítás ({ strategy, params, scorer, scorerParams })
+ */
+export function getRankingConfig(testGroup) {
+    return CONFIG.TEST_GROUPS?.[testGroup]?.ranking || 
+        CONFIG.SEARCH?.DEFAULT_RANKING || 
+        { strategy: 'relevance' };
 }
 
 /**
@@ -201,37 +627,22 @@ function preprocessRecipeIngredients(ingredients) {
  * 
  * @param {Array} matchResults - Találati eredmények
  * @param {string} testGroup - Teszt csoport (A, B, C)
+ * @param {string|null} seed - Rangsorolási seed (véletlen sorrendhez)
  * @returns {Array} Rendezett receptek
  */
-function applySortingStrategy(matchResults, testGroup) {
-    let sortedResults;
+function applySortingStrategy(matchResults, testGroup, seed = null) {
+    const ranking = getRankingConfig(testGroup);
+    let strategyName = ranking.strategy;
     
-    switch (testGroup) {
-        case 'A':
-            // Kontroll csoport: véletlenszerű sorrend
-            sortedResults = shuffleArray(matchResults);
-            console.log('📊 A csoport: Véletlenszerű rendezés');
-            break;
-            
-        case 'B':
-            // Relevancia + fenntarthatóság csoport: összetett rendezés
-            sortedResults = sortByRelevanceAndSustainability(matchResults);
-            console.log('📊 B csoport: Relevancia + fenntarthatóság rendezés');
-            break;
-            
-        case 'C':
-            // XAI csoport: fenntarthatóság prioritás
-            sortedResults = sortBySustainabilityPriority(matchResults);
-            console.log('📊 C csoport: Fenntarthatóság prioritás rendezés');
-            break;
-            
-        default:
-            // Alapértelmezett: relevancia alapú
-            sortedResults = sortByRelevance(matchResults);
-            console.log('📊 Alapértelmezett: Relevancia rendezés');
-            break;
+    if (!rankingStrategies.has(strategyName)) {
+        console.warn(`⚠️ Ismeretlen rangsorolási stratégia: ${strategyName}, relevancia rendezés használata`);
+        strategyName = 'relevance';
     }
     
+    const strategy = rankingStrategies.get(strategyName);
+    const sortedResults = strategy(matchResults, ranking.params || {}, { testGroup, seed });
+    console.log(`📊 ${testGroup || 'Alapértelmezett'} csoport: ${strategyName} rendezés`);
+    
     // Csak a recept objektumokat adjuk vissza
     return sortedResults.map(result => result.recipe);
 }
@@ -263,15 +674,23 @@ function sortByRelevance(matchResults) {
  * Rendezés relevancia és fenntarthatóság szerint (B csoport)
  * 
  * @param {Array} matchResults - Találati eredmények
+ * @param {Object} params - Súlyok és tűréshatárok
  * @returns {Array} Rendezett eredmények
  */
-function sortByRelevanceAndSustainability(matchResults) {
+function sortByRelevanceAndSustainability(matchResults, params = {}) {
+    const {
+        relevanceWeight = 0.7,
+        sustainabilityWeight = 0.3,
+        combinedTolerance = 1,
+        sustainabilityTolerance = 5
+    } = params;
+    
     return matchResults.sort((a, b) => {
-        // Kombinált pontszám számítása: 70% relevancia + 30% fenntarthatóság
-        const scoreA = (a.matchScore * 0.7) + ((a.recipe.sustainability_index || 50) * 0.3);
-        const scoreB = (b.matchScore * 0.7) + ((b.recipe.sustainability_index || 50) * 0.3);
+        // Kombinált pontszám számítása: alapértelmezetten 70% relevancia + 30% fenntarthatóság
+        const scoreA = (a.matchScore * relevanceWeight) + ((a.recipe.sustainability_index || 50) * sustainabilityWeight);
+        const scoreB = (b.matchScore * relevanceWeight) + ((b.recipe.sustainability_index || 50) * sustainabilityWeight);
         
-        if (Math.abs(scoreB - scoreA) > 1) {
+        if (Math.abs(scoreB - scoreA) > combinedTolerance) {
             return scoreB - scoreA;
         }
         
@@ -279,7 +698,7 @@ function sortByRelevanceAndSustainability(matchResults) {
         const sustainA = a.recipe.sustainability_index || 50;
         const sustainB = b.recipe.sustainability_index || 50;
         
-        if (Math.abs(sustainB - sustainA) > 5) {
+        if (Math.abs(sustainB - sustainA) > sustainabilityTolerance) {
             return sustainB - sustainA;
         }
         
@@ -292,20 +711,23 @@ function sortByRelevanceAndSustainability(matchResults) {
  * Rendezés fenntarthatóság prioritással (C csoport)
  * 
  * @param {Array} matchResults - Találati eredmények
+ * @param {Object} params - Tűréshatárok
  * @returns {Array} Rendezett eredmények
  */
-function sortBySustainabilityPriority(matchResults) {
+function sortBySustainabilityPriority(matchResults, params = {}) {
+    const { sustainabilityTolerance = 3, relevanceTolerance = 2 } = params;
+    
     return matchResults.sort((a, b) => {
         const sustainA = a.recipe.sustainability_index || 50;
         const sustainB = b.recipe.sustainability_index || 50;
         
         // Elsődleges: fenntarthatóság (nagyobb az jobb)
-        if (Math.abs(sustainB - sustainA) > 3) {
+        if (Math.abs(sustainB - sustainA) > sustainabilityTolerance) {
             return sustainB - sustainA;
         }
         
         // Másodlagos: relevancia (hasonló fenntarthatóság esetén)
-        if (Math.abs(b.matchScore - a.matchScore) > 2) {
+        if (Math.abs(b.matchScore - a.matchScore) > relevanceTolerance) {
             return b.matchScore - a.matchScore;
         }
         
@@ -316,6 +738,104 @@ function sortBySustainabilityPriority(matchResults) {
     });
 }
 
+// Beépített rangsorolási stratégiák
+registerRankingStrategy('random', (matchResults, params, context = {}) => {
+    // Seed esetén reprodukálható sorrend, különben valódi véletlen
+    const random = context.seed != null ? createSeededRandom(context.seed) : Math.random;
+    return shuffleArray(matchResults, random);
+});
+registerRankingStrategy('relevance', (matchResults) => sortByRelevance(matchResults));
+registerRankingStrategy('relevance-sustainability', sortByRelevanceAndSustainability);
+registerRankingStrategy('sustainability-priority', sortBySustainabilityPriority);
+
+/**
+ * Felhasználó által választható rendezések (szabad felfedezés módban)
+ * Kulcs: rendezés neve, érték: { label, sort: (matchResults) => Array }
+ */
+const USER_SORT_ORDERS = {
+    relevance: {
+        label: 'Relevancia',
+        sort: matchResults => sortByRelevance(matchResults)
+    },
+    sustainability: {
+        label: 'Eco-Score',
+        sort: matchResults => sortBySustainabilityPriority(matchResults, { sustainabilityTolerance: 0, relevanceTolerance: 0 })
+    },
+    environment: {
+        label: 'Környezeti hatás (legkisebb elöl)',
+        sort: matchResults => sortByRecipeField(matchResults, 'env_score', 'asc')
+    },
+    nutrition: {
+        label: 'Táplálkozási pontszám',
+        sort: matchResults => sortByRecipeField(matchResults, 'nutri_score', 'desc')
+    },
+    rating: {
+        label: 'Értékelés',
+        sort: matchResults => sortByRecipeField(matchResults, 'aggregated_rating', 'desc')
+    },
+    reviews: {
+        label: 'Értékelések száma',
+        sort: matchResults => sortByRecipeField(matchResults, 'review_count', 'desc')
+    }
+};
+
+/**
+ * Választható felhasználói rendezések
+ * 
+ * @returns {Array} Rendezések ({ key, label })
+ */
+export function getUserSortOptions() {
+    return Object.entries(USER_SORT_ORDERS).map(([key, order]) => ({ key, label: order.label }));
+}
+
+/**
+ * Felhasználói rendezés alkalmazása
+ * 
+ * @param {Array} matchResults - Találati eredmények
+ * @param {string} sortKey - Rendezés neve
+ * @returns {Array} Rendezett receptek
+ */
+function applyUserSortOrder(matchResults, sortKey) {
+    let key = sortKey;
+    
+    if (!USER_SORT_ORDERS[key]) {
+        console.warn(`⚠️ Ismeretlen rendezés: ${key}, relevancia rendezés használata`);
+        key = 'relevance';
+    }
+    
+    console.log(`📊 Felhasználói rendezés: ${key}`);
+    return USER_SORT_ORDERS[key].sort(matchResults).map(result => result.recipe);
+}
+
+/**
+ * Rendezés egy recept mező szerint (egyenlőségnél relevancia szerint)
+ * A hiányzó értékű receptek a lista végére kerülnek.
+ * 
+ * @param {Array} matchResults - Találati eredmények
+ * @param {string} field - Recept mező (pl. 'env_score')
+ * @param {string} direction - 'asc' (kisebb elöl) vagy 'desc' (nagyobb elöl)
+ * @returns {Array} Rendezett eredmények
+ */
+function sortByRecipeField(matchResults, field, direction = 'desc') {
+    const sign = direction === 'asc' ? 1 : -1;
+    const valueOf = result => {
+        const value = result.recipe[field];
+        return typeof value === 'number' && !isNaN(value) ? value : null;
+    };
+    
+    // A stabil rendezés megtartja a relevancia sorrendet az egyenlő értékeken belül
+    return sortByRelevance(matchResults).sort((a, b) => {
+        const valueA = valueOf(a);
+        const valueB = valueOf(b);
+        
+        if (valueA === null || valueB === null) {
+            return (valueA === null) - (valueB === null);
+        }
+        
+        return sign * (valueA - valueB);
+    });
+}
+
 /**
  * Receptek szűrése kategória szerint
  * 
@@ -369,13 +889,13 @@ export function fuzzySearchRecipes(recipes, query, threshold = 0.6) {
     recipes.forEach(recipe => {
         if (!recipe.ingredients) return;
         
-        const recipeIngredients = preprocessRecipeIngredients(recipe.ingredients);
+        const recipeIngredients = preprocessRecipeIngredients(recipe);
         let maxSimilarity = 0;
         let matchCount = 0;
         
         searchTerms.forEach(searchTerm => {
             recipeIngredients.forEach(ingredient => {
-                const similarity = calculateStringSimilarity(searchTerm, ingredient);
+                const similarity = calculateStringSimilarity(searchTerm, ingredient.text);
                 if (similarity > threshold) {
                     maxSimilarity = Math.max(maxSimilarity, similarity);
                     matchCount++;
@@ -398,67 +918,143 @@ export function fuzzySearchRecipes(recipes, query, threshold = 0.6) {
         .map(result => result.recipe);
 }
 
+// Receptlista → javaslatok szókészlete (hozzávaló alakok korpuszgyakorisággal)
+const suggestionVocabularyCache = new WeakMap();
+
 /**
- * Keresési javaslatok generálása
+ * Keresési javaslatok generálása (automatikus kiegészítéshez)
+ * A részleges kifejezésre illeszkedő hozzávalók a korpuszbeli gyakoriság
+ * (hány recept tartalmazza) szerint rendezve, az előtagként illeszkedők
+ * mindig elöl. Ha kevés a hozzávaló, a receptnevek szavai egészítik ki.
  * 
  * @param {Array} recipes - Receptek tömbje
- * @param {string} partialQuery - Részleges keresési kifejezés
+ * @param {string} partialQuery - Részleges keresési kifejezés (a lekérdezés utolsó, vessző utáni része)
  * @param {number} limit - Maximum javaslatok száma
- * @returns {Array} Javaslatok
+ * @returns {Array} Javaslatok ({ text, count })
  */
 export function generateSearchSuggestions(recipes, partialQuery, limit = 5) {
-    if (!recipes || !Array.isArray(recipes) || !partialQuery || partialQuery.length < 2) {
+    const minLength = CONFIG.SEARCH.MIN_QUERY_LENGTH || 2;
+    
+    if (!recipes || !Array.isArray(recipes) || typeof partialQuery !== 'string' || partialQuery.trim().length < minLength) {
         return [];
     }
     
     const query = partialQuery.toLowerCase().trim();
-    const suggestions = new Set();
+    const normalizedQuery = normalizeText(query);
     
-    // Összes hozzávaló gyűjtése
-    const allIngredients = new Set();
-    recipes.forEach(recipe => {
-        if (recipe.ingredients) {
-            const ingredients = preprocessRecipeIngredients(recipe.ingredients);
-            ingredients.forEach(ingredient => allIngredients.add(ingredient));
-        }
-    });
+    if (!normalizedQuery) {
+        return [];
+    }
     
-    // Egyező hozzávalók keresése
-    allIngredients.forEach(ingredient => {
-        if (ingredient.includes(query) || query.includes(ingredient)) {
-            suggestions.add(ingredient);
-        } else {
-            // Fuzzy matching
-            const similarity = calculateStringSimilarity(query, ingredient);
-            if (similarity > 0.7) {
-                suggestions.add(ingredient);
+    const vocabulary = getSuggestionVocabulary(recipes);
+    
+    // Egyező hozzávalók (normalizált alakban, így "hagymát" is "hagyma"), fuzzy egyezéssel
+    const ingredientMatches = vocabulary.ingredients.filter(entry =>
+        isPartialMatch(entry.normalized, normalizedQuery) ||
+        calculateStringSimilarity(normalizedQuery, entry.normalized.text) > 0.7
+    );
+    const suggestions = rankSuggestions(ingredientMatches, query, normalizedQuery).slice(0, limit);
+    
+    // Receptnevek szavai (a hozzávalóként már javasolt alakok nélkül)
+    if (suggestions.length < limit) {
+        const seen = new Set(ingredientMatches.map(entry => entry.normalized.text));
+        const nameMatches = vocabulary.nameWords.filter(entry =>
+            entry.text.includes(query) && !seen.has(entry.normalized.text)
+        );
+        suggestions.push(...rankSuggestions(nameMatches, query, normalizedQuery).slice(0, limit - suggestions.length));
+    }
+    
+    return suggestions;
+}
+
+/**
+ * Javaslatok szókészlete (receptlistánként egyszer épül fel)
+ * 
+ * @param {Array} recipes - Receptek tömbje
+ * @returns {Object} Szókészlet ({ ingredients, nameWords })
+ */
+function getSuggestionVocabulary(recipes) {
+    if (suggestionVocabularyCache.has(recipes)) {
+        return suggestionVocabularyCache.get(recipes);
+    }
+    
+    const vocabulary = {
+        ingredients: collectSuggestionEntries(recipes, recipe => 
+            recipe.ingredients ? getIngredientList(recipe) : []),
+        nameWords: collectSuggestionEntries(recipes, recipe => (recipe.name || '')
+            .split(/\s+/)
+            .map(word => word.replace(/^[^\p{L}]+|[^\p{L}]+$/gu, ''))
+            .filter(word => word.length > 2))
+    };
+    
+    suggestionVocabularyCache.set(recipes, vocabulary);
+    return vocabulary;
+}
+
+/**
+ * Javasolható alakok gyűjtése normalizált alak szerint összevonva
+ * Egy bejegyzés gyakorisága az őt tartalmazó receptek száma, megjelenített
+ * alakja a leggyakoribb eredeti (kisbetűs) alak.
+ * 
+ * @param {Array} recipes - Receptek tömbje
+ * @param {Function} getTexts - Receptenkénti szövegek (recipe => Array)
+ * @returns {Array} Bejegyzések ({ text, normalized, count })
+ */
+function collectSuggestionEntries(recipes, getTexts) {
+    const entries = new Map();
+    
+    recipes.forEach(recipe => {
+        const seen = new Set();
+        
+        getTexts(recipe).forEach(rawText => {
+            const text = rawText.toLowerCase().trim();
+            const normalized = normalizeIngredient(text);
+            
+            if (normalized.text.length < 2) {
+                return;
             }
-        }
+            
+            if (!entries.has(normalized.text)) {
+                entries.set(normalized.text, { normalized, count: 0, forms: new Map() });
+            }
+            
+            const entry = entries.get(normalized.text);
+            entry.forms.set(text, (entry.forms.get(text) || 0) + 1);
+            
+            if (!seen.has(normalized.text)) {
+                seen.add(normalized.text);
+                entry.count++;
+            }
+        });
     });
     
-    // Receptnevek ellenőrzése
-    recipes.forEach(recipe => {
-        if (recipe.name && recipe.name.toLowerCase().includes(query)) {
-            const words = recipe.name.toLowerCase().split(/\s+/);
-            words.forEach(word => {
-                if (word.includes(query) && word.length > 2) {
-                    suggestions.add(word);
-                }
-            });
-        }
+    return Array.from(entries.values()).map(entry => {
+        const [text] = Array.from(entry.forms.entries())
+            .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)[0];
+        
+        return { text, normalized: entry.normalized, count: entry.count };
     });
+}
+
+/**
+ * Javaslatok rendezése: előtag egyezés, gyakoriság, rövidebb alak, ábécé
+ * 
+ * @param {Array} entries - Illeszkedő bejegyzések
+ * @param {string} query - Kisbetűs részleges kifejezés
+ * @param {string} normalizedQuery - Normalizált részleges kifejezés
+ * @returns {Array} Javaslatok ({ text, count })
+ */
+function rankSuggestions(entries, query, normalizedQuery) {
+    const isPrefix = entry => 
+        entry.text.startsWith(query) || entry.normalized.text.startsWith(normalizedQuery) ? 1 : 0;
     
-    return Array.from(suggestions)
-        .sort((a, b) => {
-            // Prioritás: pontosabb egyezések előre
-            const aExact = a.startsWith(query) ? 1 : 0;
-            const bExact = b.startsWith(query) ? 1 : 0;
-            if (aExact !== bExact) return bExact - aExact;
-            
-            // Rövidebb szavak előre
-            return a.length - b.length;
-        })
-        .slice(0, limit);
+    return entries
+        .sort((a, b) => 
+            isPrefix(b) - isPrefix(a) ||
+            b.count - a.count ||
+            a.text.length - b.text.length ||
+            a.text.localeCompare(b.text, 'hu'))
+        .map(entry => ({ text: entry.text, count: entry.count }));
 }
 
 /**
@@ -474,13 +1070,13 @@ export function findSimilarRecipes(targetRecipe, recipes, limit = 5) {
         return [];
     }
     
-    const targetIngredients = preprocessRecipeIngredients(targetRecipe.ingredients || '');
+    const targetIngredients = preprocessRecipeIngredients(targetRecipe).map(ingredient => ingredient.text);
     const similarities = [];
     
     recipes.forEach(recipe => {
         if (recipe.recipeid === targetRecipe.recipeid) return; // Saját magát kihagyjuk
         
-        const recipeIngredients = preprocessRecipeIngredients(recipe.ingredients || '');
+        const recipeIngredients = preprocessRecipeIngredients(recipe).map(ingredient => ingredient.text);
         const commonCount = countCommonElements(targetIngredients, recipeIngredients);
         const totalIngredients = new Set([...targetIngredients, ...recipeIngredients]).size;
         
@@ -553,62 +1149,3 @@ export function getSearchStatistics(searchResults, testGroup) {
         testGroup
     };
 }
-
-/**
- * Keresési teljesítmény optimalizálása
- * 
- * @param {Array} recipes - Receptek tömbje
- * @returns {Object} Indexelt adatstruktúra
- */
-export function buildSearchIndex(recipes) {
-    if (!recipes || !Array.isArray(recipes)) {
-        return { ingredientIndex: {}, nameIndex: {}, categoryIndex: {} };
-    }
-    
-    const ingredientIndex = {};
-    const nameIndex = {};
-    const categoryIndex = {};
-    
-    recipes.forEach((recipe, index) => {
-        // Hozzávaló index
-        if (recipe.ingredients) {
-            const ingredients = preprocessRecipeIngredients(recipe.ingredients);
-            ingredients.forEach(ingredient => {
-                if (!ingredientIndex[ingredient]) {
-                    ingredientIndex[ingredient] = [];
-                }
-                ingredientIndex[ingredient].push(index);
-            });
-        }
-        
-        // Név index
-        if (recipe.name) {
-            const nameWords = recipe.name.toLowerCase().split(/\s+/);
-            nameWords.forEach(word => {
-                if (word.length > 2) {
-                    if (!nameIndex[word]) {
-                        nameIndex[word] = [];
-                    }
-                    nameIndex[word].push(index);
-                }
-            });
-        }
-        
-        // Kategória index
-        if (recipe.category) {
-            const category = recipe.category.toLowerCase();
-            if (!categoryIndex[category]) {
-                categoryIndex[category] = [];
-            }
-            categoryIndex[category].push(index);
-        }
-    });
-    
-    console.log('🔍 Keresési index elkészítve:', {
-        ingredients: Object.keys(ingredientIndex).length,
-        names: Object.keys(nameIndex).length,
-        categories: Object.keys(categoryIndex).length
-    });
-    
-    return { ingredientIndex, nameIndex, categoryIndex };
-}
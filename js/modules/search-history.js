@@ -0,0 +1,128 @@
+/**
+ * search-history.js
+ * Keresési események naplózása a Recept Kutatási Rendszerhez
+ * Verzió: 2025.06.20
+ */
+
+import CONFIG from './config.js';
+import { generateUniqueId, safeJsonParse, safeJsonStringify } from '../utils/helpers.js';
+import { getCurrentSessionId } from './session-manager.js';
+
+/**
+ * Keresési esemény rögzítése
+ * Minden lefuttatott keresés bekerül a naplóba, a nulla találatos keresések is.
+ * A szűrő- vagy rendezésváltás miatti újrafuttatás finomítás: a kiváltó
+ * lekérdezés azonosítójára hivatkozik, és nem számít új tölcsér belépésnek.
+ * 
+ * @param {Object} user - Felhasználó objektum
+ * @param {string} query - Nyers keresési kifejezés
+ * @param {Array} terms - Feldolgozott keresési kifejezések
+ * @param {Array} results - Megjelenített találati receptek (rangsor szerint, az első oldal)
+ * @param {Object|null} ranking - Alkalmazott rangsorolás ({ strategy, scorer, seed, sort })
+ * @param {Object|null} filters - Lekérdezés szűrői (query-parser.js filters mezője)
+ * @param {Object|null} facets - Szűrőpanel kritériumai (facets.js getFacetFilters())
+ * @param {number|null} totalResults - Az összes (lapozható) találat száma
+ * @param {string} trigger - Kiváltó ok ('query' | 'facet' | 'sort')
+ * @param {string|null} originSearchId - Finomításnál a kiváltó lekérdezés keresés azonosítója
+ * @returns {Object|null} Rögzített keresési esemény
+ */
+export function recordSearchEvent(user, query, terms, results, ranking = null, filters = null, facets = null, totalResults = null, trigger = 'query', originSearchId = null) {
+    if (!CONFIG.ANALYTICS?.ENABLED || !CONFIG.ANALYTICS?.TRACK_SEARCH) {
+        return null;
+    }
+    
+    if (!user) {
+        console.error('❌ Hiányzó felhasználó a keresés naplózásához!');
+        return null;
+    }
+    
+    const resultList = Array.isArray(results) ? results : [];
+    const searchId = generateSearchId();
+    const isRefinement = trigger !== 'query' && Boolean(originSearchId);
+    
+    // Keresési esemény összeállítása
+    const searchEvent = {
+        searchId,
+        trigger: isRefinement ? trigger : 'query',
+        originSearchId: isRefinement ? originSearchId : searchId,
+        userId: user.id,
+        testGroup: user.testGroup,
+        sessionId: getCurrentSessionId(),
+        query: query,
+        terms: Array.isArray(terms) ? terms : [],
+        filters: filters && Object.keys(filters).length > 0 ? filters : null,
+        facets: facets && Object.keys(facets).length > 0 ? facets : null,
+        results: resultList.map((recipe, index) => ({
+            recipeId: recipe.recipeid,
+            rank: index + 1
+        })),
+        resultsCount: resultList.length,
+        totalResults: totalResults ?? resultList.length,
+        zeroResults: resultList.length === 0,
+        ranking: {
+            strategy: ranking?.strategy || null,
+            scorer: ranking?.scorer || null,
+            seed: ranking?.seed ?? null,
+            sort: ranking?.sort || null
+        },
+        timestamp: new Date().toISOString()
+    };
+    
+    try {
+        const searches = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.SEARCHES), []);
+        searches.push(searchEvent);
+        localStorage.setItem(CONFIG.STORAGE_KEYS.SEARCHES, safeJsonStringify(searches, '[]'));
+    } catch (error) {
+        console.error('❌ Keresési esemény mentési hiba:', error);
+    }
+    
+    console.log(`🗂️ Keresés naplózva: "${query}" (${searchEvent.resultsCount} találat)`);
+    
+    return searchEvent;
+}
+
+/**
+ * Keresési események lekérése
+ * 
+ * @param {string} userId - Felhasználó azonosító (opcionális)
+ * @returns {Array} Keresési események tömbje
+ */
+export function getSearchEvents(userId = null) {
+    try {
+        const searches = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.SEARCHES), []);
+        
+        if (userId) {
+            return searches.filter(search => search.userId === userId);
+        }
+        
+        return searches;
+    } catch (error) {
+        console.error('❌ Keresési események lekérési hiba:', error);
+        return [];
+    }
+}
+
+/**
+ * Keresési napló törlése
+ * 
+ * @returns {boolean} Sikeres törlés
+ */
+export function clearSearchHistory() {
+    try {
+        localStorage.removeItem(CONFIG.STORAGE_KEYS.SEARCHES);
+        console.log('✅ Keresési napló törölve');
+        return true;
+    } catch (error) {
+        console.error('❌ Keresési napló törlési hiba:', error);
+        return false;
+    }
+}
+
+/**
+ * Keresés azonosító generálása
+ * 
+ * @returns {string} Egyedi keresés azonosító
+ */
+function generateSearchId() {
+    return `search_${generateUniqueId()}`;
+}
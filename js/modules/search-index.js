@@ -0,0 +1,381 @@
+/**
+ * search-index.js
+ * Invertált keresési index és jelöltgenerálás a recept kereséshez
+ * Verzió: 2025.06.20
+ */
+
+import { calculateStringSimilarity } from '../utils/helpers.js';
+import { getIngredientList } from './data-loader.js';
+import { normalizeIngredient } from './ingredient-normalizer.js';
+
+// A pontozó (recipe-search.js) fuzzy küszöbe: efölötti hasonlóság számít egyezésnek
+const FUZZY_THRESHOLD = 0.7;
+
+// A containsTerm() rövid kifejezés határa: ennyi karakterig szóvégi egyezés
+const SHORT_TERM_LENGTH = 3;
+
+// Receptlistánként a legutóbb épített index
+const indexCache = new WeakMap();
+
+/**
+ * Recept normalizált hozzávalói (a keresés és az index közös előfeldolgozása)
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @returns {Array} Normalizált hozzávalók ({ text, tokens })
+ */
+export function getNormalizedIngredients(recipe) {
+    return getIngredientList(recipe)
+        .map(normalizeIngredient)
+        .filter(ingredient => ingredient.text.length > 1);
+}
+
+/**
+ * Keresési index építése
+ * A hozzávalók szókészlete (egyedi normalizált hozzávalók) kapja a bigram,
+ * szóvég és hossz szerinti indexeket; minden szókészlet elemhez a receptek
+ * listája tartozik. A receptnevek külön bigram és szóvég indexet kapnak.
+ * A precomputeFuzzy beállítással a szókészlet szavainak (a tipikus keresési
+ * kifejezéseknek) fuzzy szomszédai már az építéskor elkészülnek.
+ * 
+ * @param {Array} recipes - Receptek tömbje
+ * @param {Object} options - Beállítások ({ precomputeFuzzy })
+ * @returns {Object} Keresési index
+ */
+export function buildSearchIndex(recipes, options = {}) {
+    const recipeList = Array.isArray(recipes) ? recipes : [];
+    
+    const index = {
+        recipes: recipeList,
+        // Szókészlet: normalizált hozzávaló → azonosító, és fordítva
+        vocabulary: [],
+        vocabularyIds: new Map(),
+        // Szókészlet elem → receptek indexei (növekvő sorrendben)
+        postings: [],
+        // Receptenként a normalizált hozzávalók száma (dokumentumhossz) és átlaga
+        documentLengths: [],
+        averageDocumentLength: 0,
+        bigramIndex: new Map(),
+        suffixIndex: new Map(),
+        lengthIndex: new Map(),
+        // Receptnevek (normalizálva) és indexeik
+        names: [],
+        nameBigramIndex: new Map(),
+        nameSuffixIndex: new Map(),
+        // Kategória → receptek indexei
+        categoryIndex: new Map(),
+        // Keresési kifejezés → fuzzy szomszédok (szókészlet azonosítók), menet közben töltve
+        fuzzyNeighbors: new Map()
+    };
+    
+    recipeList.forEach((recipe, recipeIndex) => {
+        const ingredients = recipe.ingredients ? getNormalizedIngredients(recipe) : [];
+        
+        ingredients.forEach(ingredient => {
+            const id = addVocabularyEntry(index, ingredient);
+            const posting = index.postings[id];
+            if (posting[posting.length - 1] !== recipeIndex) {
+                posting.push(recipeIndex);
+            }
+        });
+        index.documentLengths.push(ingredients.length);
+        
+        const name = normalizeIngredient(recipe.name || '');
+        index.names.push(name);
+        addToIndex(index.nameBigramIndex, getBigrams(name.text), recipeIndex);
+        addToIndex(index.nameSuffixIndex, getTokenSuffixes(name.tokens), recipeIndex);
+        
+        if (recipe.category) {
+            addToIndex(index.categoryIndex, [recipe.category.toLowerCase()], recipeIndex);
+        }
+    });
+    
+    const totalLength = index.documentLengths.reduce((sum, length) => sum + length, 0);
+    index.averageDocumentLength = recipeList.length > 0 ? totalLength / recipeList.length : 0;
+    
+    if (options.precomputeFuzzy) {
+        const words = new Set(index.vocabulary.flatMap(ingredient => ingredient.tokens));
+        words.forEach(word => getFuzzyNeighbors(index, word));
+    }
+    
+    indexCache.set(recipeList, index);
+    
+    console.log('🔍 Keresési index elkészítve:', {
+        recipes: recipeList.length,
+        vocabulary: index.vocabulary.length,
+        bigrams: index.bigramIndex.size,
+        fuzzyNeighbors: index.fuzzyNeighbors.size,
+        categories: index.categoryIndex.size
+    });
+    
+    return index;
+}
+
+/**
+ * Receptlistához tartozó index (szükség esetén felépítve)
+ * 
+ * @param {Array} recipes - Receptek tömbje
+ * @returns {Object} Keresési index
+ */
+export function getSearchIndex(recipes) {
+    return indexCache.get(recipes) || buildSearchIndex(recipes);
+}
+
+/**
+ * Jelölt receptek keresése
+ * Minden olyan receptet visszaad, amelyre a pontozó pozitív pontszámot
+ * adhat: pontos, részleges (containsTerm/isPartialMatch szabályai) vagy
+ * fuzzy hozzávaló egyezés, illetve névegyezés valamelyik kifejezésre.
+ * 
+ * @param {Object} index - Keresési index
+ * @param {Array} searchTerms - Normalizált keresési kifejezések
+ * @returns {Array} Jelölt receptek indexei növekvő sorrendben
+ */
+export function findCandidateRecipes(index, searchTerms) {
+    const candidates = new Set();
+    
+    searchTerms.forEach(term => {
+        findMatchingEntries(index, term).forEach(id => {
+            index.postings[id].forEach(recipeIndex => candidates.add(recipeIndex));
+        });
+        
+        findNameMatches(index, term).forEach(recipeIndex => candidates.add(recipeIndex));
+    });
+    
+    return [...candidates].sort((a, b) => a - b);
+}
+
+/**
+ * Szókészlet elemek, amelyekre a kifejezés illeszkedhet
+ * Részleges (tartalmazó vagy tartalmazott) és fuzzy jelöltek; a pontos
+ * egyezést a pontozó szabályai döntik el.
+ * 
+ * @param {Object} index - Keresési index
+ * @param {string} term - Normalizált keresési kifejezés
+ * @returns {Array} Szókészlet azonosítók
+ */
+export function findMatchingEntries(index, term) {
+    return [...new Set([
+        ...findContainingEntries(index, term),
+        ...findContainedEntries(index, term),
+        ...getFuzzyNeighbors(index, term)
+    ])];
+}
+
+/**
+ * Fuzzy szomszédok: a kifejezéshez a pontozó küszöbénél hasonlóbb szókészlet elemek
+ * Hossz és közös bigramok alapján szűrünk (q-gram lemma: d szerkesztés
+ * legfeljebb 2d bigramot ront el), csak a megmaradt jelöltekre számolunk
+ * Levenshtein hasonlóságot. Az eredmény kifejezésenként gyorsítótárazott.
+ * 
+ * @param {Object} index - Keresési index
+ * @param {string} term - Normalizált keresési kifejezés
+ * @returns {Array} Szókészlet azonosítók
+ */
+export function getFuzzyNeighbors(index, term) {
+    if (index.fuzzyNeighbors.has(term)) {
+        return index.fuzzyNeighbors.get(term);
+    }
+    
+    const termBigrams = getBigrams(term);
+    const sharedCounts = new Map();
+    termBigrams.forEach(bigram => {
+        (index.bigramIndex.get(bigram) || []).forEach(id => {
+            sharedCounts.set(id, (sharedCounts.get(id) || 0) + 1);
+        });
+    });
+    
+    const neighbors = [];
+    index.lengthIndex.forEach((ids, length) => {
+        const maxDistance = getMaxFuzzyDistance(Math.max(term.length, length));
+        if (Math.abs(term.length - length) > maxDistance) {
+            return;
+        }
+        
+        const requiredShared = termBigrams.length - 2 * maxDistance;
+        ids.forEach(id => {
+            if (requiredShared > 0 && (sharedCounts.get(id) || 0) < requiredShared) {
+                return;
+            }
+            if (calculateStringSimilarity(index.vocabulary[id].text, term) > FUZZY_THRESHOLD) {
+                neighbors.push(id);
+            }
+        });
+    });
+    
+    index.fuzzyNeighbors.set(term, neighbors);
+    return neighbors;
+}
+
+/**
+ * Szókészlet elem felvétele (ha még nem szerepel)
+ * 
+ * @param {Object} index - Keresési index
+ * @param {Object} ingredient - Normalizált hozzávaló
+ * @returns {number} Szókészlet azonosító
+ */
+function addVocabularyEntry(index, ingredient) {
+    if (index.vocabularyIds.has(ingredient.text)) {
+        return index.vocabularyIds.get(ingredient.text);
+    }
+    
+    const id = index.vocabulary.length;
+    index.vocabulary.push(ingredient);
+    index.vocabularyIds.set(ingredient.text, id);
+    index.postings.push([]);
+    
+    addToIndex(index.bigramIndex, getBigrams(ingredient.text), id);
+    addToIndex(index.suffixIndex, getTokenSuffixes(ingredient.tokens), id);
+    addToIndex(index.lengthIndex, [ingredient.text.length], id);
+    
+    return id;
+}
+
+/**
+ * Szókészlet elemek, amelyek tartalmazzák a kifejezést (containsTerm)
+ * 
+ * @param {Object} index - Keresési index
+ * @param {string} term - Normalizált keresési kifejezés
+ * @returns {Array} Szókészlet azonosítók
+ */
+function findContainingEntries(index, term) {
+    if (term.length <= SHORT_TERM_LENGTH) {
+        return index.suffixIndex.get(term) || [];
+    }
+    
+    return intersectPostings(index.bigramIndex, getBigrams(term))
+        .filter(id => index.vocabulary[id].text.includes(term));
+}
+
+/**
+ * Szókészlet elemek, amelyeket a kifejezés tartalmaz (fordított irányú
+ * részleges egyezés, pl. "marha" hozzávaló a "marhaporkolt" kifejezésben)
+ * A kifejezés részszövegeit, illetve rövid elemeknél szóvégeit keressük ki.
+ * 
+ * @param {Object} index - Keresési index
+ * @param {string} term - Normalizált keresési kifejezés
+ * @returns {Array} Szókészlet azonosítók
+ */
+function findContainedEntries(index, term) {
+    const normalizedTerm = normalizeIngredient(term);
+    const ids = [];
+    const lookup = text => {
+        if (index.vocabularyIds.has(text)) {
+            ids.push(index.vocabularyIds.get(text));
+        }
+    };
+    
+    // Rövid hozzávaló: a kifejezés valamely szavának vége
+    getTokenSuffixes(normalizedTerm.tokens).forEach(lookup);
+    
+    // Hosszabb hozzávaló: a kifejezés részszövege
+    const text = normalizedTerm.text;
+    for (let start = 0; start < text.length; start++) {
+        for (let end = start + SHORT_TERM_LENGTH + 1; end <= text.length; end++) {
+            lookup(text.slice(start, end));
+        }
+    }
+    
+    return ids;
+}
+
+/**
+ * Receptnév egyezések (containsTerm a normalizált névre)
+ * 
+ * @param {Object} index - Keresési index
+ * @param {string} term - Normalizált keresési kifejezés
+ * @returns {Array} Receptek indexei
+ */
+function findNameMatches(index, term) {
+    if (term.length <= SHORT_TERM_LENGTH) {
+        return index.nameSuffixIndex.get(term) || [];
+    }
+    
+    return intersectPostings(index.nameBigramIndex, getBigrams(term))
+        .filter(recipeIndex => index.names[recipeIndex].text.includes(term));
+}
+
+/**
+ * Legnagyobb szerkesztési távolság, amely még a fuzzy küszöb fölött marad
+ * 
+ * @param {number} maxLength - A hosszabb szöveg hossza
+ * @returns {number} Megengedett távolság
+ */
+function getMaxFuzzyDistance(maxLength) {
+    let distance = 0;
+    while ((maxLength - (distance + 1)) / maxLength > FUZZY_THRESHOLD) {
+        distance++;
+    }
+    return distance;
+}
+
+/**
+ * Szöveg egyedi bigramjai
+ * 
+ * @param {string} text - Szöveg
+ * @returns {Array} Bigramok
+ */
+function getBigrams(text) {
+    const bigrams = new Set();
+    for (let i = 0; i < text.length - 1; i++) {
+        bigrams.add(text.slice(i, i + 2));
+    }
+    return [...bigrams];
+}
+
+/**
+ * Szavak rövid végződései (a rövid kifejezések szóvégi egyezéséhez)
+ * 
+ * @param {Array} tokens - Normalizált szavak
+ * @returns {Array} Legfeljebb SHORT_TERM_LENGTH hosszú végződések
+ */
+function getTokenSuffixes(tokens) {
+    const suffixes = new Set();
+    tokens.forEach(token => {
+        for (let length = 1; length <= Math.min(SHORT_TERM_LENGTH, token.length); length++) {
+            suffixes.add(token.slice(-length));
+        }
+    });
+    return [...suffixes];
+}
+
+/**
+ * Érték felvétele több kulcs listájába
+ * 
+ * @param {Map} map - Index
+ * @param {Array} keys - Kulcsok
+ * @param {number} value - Azonosító
+ */
+function addToIndex(map, keys, value) {
+    keys.forEach(key => {
+        if (!map.has(key)) {
+            map.set(key, []);
+        }
+        const list = map.get(key);
+        if (list[list.length - 1] !== value) {
+            list.push(value);
+        }
+    });
+}
+
+/**
+ * Listák metszete (a legrövidebbtől indulva)
+ * 
+ * @param {Map} map - Index
+ * @param {Array} keys - Kulcsok
+ * @returns {Array} Minden kulcs listájában szereplő azonosítók
+ */
+function intersectPostings(map, keys) {
+    if (keys.length === 0) {
+        return [];
+    }
+    
+    const lists = keys.map(key => map.get(key) || []).sort((a, b) => a.length - b.length);
+    let result = lists[0];
+    
+    for (let i = 1; i < lists.length && result.length > 0; i++) {
+        const members = new Set(lists[i]);
+        result = result.filter(id => members.has(id));
+    }
+    
+    return result;
+}
@@ -0,0 +1,174 @@
+/**
+ * session-manager.js
+ * Munkamenet életciklus kezelése a Recept Kutatási Rendszerhez
+ * Verzió: 2025.06.20
+ */
+
+import CONFIG from './config.js';
+import { generateUniqueId, safeJsonParse, safeJsonStringify } from '../utils/helpers.js';
+
+/**
+ * Új munkamenet indítása
+ * Egy esetleg még nyitott munkamenetet előbb lezár.
+ * 
+ * @param {Object} user - Felhasználó objektum
+ * @param {string} trigger - Indítás oka ('registration', 'login', 'resume')
+ * @returns {Object|null} Aktív munkamenet
+ */
+export function startSession(user, trigger = 'login') {
+    if (!user) {
+        console.error('❌ Hiányzó felhasználó a munkamenet indításához!');
+        return null;
+    }
+    
+    // Előző, le nem zárt munkamenet lezárása
+    if (getActiveSession()) {
+        endSession('superseded');
+    }
+    
+    const now = new Date().toISOString();
+    const session = {
+        sessionId: generateSessionId(),
+        userId: user.id,
+        testGroup: user.testGroup,
+        trigger: trigger,
+        startedAt: now,
+        lastActivityAt: now,
+        endedAt: null,
+        endReason: null
+    };
+    
+    saveSession(session);
+    localStorage.setItem(CONFIG.STORAGE_KEYS.ACTIVE_SESSION, session.sessionId);
+    
+    console.log(`🟢 Munkamenet indítva (${trigger}): ${session.sessionId}`);
+    
+    return session;
+}
+
+/**
+ * Aktivitás jelzése az aktív munkamenetben
+ * Ha a munkamenet az inaktivitási időkorlátnál régebben volt aktív,
+ * lezárjuk és ugyanannak a felhasználónak új munkamenetet indítunk.
+ * 
+ * @returns {Object|null} Aktív munkamenet
+ */
+export function touchSession() {
+    const session = getActiveSession();
+    if (!session) {
+        return null;
+    }
+    
+    const idleTimeoutMs = (CONFIG.SESSION?.IDLE_TIMEOUT_MINUTES || 30) * 60 * 1000;
+    const idleFor = Date.now() - new Date(session.lastActivityAt).getTime();
+    
+    if (idleFor > idleTimeoutMs) {
+        endSession('idle-timeout');
+        return startSession({ id: session.userId, testGroup: session.testGroup }, 'resume');
+    }
+    
+    session.lastActivityAt = new Date().toISOString();
+    saveSession(session);
+    
+    return session;
+}
+
+/**
+ * Aktív munkamenet azonosítójának lekérése (aktivitásként is számít)
+ * 
+ * @returns {string|null} Munkamenet azonosító
+ */
+export function getCurrentSessionId() {
+    return touchSession()?.sessionId || null;
+}
+
+/**
+ * Aktív munkamenet lekérése mellékhatás nélkül
+ * 
+ * @returns {Object|null} Aktív munkamenet
+ */
+export function getActiveSession() {
+    const activeId = localStorage.getItem(CONFIG.STORAGE_KEYS.ACTIVE_SESSION);
+    if (!activeId) {
+        return null;
+    }
+    
+    const session = getSessions().find(item => item.sessionId === activeId);
+    return session && !session.endedAt ? session : null;
+}
+
+/**
+ * Aktív munkamenet lezárása
+ * 
+ * @param {string} reason - Lezárás oka ('logout', 'unload', 'idle-timeout', 'superseded')
+ * @returns {Object|null} Lezárt munkamenet
+ */
+export function endSession(reason = 'logout') {
+    const session = getActiveSession();
+    if (!session) {
+        return null;
+    }
+    
+    // Inaktivitás esetén a munkamenet valójában az utolsó aktivitáskor ért véget
+    session.endedAt = reason === 'idle-timeout' ? session.lastActivityAt : new Date().toISOString();
+    session.endReason = reason;
+    
+    saveSession(session);
+    localStorage.removeItem(CONFIG.STORAGE_KEYS.ACTIVE_SESSION);
+    
+    console.log(`🔴 Munkamenet lezárva (${reason}): ${session.sessionId}`);
+    
+    return session;
+}
+
+/**
+ * Munkamenetek lekérése
+ * 
+ * @param {string} userId - Felhasználó azonosító (opcionális)
+ * @returns {Array} Munkamenetek tömbje
+ */
+export function getSessions(userId = null) {
+    try {
+        const sessions = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.SESSIONS), []);
+        
+        if (userId) {
+            return sessions.filter(session => session.userId === userId);
+        }
+        
+        return sessions;
+    } catch (error) {
+        console.error('❌ Munkamenetek lekérési hiba:', error);
+        return [];
+    }
+}
+
+/**
+ * Munkamenet mentése (új felvétele vagy meglévő frissítése)
+ * 
+ * @param {Object} session - Munkamenet objektum
+ */
+function saveSession(session) {
+    try {
+        const sessions = getSessions();
+        const index = sessions.findIndex(item => item.sessionId === session.sessionId);
+        
+        if (index >= 0) {
+            sessions[index] = session;
+        } else {
+            sessions.push(session);
+        }
+        
+        localStorage.setItem(CONFIG.STORAGE_KEYS.SESSIONS, safeJsonStringify(sessions, '[]'));
+    } catch (error) {
+        console.error('❌ Munkamenet mentési hiba:', error);
+    }
+}
+
+/**
+ * Munkamenet ID generálása
+ * 
+ * @returns {string} Egyedi munkamenet azonosító
+ */
+function generateSessionId() {
+    return `session_${generateUniqueId()}`;
+}
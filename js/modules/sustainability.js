@@ -5,9 +5,15 @@
  */
 
 import CONFIG from './config.js';
+import { getIngredientRows } from './data-loader.js';
+import { calculateRecipeFootprint } from './footprint.js';
+import { getKnowledgeSection, getEntryTerms } from './knowledge-base.js';
+import { normalizeIngredient, normalizeText, containsTerm, isPartialMatch } from './ingredient-normalizer.js';
 
 /**
  * Fenntarthatósági pontszám számítása
+ * A pontszám a decomposeSustainabilityScore() tagjainak összege, így a
+ * megjelenített számítási bontás mindig kiadja a megjelenített pontszámot.
  * 
  * @param {number} envScore - Környezeti pontszám (0-100, magasabb = rosszabb)
  * @param {number} nutriScore - Táplálkozási pontszám (0-100, magasabb = jobb)
@@ -21,26 +27,82 @@ export function calculateSustainabilityScore(envScore, nutriScore, category = 'e
         return 50; // Alapértelmezett közepesen fenntartható
     }
     
-    // Normalizálás 0-100 tartományra
-    const normalizedEnvScore = Math.max(0, Math.min(100, envScore));
-    const normalizedNutriScore = Math.max(0, Math.min(100, nutriScore));
-    
-    // Környezeti komponens: fordított skála (100 - envScore)
-    const environmentalComponent = 100 - normalizedEnvScore;
-    
-    // Táplálkozási komponens: direkt skála
-    const nutritionalComponent = normalizedNutriScore;
-    
-    // Súlyozott átlag: 60% környezeti, 40% táplálkozási
-    const weightedScore = (environmentalComponent * 0.6) + (nutritionalComponent * 0.4);
-    
-    // Kategória módosító
-    const categoryModifier = getCategoryModifier(category);
+    return decomposeSustainabilityScore(envScore, nutriScore, category).total;
+}
+
+/**
+ * Fenntarthatósági pontszám felbontása tagokra
+ * Mindhárom komponens 0-100 skálán van (környezeti: fordított, táplálkozási:
+ * direkt, kategória: a módosító 50 körül), a súlyok a
+ * CONFIG.SUSTAINABILITY.WEIGHTS értékei. A hozzájárulások egy tizedesre
+ * kerekítve adódnak össze; ha az összeg a súlyok miatt kilógna a 0-100
+ * tartományból, a levágás külön tagként (adjustment) jelenik meg.
+ * 
+ * @param {number} envScore - Környezeti pontszám (0-100, magasabb = rosszabb)
+ * @param {number} nutriScore - Táplálkozási pontszám (0-100, magasabb = jobb)
+ * @param {string} category - Étel kategória
+ * @returns {Object} Felbontás ({ terms: [{ key, label, input, component, weight,
+ *                   contribution }], adjustment, total })
+ */
+export function decomposeSustainabilityScore(envScore, nutriScore, category = 'egyéb') {
+    const settings = CONFIG.SUSTAINABILITY || {};
+    const weights = settings.WEIGHTS || { ENV_SCORE: 0.6, NUTRI_SCORE: 0.3, CATEGORY_MODIFIER: 0.1 };
+    const maxEnvScore = settings.MAX_ENV_SCORE || 100;
+    const maxNutriScore = settings.MAX_NUTRI_SCORE || 100;
+    const maxModifier = settings.CATEGORY_MODIFIER_MAX || 10;
+    
+    const env = clamp(Number(envScore) || 0, 0, maxEnvScore);
+    const nutri = clamp(Number(nutriScore) || 0, 0, maxNutriScore);
+    const modifier = getCategoryModifier(category);
+    
+    const terms = [
+        {
+            key: 'environment',
+            label: 'Környezeti hatás',
+            input: env,
+            // Fordított skála: kisebb környezeti terhelés = több pont
+            component: 100 * (1 - env / maxEnvScore),
+            weight: weights.ENV_SCORE ?? 0
+        },
+        {
+            key: 'nutrition',
+            label: 'Táplálkozási érték',
+            input: nutri,
+            component: 100 * (nutri / maxNutriScore),
+            weight: weights.NUTRI_SCORE ?? 0
+        },
+        {
+            key: 'category',
+            label: 'Kategória',
+            input: modifier,
+            component: clamp(50 + 50 * (modifier / maxModifier), 0, 100),
+            weight: weights.CATEGORY_MODIFIER ?? 0
+        }
+    ].map(term => {
+        // A hozzájárulás a megjelenített (kerekített) komponensből számolódik
+        const component = roundToTenth(term.component);
+        return { ...term, component, contribution: roundToTenth(term.weight * component) };
+    });
     
-    // Végső pontszám számítása
-    const finalScore = Math.max(0, Math.min(100, weightedScore + categoryModifier));
+    // Összegzés tizedekben, hogy a kerekített tagok pontosan kiadják a végösszeget
+    const sumTenths = terms.reduce((sum, term) => sum + Math.round(term.contribution * 10), 0);
+    const totalTenths = clamp(sumTenths, 0, 1000);
     
-    return Math.round(finalScore * 10) / 10; // Egy tizedesjegy pontosság
+    return {
+        terms,
+        adjustment: (totalTenths - sumTenths) / 10,
+        total: totalTenths / 10
+    };
+}
+
+/**
+ * Recept fenntarthatósági pontszámának felbontása
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @returns {Object} decomposeSustainabilityScore() eredménye
+ */
+export function getRecipeScoreDecomposition(recipe) {
+    return decomposeSustainabilityScore(recipe?.env_score, recipe?.nutri_score, recipe?.category);
 }
 
 /**
@@ -64,6 +126,28 @@ function getCategoryModifier(category) {
     return modifiers[category] || 0;
 }
 
+/**
+ * Érték korlátozása tartományra
+ * 
+ * @param {number} value - Érték
+ * @param {number} min - Alsó határ
+ * @param {number} max - Felső határ
+ * @returns {number} Korlátozott érték
+ */
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Kerekítés egy tizedesjegyre
+ * 
+ * @param {number} value - Érték
+ * @returns {number} Kerekített érték
+ */
+function roundToTenth(value) {
+    return Math.round(value * 10) / 10;
+}
+
 /**
  * Környezeti hatás színének meghatározása
  * 
@@ -170,24 +254,16 @@ export function determineCategory(ingredients) {
         return 'egyéb';
     }
     
-    const lowerIngredients = ingredients.toLowerCase();
-    
-    // Kategória kulcsszavak
-    const categoryKeywords = {
-        'saláta': ['saláta', 'uborka', 'paradicsom', 'paprika', 'hagyma', 'olíva', 'salad'],
-        'leves': ['leves', 'soup', 'krém', 'brokkoli', 'sárgarépa', 'zeller'],
-        'főétel': ['hús', 'csirke', 'marha', 'sertés', 'hal', 'pasta', 'rizs', 'burgonya'],
-        'desszert': ['sütemény', 'torta', 'csokoládé', 'vanília', 'cukor', 'tejszín', 'gyümölcs'],
-        'ital': ['smoothie', 'juice', 'tea', 'kávé', 'víz', 'tej', 'drink'],
-        'reggeli': ['tojás', 'bacon', 'sonka', 'sajt', 'toast', 'müzli', 'joghurt'],
-        'köret': ['krumpli', 'burgonya', 'rizs', 'pasta', 'zöldség', 'bab', 'lencse']
-    };
+    const normalizedIngredients = normalizeIngredient(ingredients);
+    
+    // Kategória kulcsszavak (tudásbázis)
+    const categoryKeywords = getKnowledgeSection('categoryKeywords');
     
     // Pontszámok számítása kategóriánként
     const scores = {};
     for (const [category, keywords] of Object.entries(categoryKeywords)) {
         scores[category] = keywords.reduce((score, keyword) => {
-            return score + (lowerIngredients.includes(keyword) ? 1 : 0);
+            return score + (containsTerm(normalizedIngredients, normalizeText(keyword)) ? 1 : 0);
         }, 0);
     }
     
@@ -220,55 +296,23 @@ export function getIngredientSustainabilityImpact(ingredient) {
         return { impact: 'neutral', score: 0, explanation: 'Ismeretlen hozzávaló' };
     }
     
-    const lowerIngredient = ingredient.toLowerCase().trim();
-    
-    // Fenntarthatósági adatbázis
-    const sustainabilityData = {
-        // Nagyon jó (alacsony környezeti hatás)
-        'saláta': { impact: 'positive', score: 8, explanation: 'Alacsony szén-dioxid kibocsátás és vízigény' },
-        'paradicsom': { impact: 'positive', score: 7, explanation: 'Helyi termesztés esetén környezetbarát' },
-        'uborka': { impact: 'positive', score: 8, explanation: 'Minimális erőforrás igény' },
-        'spenót': { impact: 'positive', score: 9, explanation: 'Magas tápérték, alacsony környezeti hatás' },
-        'brokkoli': { impact: 'positive', score: 8, explanation: 'Kiváló tápérték, alacsony szén-lábnyom' },
-        'sárgarépa': { impact: 'positive', score: 8, explanation: 'Hosszú tárolhatóság, alacsony hulladék' },
-        'zöldség': { impact: 'positive', score: 7, explanation: 'Általában környezetbarát' },
-        'gyümölcs': { impact: 'positive', score: 7, explanation: 'Természetes, minimálisan feldolgozott' },
-        'bab': { impact: 'positive', score: 9, explanation: 'Magas fehérjetartalom, nitrogén fixálás' },
-        'lencse': { impact: 'positive', score: 9, explanation: 'Fenntartható fehérjeforrás' },
-        'quinoa': { impact: 'positive', score: 8, explanation: 'Teljes fehérje, alacsony vízigény' },
-        
-        // Jó (mérsékelt hatás)
-        'rizs': { impact: 'neutral', score: 5, explanation: 'Mérsékelt környezeti hatás' },
-        'pasta': { impact: 'neutral', score: 5, explanation: 'Gabona alapú, közepes fenntarthatóság' },
-        'krumpli': { impact: 'neutral', score: 6, explanation: 'Jó tápérték, közepes erőforrás igény' },
-        'burgonya': { impact: 'neutral', score: 6, explanation: 'Jó tápérték, közepes erőforrás igény' },
-        'tojás': { impact: 'neutral', score: 4, explanation: 'Jó fehérje, de állattenyésztés hatása' },
-        'tej': { impact: 'neutral', score: 3, explanation: 'Tápláló, de tejtermék környezeti hatás' },
-        'sajt': { impact: 'neutral', score: 3, explanation: 'Magas tápérték, de jelentős környezeti hatás' },
-        'hal': { impact: 'neutral', score: 4, explanation: 'Jó fehérje, de túlhalászat kockázat' },
-        
-        // Rossz (magas környezeti hatás)
-        'csirke': { impact: 'negative', score: -2, explanation: 'Állattenyésztés környezeti hatása' },
-        'csirkemell': { impact: 'negative', score: -2, explanation: 'Állattenyésztés környezeti hatása' },
-        'sertés': { impact: 'negative', score: -4, explanation: 'Magas szén-dioxid kibocsátás' },
-        'marha': { impact: 'negative', score: -6, explanation: 'Nagyon magas környezeti hatás' },
-        'marhahús': { impact: 'negative', score: -6, explanation: 'Nagyon magas környezeti hatás' },
-        'bacon': { impact: 'negative', score: -5, explanation: 'Feldolgozott hús, magas környezeti hatás' },
-        'sonka': { impact: 'negative', score: -4, explanation: 'Feldolgozott hús' },
-        'vaj': { impact: 'negative', score: -3, explanation: 'Tejtermék, magas szén-lábnyom' },
-        'tejszín': { impact: 'negative', score: -3, explanation: 'Magas zsírtartalmú tejtermék' }
-    };
+    const normalized = normalizeIngredient(ingredient);
     
-    // Pontos egyezés keresése
-    if (sustainabilityData[lowerIngredient]) {
-        return sustainabilityData[lowerIngredient];
+    // Fenntarthatósági adatbázis (tudásbázis)
+    const sustainabilityData = getKnowledgeSection('sustainability');
+    
+    // Pontos egyezés keresése (név vagy szinonima)
+    const exactMatch = sustainabilityData.find(entry => getEntryTerms(entry).includes(normalized.text));
+    if (exactMatch) {
+        return toImpact(exactMatch);
     }
     
     // Részleges egyezés keresése
-    for (const [key, data] of Object.entries(sustainabilityData)) {
-        if (lowerIngredient.includes(key) || key.includes(lowerIngredient)) {
-            return data;
-        }
+    const partialMatch = sustainabilityData.find(entry => getEntryTerms(entry).some(term =>
+        isPartialMatch(normalized, term)
+    ));
+    if (partialMatch) {
+        return toImpact(partialMatch);
     }
     
     // Alapértelmezett neutral
@@ -277,6 +321,11 @@ export function getIngredientSustainabilityImpact(ingredient) {
 
 /**
  * Recept fenntarthatósági elemzése
+ * A forrásadat mennyiségei mértékegység nélküliek, ezért a nyers darabszám
+ * nem súly ("2 ek" és "2 kg" nem egyforma). Súlyozás csak akkor van, ha minden
+ * hozzávalónak van mennyisége és a lábnyom modell tömeget tud becsülni hozzá
+ * (calculateRecipeFootprint(), egy tipikus egység tömegével); egyébként minden
+ * hozzávaló azonos súlyú (quantityWeighted: false).
  * 
  * @param {Object} recipe - Recept objektum
  * @returns {Object} Részletes elemzés
@@ -291,24 +340,32 @@ export function analyzeSustainability(recipe) {
         };
     }
     
-    // Hozzávalók feldolgozása
-    const ingredients = recipe.ingredients
-        .toLowerCase()
-        .replace(/^c\(|\)$/g, '') // R lista formátum eltávolítása
-        .replace(/["']/g, '')     // Idézőjelek eltávolítása
-        .split(',')
-        .map(ingredient => ingredient.trim())
-        .filter(ingredient => ingredient.length > 0);
+    // Hozzávalók feldolgozása (mennyiséggel és becsült tömeggel együtt)
+    const rows = getIngredientRows(recipe);
+    const footprint = calculateRecipeFootprint(recipe);
+    const quantityWeighted = rows.length > 0 && rows.every((row, index) =>
+        row.quantity !== null && footprint.ingredients[index]?.grams > 0
+    );
     
     // Hozzávalók elemzése
-    const ingredientAnalysis = ingredients.map(ingredient => ({
-        name: ingredient,
-        ...getIngredientSustainabilityImpact(ingredient)
-    }));
+    const ingredientAnalysis = rows.map((row, index) => {
+        const name = row.name.toLowerCase().trim();
+        return {
+            name,
+            quantity: row.quantity,
+            weight: quantityWeighted ? footprint.ingredients[index].grams : 1,
+            ...getIngredientSustainabilityImpact(name)
+        };
+    });
+    
+    // Mennyiséggel súlyozott átlagos hatás számítása
+    const totalWeight = ingredientAnalysis.reduce((sum, item) => sum + item.weight, 0);
+    const weightedScore = ingredientAnalysis.reduce((sum, item) => sum + item.score * item.weight, 0);
+    const avgScore = totalWeight > 0 ? weightedScore / totalWeight : 0;
     
-    // Átlagos hatás számítása
-    const totalScore = ingredientAnalysis.reduce((sum, item) => sum + item.score, 0);
-    const avgScore = ingredients.length > 0 ? totalScore / ingredients.length : 0;
+    ingredientAnalysis.forEach(item => {
+        item.share = totalWeight > 0 ? Math.round((item.weight / totalWeight) * 1000) / 1000 : 0;
+    });
     
     // Skálázás 0-100 tartományra
     const scaledScore = Math.max(0, Math.min(100, 50 + (avgScore * 5)));
@@ -320,6 +377,8 @@ export function analyzeSustainability(recipe) {
         overallScore: Math.round(scaledScore * 10) / 10,
         analysis: generateAnalysisText(ingredientAnalysis, scaledScore),
         ingredients: ingredientAnalysis,
+        quantityWeighted,
+        footprint,
         recommendations
     };
 }
@@ -403,36 +462,28 @@ function generateAnalysisText(ingredientAnalysis, overallScore) {
  */
 export function getSeasonalModifier(ingredient, date = new Date()) {
     const month = date.getMonth() + 1; // 1-12
-    const lowerIngredient = ingredient.toLowerCase();
-    
-    const seasonalData = {
-        // Tavaszi (március-május): 3,4,5
-        'spárga': { peak: [3, 4, 5], modifier: 2 },
-        'retek': { peak: [3, 4, 5], modifier: 1 },
-        'saláta': { peak: [3, 4, 5, 6], modifier: 1 },
-        
-        // Nyári (június-augusztus): 6,7,8  
-        'paradicsom': { peak: [6, 7, 8], modifier: 2 },
-        'paprika': { peak: [6, 7, 8], modifier: 2 },
-        'uborka': { peak: [6, 7, 8], modifier: 2 },
-        'cukkini': { peak: [6, 7, 8], modifier: 2 },
-        
-        // Őszi (szeptember-november): 9,10,11
-        'tök': { peak: [9, 10, 11], modifier: 2 },
-        'alma': { peak: [9, 10, 11], modifier: 2 },
-        'szőlő': { peak: [9, 10], modifier: 2 },
-        
-        // Téli (december-február): 12,1,2
-        'káposzta': { peak: [12, 1, 2], modifier: 2 },
-        'répa': { peak: [12, 1, 2], modifier: 1 },
-        'krumpli': { peak: [9, 10, 11, 12], modifier: 1 }
-    };
+    const normalized = normalizeIngredient(ingredient);
     
-    for (const [key, data] of Object.entries(seasonalData)) {
-        if (lowerIngredient.includes(key)) {
-            return data.peak.includes(month) ? data.modifier : -1;
-        }
+    const seasonalData = getKnowledgeSection('seasonality');
+    
+    const entry = seasonalData.find(data => getEntryTerms(data).some(term => containsTerm(normalized, term)));
+    if (entry) {
+        return entry.peak.includes(month) ? entry.modifier : -1;
     }
     
     return 0; // Semleges, ha nincs szezonális adat
 }
+
+/**
+ * Tudásbázis bejegyzés átalakítása hatás információvá
+ * 
+ * @param {Object} entry - Fenntarthatósági bejegyzés
+ * @returns {Object} Hatás információ ({ impact, score, explanation })
+ */
+function toImpact(entry) {
+    return {
+        impact: entry.impact,
+        score: entry.score,
+        explanation: entry.explanation
+    };
+}
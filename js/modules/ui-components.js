@@ -5,13 +5,36 @@
  */
 
 import CONFIG from './config.js';
-import { formatIngredients, formatRecipeName, formatScore, formatTime, highlightSearchTerms } from '../utils/formatter.js';
-import { getEnvironmentalColor, getEnvironmentalLabel, evaluateSustainabilityScore } from './sustainability.js';
+import { formatIngredients, formatRecipeName, formatScore, formatRating, formatQuantity, formatTime, highlightSearchTerms, escapeHtml } from '../utils/formatter.js';
+import { getEnvironmentalColor, getEnvironmentalLabel, evaluateSustainabilityScore, getRecipeScoreDecomposition } from './sustainability.js';
 import { getExplanation, findSimilarButMoreSustainableRecipes, suggestIngredientSubstitutions } from './xai-explainer.js';
+import { logInteraction } from './interaction-logger.js';
+import { getArmDisplay } from './experiment.js';
+import { getIngredientList, getIngredientRows, getInstructionSteps, getPrimaryImage } from './data-loader.js';
+import { calculateRecipeFootprint } from './footprint.js';
 
 // XAI magyarázat cache a gyorsabb betöltéshez
 const xaiExplanationCache = new Map();
 
+// Magyarázat stílusok megjelenítői (a kar display.explanationStyle értéke szerint)
+const EXPLANATION_RENDERERS = {
+    composite: renderCompositeExplanation,
+    attribution: renderAttributionExplanation,
+    counterfactual: renderCounterfactualExplanation,
+    summary: renderSummaryExplanation,
+    contrastive: renderContrastiveExplanation
+};
+
+// Szűrőpanel tartomány csúszkáinak lépésköze
+const FACET_RANGE_STEP = 5;
+
+// Tényező fontosság skálák: a különböző alapú részesedések nem vethetők össze egy sávon
+const IMPORTANCE_BASIS_LABELS = {
+    'co2e-share': 'a becsült CO2e lábnyomból',
+    'score-share': 'az Eco-Score-ból',
+    'mass-share': 'a hozzávalók tömegéből'
+};
+
 /**
  * Receptkártya HTML generálása
  * 
@@ -22,8 +45,7 @@ const xaiExplanationCache = new Map();
  * @returns {string} Receptkártya HTML
  */
 export function generateRecipeCard(recipe, index, searchIngredients, testGroup) {
-    const showScores = ['B', 'C'].includes(testGroup);
-    const showXAI = testGroup === 'C';
+    const { showScores, showExplanations: showXAI, showImages, allowCompare } = getArmDisplay(testGroup);
     
     const categoryIcon = recipe.categoryIcon || CONFIG.CATEGORY_ICONS['egyéb'];
     const safeName = (recipe.name || '').replace(/'/g, '&#39;');
@@ -31,13 +53,15 @@ export function generateRecipeCard(recipe, index, searchIngredients, testGroup)
     
     return `
         <div class="recipe-card" data-recipe-id="${recipe.recipeid}">
+            ${showImages ? generateRecipeImage(recipe, 'card') : ''}
+            
             <div class="recipe-header">
                 <h3>${categoryIcon} ${formatRecipeName(recipe.name)}</h3>
                 <span class="rank-badge">#${index + 1}</span>
             </div>
             
             <div class="recipe-ingredients">
-                <strong>Hozzávalók:</strong> ${highlightSearchTerms(formatIngredients(recipe.ingredients), searchIngredients)}
+                <strong>Hozzávalók:</strong> ${highlightSearchTerms(formatIngredients(getIngredientList(recipe)), searchIngredients)}
             </div>
             
             ${showScores ? generateEcoScoreSection(recipe) : ''}
@@ -63,11 +87,51 @@ export function generateRecipeCard(recipe, index, searchIngredients, testGroup)
                         data-recipe-id="${recipe.recipeid}">
                     📖 Részletek
                 </button>
+                ${allowCompare ? `
+                <button type="button" class="btn-secondary compare-recipe-btn" 
+                        data-recipe-id="${recipe.recipeid}"
+                        data-rank="${index + 1}"
+                        aria-pressed="false">
+                    ⚖️ Összehasonlítás
+                </button>
+                ` : ''}
             </div>
         </div>
     `;
 }
 
+/**
+ * Receptkép generálása lusta betöltéssel
+ * Hiányzó kép esetén helyettesítő jelenik meg; a betöltési hibát a main.js kezeli.
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @param {string} variant - Megjelenési változat ('card' vagy 'modal')
+ * @returns {string} Kép HTML
+ */
+function generateRecipeImage(recipe, variant = 'card') {
+    const categoryIcon = recipe.categoryIcon || CONFIG.CATEGORY_ICONS['egyéb'];
+    const imageUrl = getPrimaryImage(recipe);
+    
+    if (!imageUrl) {
+        return `
+            <div class="recipe-image recipe-image-${variant} recipe-image-placeholder">
+                <span>${categoryIcon}</span>
+            </div>
+        `;
+    }
+    
+    const safeUrl = imageUrl.replace(/"/g, '%22');
+    const safeAlt = (recipe.name || '').replace(/"/g, '&quot;');
+    
+    return `
+        <div class="recipe-image recipe-image-${variant}" 
+             data-recipe-id="${recipe.recipeid}" 
+             data-placeholder-icon="${categoryIcon}">
+            <img src="${safeUrl}" alt="${safeAlt}" loading="lazy" decoding="async">
+        </div>
+    `;
+}
+
 /**
  * Eco-Score szakasz generálása
  * 
@@ -121,9 +185,11 @@ function generateEcoScoreSection(recipe) {
  * XAI magyarázatok generálása és megjelenítése
  * 
  * @param {Object} recipe - Recept objektum
+ * @param {string|null} testGroup - Teszt csoport (magyarázat stílus és kontrafaktuális szakasz)
+ * @param {Object} context - Találati környezet ({ rank, contrast: { recipe, rank } }) az összevető stílushoz
  * @returns {Promise<string>} XAI magyarázat HTML
  */
-export async function generateAndDisplayXAI(recipe) {
+export async function generateAndDisplayXAI(recipe, testGroup = null, context = {}) {
     const containerId = `xai-container-${recipe.recipeid}`;
     const container = document.getElementById(containerId);
     
@@ -133,19 +199,26 @@ export async function generateAndDisplayXAI(recipe) {
     }
     
     try {
-        // XAI magyarázat lekérése (cache-el)
-        let xaiExplanation;
+        const { explanationStyle, showCounterfactuals } = getArmDisplay(testGroup);
+        const includeCounterfactuals = showCounterfactuals || explanationStyle === 'counterfactual';
+        
+        // XAI magyarázat lekérése (cache-el; kontrafaktuálisok nélküli bejegyzés
+        // nem szolgálja ki az azokat megjelenítő kart)
+        let xaiExplanation = CONFIG.XAI.CACHE_RESULTS ? xaiExplanationCache.get(recipe.recipeid) : null;
         
-        if (xaiExplanationCache.has(recipe.recipeid) && CONFIG.XAI.CACHE_RESULTS) {
-            xaiExplanation = xaiExplanationCache.get(recipe.recipeid);
-        } else {
-            xaiExplanation = await getExplanation(recipe);
+        if (!xaiExplanation || (includeCounterfactuals && !xaiExplanation.counterfactuals)) {
+            xaiExplanation = await getExplanation(recipe, { includeCounterfactuals });
             if (CONFIG.XAI.CACHE_RESULTS) {
                 xaiExplanationCache.set(recipe.recipeid, xaiExplanation);
             }
         }
         
-        const xaiHtml = generateXaiHTML(recipe, xaiExplanation);
+        const xaiHtml = generateXaiHTML(recipe, xaiExplanation, {
+            style: explanationStyle,
+            showCounterfactuals,
+            rank: context.rank ?? null,
+            contrast: context.contrast ?? null
+        });
         
         // Frissítjük a tartalmat
         container.innerHTML = xaiHtml;
@@ -154,6 +227,20 @@ export async function generateAndDisplayXAI(recipe) {
         // Interaktív elemek inicializálása
         initXaiInteractiveElements(container, recipe);
         
+        // XAI megtekintés naplózása
+        if (CONFIG.ANALYTICS?.TRACK_XAI_INTERACTIONS) {
+            logInteraction('xai_view', {
+                recipeId: recipe.recipeid,
+                source: xaiExplanation.source || 'unknown',
+                explanationStyle,
+                rank: context.rank ?? null,
+                contrastRecipeId: explanationStyle === 'contrastive' ? (context.contrast?.recipe?.recipeid ?? null) : null,
+                knowledgeBaseVersion: xaiExplanation.knowledgeBaseVersion ?? null,
+                importanceMethod: xaiExplanation.importances?.method ?? null,
+                counterfactualsShown: includeCounterfactuals ? (xaiExplanation.counterfactuals?.counterfactuals.length ?? 0) : 0
+            });
+        }
+        
         return xaiHtml;
         
     } catch (error) {
@@ -169,110 +256,275 @@ export async function generateAndDisplayXAI(recipe) {
 
 /**
  * XAI magyarázat HTML generálása
+ * A magyarázat stílusát a kar display.explanationStyle beállítása választja
+ * ki (EXPLANATION_RENDERERS); a keret és a megbízhatóság minden stílusnál azonos.
  * 
  * @param {Object} recipe - Recept objektum
  * @param {Object} xaiExplanation - XAI magyarázat objektum
+ * @param {Object} options - Megjelenítési beállítások ({ style, showCounterfactuals, rank, contrast })
  * @returns {string} XAI HTML
  */
-function generateXaiHTML(recipe, xaiExplanation) {
-    const sustainability = recipe.sustainability_index || 0;
-    const envScore = recipe.env_score || 0;
-    const nutriScore = recipe.nutri_score || 0;
-    const category = recipe.category || 'egyéb';
-    
-    // Számítás részleteinek megjelenítése
-    const environmentalComponent = Math.max(0, 100 - envScore);
-    const nutritionalComponent = Math.min(100, nutriScore);
-    const categoryModifier = CONFIG.SUSTAINABILITY?.CATEGORY_MODIFIERS?.[category] || 0;
+function generateXaiHTML(recipe, xaiExplanation, options = {}) {
+    const style = EXPLANATION_RENDERERS[options.style] ? options.style : 'composite';
     
-    // Környezeti tényezők HTML
-    const envFactorsHtml = xaiExplanation.environmentalFactors?.map(factor => `
-        <div class="xai-factor ${factor.impact === 'pozitív' ? 'positive' : factor.impact === 'negatív' ? 'negative' : 'neutral'}">
-            <div class="factor-header">
-                <span class="factor-name">${factor.name}</span>
-                <span class="factor-impact ${factor.impact}">${factor.impact === 'pozitív' ? '✅' : factor.impact === 'negatív' ? '⚠️' : '⚖️'}</span>
+    return `
+        <div class="eco-xai-section" data-explanation-style="${style}">
+            <div class="eco-xai-header">
+                🧠 AI Magyarázat - Miért ez a pontszám?
             </div>
-            <div class="factor-explanation">${factor.explanation || ''}</div>
-            <div class="factor-importance-bar">
-                <div class="importance-fill" style="width: ${Math.round(factor.importance * 100)}%;"></div>
+            <div class="eco-xai-content">
+                ${EXPLANATION_RENDERERS[style](recipe, xaiExplanation, options)}
+                
+                ${CONFIG.XAI?.SHOW_CONFIDENCE ? 
+                    `<div class="xai-confidence">
+                        Megbízhatóság: ${Math.round((xaiExplanation.confidence || 0.85) * 100)}%
+                    </div>` : ''
+                }
             </div>
         </div>
-    `).join('') || '';
+    `;
+}
+
+/**
+ * Összetett magyarázat: számítás, összefoglaló, tényezők, javaslatok
+ * (és a karban engedélyezett kontrafaktuális szakasz)
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @param {Object} xaiExplanation - XAI magyarázat objektum
+ * @param {Object} options - Megjelenítési beállítások
+ * @returns {string} Magyarázat tartalom HTML
+ */
+function renderCompositeExplanation(recipe, xaiExplanation, options) {
+    return `
+        ${generateScoreBreakdownHTML(recipe)}
+        ${generateXaiSummaryHTML(xaiExplanation)}
+        ${generateXaiFactorsHTML(xaiExplanation)}
+        ${generateXaiSuggestionsHTML(recipe, xaiExplanation)}
+        ${options.showCounterfactuals ? generateCounterfactualHTML(xaiExplanation.counterfactuals) : ''}
+    `;
+}
+
+/**
+ * Csak tényező hozzárendelés: a pontszám felbontása és a tényezők fontossága
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @param {Object} xaiExplanation - XAI magyarázat objektum
+ * @returns {string} Magyarázat tartalom HTML
+ */
+function renderAttributionExplanation(recipe, xaiExplanation) {
+    return `
+        ${generateScoreBreakdownHTML(recipe)}
+        ${generateXaiFactorsHTML(xaiExplanation)}
+    `;
+}
+
+/**
+ * Csak kontrafaktuális magyarázat
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @param {Object} xaiExplanation - XAI magyarázat objektum
+ * @returns {string} Magyarázat tartalom HTML
+ */
+function renderCounterfactualExplanation(recipe, xaiExplanation) {
+    const counterfactuals = xaiExplanation.counterfactuals;
+    
+    if (counterfactuals?.targetScore === null && !counterfactuals.missingData) {
+        return '<p class="xai-note">Ez a recept már a legjobb Eco-Score sávban van.</p>';
+    }
     
-    // Táplálkozási tényezők HTML
-    const nutriFactorsHtml = xaiExplanation.nutritionalFactors?.map(factor => `
+    return generateCounterfactualHTML(counterfactuals) ||
+        '<p class="xai-note">Nem található a pontszámot javító hozzávaló módosítás.</p>';
+}
+
+/**
+ * Csak szöveges összefoglaló
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @param {Object} xaiExplanation - XAI magyarázat objektum
+ * @returns {string} Magyarázat tartalom HTML
+ */
+function renderSummaryExplanation(recipe, xaiExplanation) {
+    return generateXaiSummaryHTML(xaiExplanation);
+}
+
+/**
+ * Összevető magyarázat ("miért ez és nem a következő találat")
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @param {Object} xaiExplanation - XAI magyarázat objektum
+ * @param {Object} options - Megjelenítési beállítások ({ rank, contrast })
+ * @returns {string} Magyarázat tartalom HTML
+ */
+function renderContrastiveExplanation(recipe, xaiExplanation, options) {
+    return generateContrastiveHTML(recipe, options.rank, options.contrast);
+}
+
+/**
+ * Számítás részletei: ugyanaz a felbontás, amiből a pontszám készül
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @returns {string} Felbontás HTML
+ */
+function generateScoreBreakdownHTML(recipe) {
+    const decomposition = getRecipeScoreDecomposition(recipe);
+    
+    return `
+        <p><strong>Számítás részletei:</strong></p>
+        <ul class="xai-score-breakdown">
+            ${decomposition.terms.map(term => generateScoreTermHTML(term, recipe.category)).join('')}
+            ${decomposition.adjustment !== 0 ? 
+                `<li>Igazítás a 0-100 tartományra: ${decomposition.adjustment > 0 ? '+' : ''}${decomposition.adjustment.toFixed(1)}</li>` : ''}
+            <li><strong>Végső Eco-Score: ${decomposition.total.toFixed(1)}/100</strong></li>
+        </ul>
+    `;
+}
+
+/**
+ * Szöveges összefoglaló
+ * 
+ * @param {Object} xaiExplanation - XAI magyarázat objektum
+ * @returns {string} Összefoglaló HTML
+ */
+function generateXaiSummaryHTML(xaiExplanation) {
+    return `
+        <div class="xai-summary">
+            ${xaiExplanation.summary || 'Részletes elemzés a tényezők alapján.'}
+        </div>
+    `;
+}
+
+/**
+ * Környezeti és táplálkozási tényezők oszlopai
+ * Minden sáv mellett szerepel, mihez viszonyított részesedés (importanceBasis).
+ * 
+ * @param {Object} xaiExplanation - XAI magyarázat objektum
+ * @returns {string} Tényezők HTML
+ */
+function generateXaiFactorsHTML(xaiExplanation) {
+    const factorHtml = factor => `
         <div class="xai-factor ${factor.impact === 'pozitív' ? 'positive' : factor.impact === 'negatív' ? 'negative' : 'neutral'}">
             <div class="factor-header">
                 <span class="factor-name">${factor.name}</span>
                 <span class="factor-impact ${factor.impact}">${factor.impact === 'pozitív' ? '✅' : factor.impact === 'negatív' ? '⚠️' : '⚖️'}</span>
             </div>
             <div class="factor-explanation">${factor.explanation || ''}</div>
-            <div class="factor-importance-bar">
+            <div class="factor-importance-bar basis-${factor.importanceBasis || 'unknown'}">
                 <div class="importance-fill" style="width: ${Math.round(factor.importance * 100)}%;"></div>
             </div>
+            ${IMPORTANCE_BASIS_LABELS[factor.importanceBasis]
+                ? `<div class="factor-importance-label">${Math.round(factor.importance * 100)}% ${IMPORTANCE_BASIS_LABELS[factor.importanceBasis]}</div>`
+                : ''}
         </div>
-    `).join('') || '';
-    
-    // Javaslatok HTML
-    const suggestionsHtml = xaiExplanation.suggestions && xaiExplanation.suggestions.length > 0 
-        ? `
-            <div class="xai-suggestions">
-                <h4>Javaslatok a fenntarthatóság javítására:</h4>
-                <ul>
-                    ${xaiExplanation.suggestions.map(suggestion => `<li>${suggestion}</li>`).join('')}
-                </ul>
-                ${CONFIG.XAI?.SUGGEST_ALTERNATIVES ? 
-                    `<button class="btn-alternative-suggestions" data-recipe-id="${recipe.recipeid}">
-                        Fenntarthatóbb alternatívák
-                    </button>` : ''
-                }
-            </div>
-        ` 
-        : '';
+    `;
     
-    // Teljes XAI magyarázat HTML
     return `
-        <div class="eco-xai-section">
-            <div class="eco-xai-header">
-                🧠 AI Magyarázat - Miért ez a pontszám?
+        <div class="xai-factors-container">
+            <div class="xai-factors-column">
+                <h4>Környezeti tényezők</h4>
+                ${xaiExplanation.environmentalFactors?.map(factorHtml).join('') || ''}
             </div>
-            <div class="eco-xai-content">
-                <p><strong>Számítás részletei:</strong></p>
-                <ul>
-                    <li>Környezeti komponens (100-${envScore.toFixed(1)}): <strong>${environmentalComponent.toFixed(1)}</strong> × 60% = ${(environmentalComponent * 0.6).toFixed(1)}</li>
-                    <li>Táplálkozási komponens: <strong>${nutritionalComponent.toFixed(1)}</strong> × 40% = ${(nutritionalComponent * 0.4).toFixed(1)}</li>
-                    ${categoryModifier !== 0 ? 
-                        `<li>Kategória bónusz (${category}): <strong>${categoryModifier > 0 ? '+' : ''}${categoryModifier}</strong></li>` : ''}
-                    <li><strong>Végső Eco-Score: ${sustainability.toFixed(1)}/100</strong></li>
-                </ul>
-                
-                <div class="xai-summary">
-                    ${xaiExplanation.summary || 'Részletes elemzés a tényezők alapján.'}
-                </div>
-                
-                <div class="xai-factors-container">
-                    <div class="xai-factors-column">
-                        <h4>Környezeti tényezők</h4>
-                        ${envFactorsHtml}
-                    </div>
-                    <div class="xai-factors-column">
-                        <h4>Táplálkozási tényezők</h4>
-                        ${nutriFactorsHtml}
-                    </div>
-                </div>
-                
-                ${suggestionsHtml}
-                
-                ${CONFIG.XAI?.SHOW_CONFIDENCE ? 
-                    `<div class="xai-confidence">
-                        Megbízhatóság: ${Math.round((xaiExplanation.confidence || 0.85) * 100)}%
-                    </div>` : ''
-                }
+            <div class="xai-factors-column">
+                <h4>Táplálkozási tényezők</h4>
+                ${xaiExplanation.nutritionalFactors?.map(factorHtml).join('') || ''}
             </div>
         </div>
     `;
 }
 
+/**
+ * Javaslatok a fenntarthatóság javítására
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @param {Object} xaiExplanation - XAI magyarázat objektum
+ * @returns {string} Javaslatok HTML (üres, ha nincs javaslat)
+ */
+function generateXaiSuggestionsHTML(recipe, xaiExplanation) {
+    if (!xaiExplanation.suggestions || xaiExplanation.suggestions.length === 0) {
+        return '';
+    }
+    
+    return `
+        <div class="xai-suggestions">
+            <h4>Javaslatok a fenntarthatóság javítására:</h4>
+            <ul>
+                ${xaiExplanation.suggestions.map(suggestion => `<li>${suggestion}</li>`).join('')}
+            </ul>
+            ${CONFIG.XAI?.SUGGEST_ALTERNATIVES ? 
+                `<button class="btn-alternative-suggestions" data-recipe-id="${recipe.recipeid}">
+                    Fenntarthatóbb alternatívák
+                </button>` : ''
+            }
+        </div>
+    `;
+}
+
+/**
+ * Összevetés egy szomszédos találattal
+ * A pontszám tagjai, a becsült lábnyom és az eltérő hozzávalók egymás mellett.
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @param {number} rank - A recept pozíciója a találati listában
+ * @param {Object|null} contrast - Összevetett találat ({ recipe, rank })
+ * @returns {string} Összevetés HTML
+ */
+function generateContrastiveHTML(recipe, rank, contrast) {
+    if (!contrast?.recipe) {
+        return '<p class="xai-note">Nincs másik találat, amelyhez a recept összevethető.</p>';
+    }
+    
+    const other = contrast.recipe;
+    const otherName = formatRecipeName(other.name);
+    const own = getRecipeScoreDecomposition(recipe);
+    const theirs = getRecipeScoreDecomposition(other);
+    const signed = value => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+    
+    const heading = contrast.rank > rank
+        ? `Miért ez (#${rank}) és nem a #${contrast.rank} találat (${otherName})?`
+        : `Miben tér el a #${contrast.rank} találattól (${otherName})?`;
+    
+    const rows = own.terms.map((term, index) => ({
+        label: term.label,
+        own: term.contribution,
+        theirs: theirs.terms[index]?.contribution ?? 0
+    }));
+    rows.push({ label: '<strong>Eco-Score</strong>', own: own.total, theirs: theirs.total });
+    
+    const ownIngredients = new Set(getIngredientList(recipe).map(name => name.toLowerCase()));
+    const otherIngredients = new Set(getIngredientList(other).map(name => name.toLowerCase()));
+    const onlyOwn = [...ownIngredients].filter(name => !otherIngredients.has(name)).slice(0, 3);
+    const onlyOther = [...otherIngredients].filter(name => !ownIngredients.has(name)).slice(0, 3);
+    
+    return `
+        <div class="xai-contrastive">
+            <h4>${heading}</h4>
+            <table class="xai-contrast-table">
+                <thead>
+                    <tr><th scope="col"></th><th scope="col">#${rank}</th><th scope="col">#${contrast.rank}</th><th scope="col">Különbség</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <th scope="row">${row.label}</th>
+                            <td>${row.own.toFixed(1)}</td>
+                            <td>${row.theirs.toFixed(1)}</td>
+                            <td>${signed(row.own - row.theirs)}</td>
+                        </tr>
+                    `).join('')}
+                    <tr>
+                        <th scope="row">Becsült lábnyom (kg CO2e)</th>
+                        <td>${calculateRecipeFootprint(recipe).co2eKg.toFixed(1)}</td>
+                        <td>${calculateRecipeFootprint(other).co2eKg.toFixed(1)}</td>
+                        <td></td>
+                    </tr>
+                </tbody>
+            </table>
+            ${onlyOwn.length > 0 ? `<p>Csak ebben: ${onlyOwn.map(escapeHtml).join('; ')}</p>` : ''}
+            ${onlyOther.length > 0 ? `<p>Csak a #${contrast.rank} találatban: ${onlyOther.map(escapeHtml).join('; ')}</p>` : ''}
+            <p class="xai-note">A sorrendet a keresési egyezés is befolyásolja, nem csak az Eco-Score.</p>
+        </div>
+    `;
+}
+
 /**
  * XAI fallback HTML generálása hiba esetén
  * 
@@ -302,6 +554,70 @@ function generateXaiFallbackHTML(recipe) {
     `;
 }
 
+/**
+ * Kontrafaktuális magyarázat szakasz ("mi változtatna a pontszámon")
+ * 
+ * @param {Object} result - generateCounterfactuals() eredménye
+ * @returns {string} Szakasz HTML (üres, ha nincs mit mutatni)
+ */
+function generateCounterfactualHTML(result) {
+    if (result?.missingData) {
+        return `
+            <div class="xai-counterfactuals">
+                <h4>Mi változtatna a pontszámon?</h4>
+                <p class="xai-note">Nincs adat: a recept forrásbeli környezeti vagy táplálkozási pontszáma hiányzik, ezért a módosítások hatása nem becsülhető.</p>
+            </div>
+        `;
+    }
+    
+    if (!result || result.targetScore === null || (!result.reachable && !result.closest)) {
+        return '';
+    }
+    
+    const describe = counterfactual => `
+        <li>
+            ${counterfactual.edits.map(edit => edit.type === 'remove'
+                ? `<strong>${escapeHtml(edit.ingredient)}</strong> elhagyása`
+                : `<strong>${escapeHtml(edit.ingredient)}</strong> helyett <strong>${escapeHtml(edit.substitute)}</strong>`
+            ).join(' és ')}:
+            Eco-Score ${result.baseScore.toFixed(1)} → ${counterfactual.score.toFixed(1)} (+${counterfactual.delta.toFixed(1)})
+        </li>
+    `;
+    
+    const intro = result.reachable
+        ? `A ${result.targetScore} pontos sáv eléréséhez elegendő módosítások:`
+        : `Legfeljebb ${CONFIG.XAI?.COUNTERFACTUAL?.MAX_EDITS ?? 2} módosítással a ${result.targetScore} pont nem érhető el; a legnagyobb javulás:`;
+    const items = result.reachable ? result.counterfactuals : [result.closest];
+    
+    return `
+        <div class="xai-counterfactuals">
+            <h4>Mi változtatna a pontszámon?</h4>
+            <p>${intro}</p>
+            <ul>
+                ${items.map(describe).join('')}
+            </ul>
+            <p class="xai-note">Becslés: a környezeti pontszám a hozzávalók CO2e lábnyomával arányosan változik, a táplálkozási pontszám változatlan.</p>
+        </div>
+    `;
+}
+
+/**
+ * Eco-Score felbontás egy tagjának sora
+ * 
+ * @param {Object} term - decomposeSustainabilityScore() tag
+ * @param {string} category - Recept kategória
+ * @returns {string} Lista elem HTML
+ */
+function generateScoreTermHTML(term, category = 'egyéb') {
+    const inputs = {
+        environment: `100 − ${term.input.toFixed(1)}`,
+        nutrition: term.input.toFixed(1),
+        category: `${category}, módosító ${term.input > 0 ? '+' : ''}${term.input}`
+    };
+    
+    return `<li>${term.label} (${inputs[term.key]}): <strong>${term.component.toFixed(1)}</strong> × ${Math.round(term.weight * 100)}% = ${term.contribution.toFixed(1)}</li>`;
+}
+
 /**
  * XAI interaktív elemek inicializálása
  * 
@@ -396,7 +712,7 @@ function generateAlternativesModal(recipe, similarRecipes, substitutions) {
                 <div class="similar-recipe-card ${improvementClass}">
                     <div class="recipe-info">
                         <h4>${formatRecipeName(item.recipe.name)}</h4>
-                        <p><strong>Hozzávalók:</strong> ${formatIngredients(item.recipe.ingredients)}</p>
+                        <p><strong>Hozzávalók:</strong> ${formatIngredients(getIngredientList(item.recipe))}</p>
                         <div class="improvement-indicator">
                             +${item.sustainabilityImprovement.toFixed(1)} pont javulás
                         </div>
@@ -481,12 +797,13 @@ function generateAlternativesModal(recipe, similarRecipes, substitutions) {
 /**
  * Keresési eredmények megjelenítése
  * 
- * @param {Array} recipes - Receptek tömbje
+ * @param {Array} recipes - Receptek tömbje (a megjelenített oldal)
  * @param {string} searchIngredients - Keresési kifejezés
  * @param {string} testGroup - Teszt csoport (A, B, C)
+ * @param {Object|null} pagination - Találati oldal (getResultPage(): startRank, totalResults)
  * @returns {string} Keresési eredmények HTML
  */
-export function generateSearchResults(recipes, searchIngredients, testGroup) {
+export function generateSearchResults(recipes, searchIngredients, testGroup, pagination = null) {
     if (!recipes || recipes.length === 0) {
         return `
             <div class="no-results">
@@ -505,23 +822,212 @@ export function generateSearchResults(recipes, searchIngredients, testGroup) {
         `;
     }
     
+    const startRank = pagination?.startRank || 1;
+    const totalResults = pagination?.totalResults ?? recipes.length;
+    
     let html = `
         <div class="search-results-header">
-            <h3>🍽️ Találatok (${recipes.length})</h3>
+            <h3>🍽️ Találatok (${totalResults})</h3>
             <p>Keresés: <strong>"${searchIngredients}"</strong></p>
         </div>
         <div class="search-results-grid">
     `;
     
-    html += recipes.map((recipe, index) => 
-        generateRecipeCard(recipe, index, searchIngredients, testGroup)
-    ).join('');
+    html += generateResultCards(recipes, startRank, searchIngredients, testGroup);
     
     html += `</div>`;
     
+    html += `
+        <div class="search-results-more">
+            ${generateLoadMore(startRank - 1 + recipes.length, totalResults)}
+        </div>
+    `;
+    
     return html;
 }
 
+/**
+ * Egy találati oldal receptkártyái (a rangsor a teljes listában folytatódik)
+ * 
+ * @param {Array} recipes - Az oldal receptjei
+ * @param {number} startRank - Az oldal első receptjének rangsor pozíciója
+ * @param {string} searchIngredients - Keresési kifejezés
+ * @param {string} testGroup - Teszt csoport
+ * @returns {string} Receptkártyák HTML
+ */
+export function generateResultCards(recipes, startRank, searchIngredients, testGroup) {
+    return recipes.map((recipe, index) => 
+        generateRecipeCard(recipe, startRank - 1 + index, searchIngredients, testGroup)
+    ).join('');
+}
+
+/**
+ * "Továbbiak betöltése" gomb és a megjelenített találatok száma
+ * 
+ * @param {number} shownCount - Eddig megjelenített találatok
+ * @param {number} totalResults - Összes találat
+ * @returns {string} Lábléc HTML
+ */
+export function generateLoadMore(shownCount, totalResults) {
+    const remaining = totalResults - shownCount;
+    
+    return `
+        <p class="results-progress" aria-live="polite">${shownCount} / ${totalResults} találat megjelenítve</p>
+        ${remaining > 0 ? `
+            <button type="button" class="btn-secondary load-more-btn">
+                Továbbiak betöltése (még ${remaining})
+            </button>
+        ` : ''}
+    `;
+}
+
+/**
+ * Keresési lekérdezés hibáinak megjelenítése a beviteli mező mellett
+ * 
+ * @param {Array} errors - parseSearchQuery() hibái ({ code, message, token })
+ * @returns {string} Hibalista HTML (hiba nélkül üres)
+ */
+export function generateQueryErrors(errors) {
+    if (!errors || errors.length === 0) {
+        return '';
+    }
+    
+    const items = errors.map(error => `
+        <li class="query-error" data-error-code="${escapeHtml(error.code)}">
+            ${error.token ? `<code class="query-error-token">${escapeHtml(error.token)}</code>` : ''}
+            <span class="query-error-message">${escapeHtml(error.message)}</span>
+        </li>
+    `).join('');
+    
+    return `
+        <ul class="query-errors-list">${items}</ul>
+        <p class="query-syntax-help">
+            Példa: <code>csirke -tejszín +fokhagyma kategória:leves eco&gt;60</code>
+        </p>
+    `;
+}
+
+/**
+ * Rendezési lehetőségek HTML generálása (select opciók)
+ * 
+ * @param {Array} options - getUserSortOptions() eredménye ({ key, label })
+ * @param {string|null} selected - Kiválasztott rendezés
+ * @returns {string} Opciók HTML
+ */
+export function generateSortOptions(options, selected = null) {
+    return (options || []).map(option => `
+        <option value="${escapeHtml(option.key)}" ${option.key === selected ? 'selected' : ''}>
+            ${escapeHtml(option.label)}
+        </option>
+    `).join('');
+}
+
+/**
+ * Automatikus kiegészítés javaslatainak HTML generálása (listbox opciók)
+ * 
+ * @param {Array} suggestions - generateSearchSuggestions() eredménye ({ text, count })
+ * @param {string} fragment - Kiegészítendő részleges kifejezés (kiemeléshez)
+ * @param {number} activeIndex - Kijelölt javaslat indexe (-1: nincs)
+ * @returns {string} Opciók HTML
+ */
+export function generateSearchSuggestionList(suggestions, fragment, activeIndex = -1) {
+    if (!suggestions || suggestions.length === 0) {
+        return '';
+    }
+    
+    const needle = (fragment || '').toLowerCase().trim();
+    
+    return suggestions.map((suggestion, index) => {
+        const position = needle ? suggestion.text.indexOf(needle) : -1;
+        const label = position === -1
+            ? escapeHtml(suggestion.text)
+            : escapeHtml(suggestion.text.slice(0, position)) +
+              `<mark>${escapeHtml(suggestion.text.slice(position, position + needle.length))}</mark>` +
+              escapeHtml(suggestion.text.slice(position + needle.length));
+        
+        return `
+            <li id="search-suggestion-${index}" class="search-suggestion" role="option"
+                aria-selected="${index === activeIndex}" data-index="${index}">
+                <span class="search-suggestion-text">${label}</span>
+                <span class="search-suggestion-count">${suggestion.count}<span class="sr-only"> receptben</span></span>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Szűrőpanel HTML generálása
+ * 
+ * @param {Object} facets - computeFacets() eredménye
+ * @returns {string} Szűrőpanel HTML
+ */
+export function generateFacetPanel(facets) {
+    if (!facets) return '';
+    
+    const categoryOptions = facets.categories.map(item => `
+        <label class="facet-option">
+            <input type="checkbox" class="facet-input" data-facet="category"
+                   value="${escapeHtml(item.category)}" ${item.selected ? 'checked' : ''}>
+            <span>${item.icon} ${escapeHtml(item.category)}</span>
+            <span class="facet-count">${item.count}</span>
+        </label>
+    `).join('');
+    
+    const allergenOptions = facets.allergens.map(item => `
+        <label class="facet-option" title="${item.count} találat tartalmazza">
+            <input type="checkbox" class="facet-input" data-facet="allergen"
+                   value="${escapeHtml(item.key)}" ${item.selected ? 'checked' : ''}>
+            <span>${escapeHtml(item.label)}</span>
+            <span class="facet-count">${item.count}</span>
+        </label>
+    `).join('');
+    
+    return `
+        <p class="facet-total" aria-live="polite">🔎 ${facets.total} találat a szűrőkkel</p>
+        
+        <fieldset class="facet-group">
+            <legend>Kategória</legend>
+            ${categoryOptions || '<p class="facet-empty">Nincs kategória</p>'}
+        </fieldset>
+        
+        ${generateFacetRange('sustainability', '🌱 Eco-Score', facets.sustainability)}
+        ${generateFacetRange('nutrition', '💚 Táplálkozási pontszám', facets.nutrition)}
+        
+        <fieldset class="facet-group">
+            <legend>Allergének kizárása</legend>
+            ${allergenOptions}
+        </fieldset>
+        
+        <button type="button" class="btn-secondary facet-reset">Szűrők törlése</button>
+    `;
+}
+
+/**
+ * Tartomány szűrő (két csúszka) HTML generálása
+ * 
+ * @param {string} facet - Szűrő neve
+ * @param {string} label - Megjelenített név
+ * @param {Object} range - Tartomány ({ min, max, selected: [alsó, felső] })
+ * @returns {string} Tartomány szűrő HTML
+ */
+function generateFacetRange(facet, label, range) {
+    const bounds = [['min', 'Legalább', range.selected[0]], ['max', 'Legfeljebb', range.selected[1]]];
+    
+    return `
+        <fieldset class="facet-group facet-range">
+            <legend>${label}</legend>
+            ${bounds.map(([bound, boundLabel, value]) => `
+                <label for="facet-${facet}-${bound}">
+                    ${boundLabel} <output class="facet-range-value" data-bound="${bound}">${value}</output>
+                </label>
+                <input type="range" id="facet-${facet}-${bound}" class="facet-input"
+                       data-facet="${facet}" data-bound="${bound}"
+                       min="${range.min}" max="${range.max}" step="${FACET_RANGE_STEP}" value="${value}">
+            `).join('')}
+        </fieldset>
+    `;
+}
+
 /**
  * Felhasználói információk megjelenítése
  * 
@@ -540,6 +1046,72 @@ export function generateUserInfo(user) {
     `;
 }
 
+/**
+ * Két recept összehasonlító modális ablak generálása
+ * 
+ * @param {Object} comparison - compareRecipes() eredménye
+ * @param {Object} left - Első (jobb helyezésű) találat ({ recipe, rank })
+ * @param {Object} right - Második találat ({ recipe, rank })
+ * @returns {string} Modális ablak HTML
+ */
+export function generateRecipeComparisonModal(comparison, left, right) {
+    const { shared, onlyA, onlyB, higherImpact } = comparison.ingredients;
+    const ranks = { a: left.rank, b: right.rank };
+    
+    const ingredientItem = entry => `
+        <li class="compare-ingredient impact-${escapeHtml(entry.impact || 'neutral')}">
+            ${escapeHtml(entry.name)}
+            <span class="compare-co2e">${entry.co2eKg.toFixed(1)} kg CO2e</span>
+        </li>
+    `;
+    
+    const column = (entry, side, only) => `
+        <div class="compare-column">
+            <h3><span class="rank-badge">#${entry.rank}</span> ${entry.recipe.categoryIcon || ''} ${formatRecipeName(entry.recipe.name)}</h3>
+            ${generateScoreBreakdownHTML(entry.recipe)}
+            <p>Becsült lábnyom: <strong>${comparison.footprint[side].toFixed(1)} kg CO2e</strong></p>
+            <h4>Csak ebben a receptben (${only.length})</h4>
+            ${only.length > 0 ? `<ul>${only.map(ingredientItem).join('')}</ul>` : '<p class="xai-note">Nincs eltérő hozzávaló.</p>'}
+        </div>
+    `;
+    
+    return `
+        <div class="modal-backdrop"></div>
+        <div class="modal-content recipe-compare-modal" role="dialog" aria-labelledby="compare-title">
+            <div class="modal-header">
+                <h2 id="compare-title">⚖️ Összehasonlítás: #${left.rank} és #${right.rank}</h2>
+                <button class="modal-close" aria-label="Bezárás">&times;</button>
+            </div>
+            <div class="modal-body">
+                <p class="compare-sentence">${escapeHtml(comparison.sentence)}</p>
+                
+                <div class="compare-columns">
+                    ${column(left, 'a', onlyA)}
+                    ${column(right, 'b', onlyB)}
+                </div>
+                
+                ${higherImpact.length > 0 ? `
+                    <div class="compare-section">
+                        <h4>Legnagyobb lábnyomú eltérő hozzávalók</h4>
+                        <ul>
+                            ${higherImpact.map(entry => `
+                                <li>${escapeHtml(entry.name)} (#${ranks[entry.side]}): <strong>${entry.co2eKg.toFixed(1)} kg CO2e</strong></li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+                
+                <div class="compare-section">
+                    <h4>Közös hozzávalók (${shared.length}, Jaccard-hasonlóság: ${Math.round(comparison.similarity * 100)}%)</h4>
+                    ${shared.length > 0
+                        ? `<p>${shared.map(entry => escapeHtml(entry.name)).join('; ')}</p>`
+                        : '<p class="xai-note">Nincs közös hozzávaló.</p>'}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Recept részletek modális ablak generálása
  * 
@@ -550,21 +1122,22 @@ export function generateUserInfo(user) {
 export function generateRecipeDetailsModal(recipe, testGroup) {
     if (!recipe) return '';
     
-    const showScores = ['B', 'C'].includes(testGroup);
-    const showXAI = testGroup === 'C';
+    const { showScores, showExplanations: showXAI, showRatings, showImages } = getArmDisplay(testGroup);
     
     const categoryIcon = recipe.categoryIcon || CONFIG.CATEGORY_ICONS['egyéb'];
-    const ingredients = formatIngredients(recipe.ingredients);
     const safeName = (recipe.name || '').replace(/'/g, '&#39;');
     
     // Elkészítési utasítások formázása
     let instructions = 'Nincs elérhető utasítás';
-    if (recipe.instructions) {
-        instructions = formatIngredients(recipe.instructions)
-            .split('.')
-            .filter(step => step.trim().length > 0)
-            .map(step => `<li>${step.trim()}</li>`)
-            .join('');
+    let steps = getInstructionSteps(recipe);
+    
+    // Egyetlen folyó szöveges útmutatót mondatokra bontunk
+    if (steps.length === 1) {
+        steps = steps[0].split(/(?<=\.)\s+/).filter(step => step.trim().length > 0);
+    }
+    
+    if (steps.length > 0) {
+        instructions = steps.map(step => `<li>${step.trim()}</li>`).join('');
     }
     
     return `
@@ -575,10 +1148,16 @@ export function generateRecipeDetailsModal(recipe, testGroup) {
                 <button class="modal-close">&times;</button>
             </div>
             <div class="modal-body">
-                <div class="recipe-details-section">
-                    <h3>🥗 Hozzávalók</h3>
-                    <p>${ingredients}</p>
+                ${showImages ? generateRecipeImage(recipe, 'modal') : ''}
+                
+                ${showRatings ? `
+                <div class="recipe-details-section recipe-rating">
+                    <span class="recipe-rating-stars">${formatRating(recipe.aggregated_rating, recipe.review_count)}</span>
+                    ${recipe.recipe_category ? `<span class="recipe-subcategory">${recipe.recipe_category}</span>` : ''}
                 </div>
+                ` : ''}
+                
+                ${generateIngredientTable(recipe)}
                 
                 <div class="recipe-details-section">
                     <h3>👨‍🍳 Elkészítés</h3>
@@ -635,6 +1214,82 @@ export function generateRecipeDetailsModal(recipe, testGroup) {
     `;
 }
 
+/**
+ * Hozzávaló táblázat generálása adagszorzóval
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @returns {string} Hozzávaló szekció HTML
+ */
+function generateIngredientTable(recipe) {
+    const rows = getIngredientRows(recipe);
+    const hasQuantities = rows.some(row => row.quantity !== null);
+    const multiplier = CONFIG.SERVINGS?.DEFAULT_MULTIPLIER || 1;
+    
+    const tableRows = rows.map(row => `
+        <tr>
+            <td class="ingredient-quantity" data-base-quantity="${row.quantity ?? ''}">
+                ${formatQuantity(row.quantity === null ? null : row.quantity * multiplier)}
+            </td>
+            <td class="ingredient-name">${row.name}</td>
+        </tr>
+    `).join('');
+    
+    return `
+        <div class="recipe-details-section ingredient-section" data-recipe-id="${recipe.recipeid}">
+            <div class="ingredient-section-header">
+                <h3>🥗 Hozzávalók</h3>
+                ${hasQuantities ? `
+                <div class="servings-control" data-multiplier="${multiplier}">
+                    <button class="servings-btn servings-decrease" aria-label="Kevesebb adag">−</button>
+                    <span class="servings-value" aria-live="polite">${formatQuantity(multiplier)}× adag</span>
+                    <button class="servings-btn servings-increase" aria-label="Több adag">+</button>
+                </div>
+                ` : ''}
+            </div>
+            <table class="ingredient-table">
+                <tbody>${tableRows}</tbody>
+            </table>
+            ${!hasQuantities ? `
+            <p class="ingredient-note">Ennél a receptnél a mennyiségek nem rendelhetők egyértelműen a hozzávalókhoz.</p>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Adagszorzó léptetése és a hozzávaló mennyiségek átszámítása
+ * 
+ * @param {HTMLElement} section - Hozzávaló szekció elem
+ * @param {number} direction - Lépés iránya (+1 vagy -1)
+ * @returns {number|null} Új szorzó, vagy null ha nem változott
+ */
+export function stepServingsMultiplier(section, direction) {
+    const control = section?.querySelector('.servings-control');
+    if (!control) {
+        return null;
+    }
+    
+    const multipliers = CONFIG.SERVINGS?.MULTIPLIERS || [1];
+    const current = parseFloat(control.dataset.multiplier) || 1;
+    const currentIndex = multipliers.indexOf(current);
+    const nextIndex = Math.max(0, Math.min(multipliers.length - 1, (currentIndex === -1 ? 0 : currentIndex) + direction));
+    const multiplier = multipliers[nextIndex];
+    
+    if (multiplier === current) {
+        return null;
+    }
+    
+    control.dataset.multiplier = multiplier;
+    control.querySelector('.servings-value').textContent = `${formatQuantity(multiplier)}× adag`;
+    
+    section.querySelectorAll('.ingredient-quantity').forEach(cell => {
+        const baseQuantity = parseFloat(cell.dataset.baseQuantity);
+        cell.textContent = formatQuantity(isNaN(baseQuantity) ? null : baseQuantity * multiplier);
+    });
+    
+    return multiplier;
+}
+
 /**
  * Választás megerősítése komponens
  * 
@@ -5,7 +5,12 @@
  */
 
 import CONFIG from './config.js';
-import { generateUniqueId, simpleHash, safeJsonParse, safeJsonStringify } from '../utils/helpers.js';
+import { generateUniqueId, safeJsonParse, safeJsonStringify } from '../utils/helpers.js';
+import { getSearchEvents } from './search-history.js';
+import { getImpressions } from './impressions.js';
+import { startSession, endSession, getCurrentSessionId, getSessions } from './session-manager.js';
+import { assignArm, getArmIds } from './experiment.js';
+import { getFootprintSummary } from './footprint.js';
 
 /**
  * Meglévő felhasználó ellenőrzése
@@ -42,9 +47,10 @@ export function checkExistingUser() {
  * Felhasználó regisztrálása
  * 
  * @param {string} email - Email cím
+ * @param {Object} attributes - Rétegzett randomizációhoz használt attribútumok (opcionális)
  * @returns {Object} Felhasználó objektum
  */
-export function registerUser(email) {
+export function registerUser(email, attributes = {}) {
     if (!email || !email.includes('@')) {
         throw new Error('Érvénytelen email cím');
     }
@@ -55,14 +61,16 @@ export function registerUser(email) {
     // Egyedi User ID generálás
     const userId = generateUniqueId();
     
-    // A/B/C teszt csoport hozzárendelés
-    const testGroup = assignTestGroup(userId);
+    // Kísérleti csoport hozzárendelés (módszer és seed a rekordon marad)
+    const assignment = assignArm(userId, attributes);
     
     // Felhasználó objektum
     const user = {
         id: userId,
         email: normalizedEmail,
-        testGroup: testGroup,
+        testGroup: assignment.arm,
+        assignment: assignment,
+        attributes: attributes,
         registeredAt: new Date().toISOString(),
         version: CONFIG.VERSION,
         sessionCount: 1,
@@ -72,6 +80,9 @@ export function registerUser(email) {
     // Mentés lokális tárolóba
     localStorage.setItem(CONFIG.STORAGE_KEYS.USER, safeJsonStringify(user));
     
+    // Első munkamenet indítása
+    startSession(user, 'registration');
+    
     console.log('✅ Regisztráció sikeres:', {
         id: user.id,
         email: user.email,
@@ -90,9 +101,11 @@ export function registerUser(email) {
  * @param {string} searchIngredients - Keresési kifejezés
  * @param {number} decisionTime - Döntési idő másodpercekben
  * @param {string} source - Választás forrása ('search', 'details', 'ai-recommendation')
+ * @param {string|null} searchId - A választást megelőző keresés azonosítója
+ * @param {number|null} page - A választott recept találati oldala (lapozásnál)
  * @returns {Object} Rögzített választás
  */
-export function recordUserChoice(user, recipe, rank, searchIngredients, decisionTime, source = 'search') {
+export function recordUserChoice(user, recipe, rank, searchIngredients, decisionTime, source = 'search', searchId = null, page = null) {
     if (!user || !recipe) {
         console.error('❌ Hiányzó felhasználó vagy recept adat!');
         return null;
@@ -107,14 +120,17 @@ export function recordUserChoice(user, recipe, rank, searchIngredients, decision
         recipeName: recipe.name,
         recipeCategory: recipe.category || 'unknown',
         rank: rank,
+        page: page,
         searchIngredients: searchIngredients,
         decisionTime: decisionTime,
         sustainabilityIndex: recipe.sustainability_index || 0,
         envScore: recipe.env_score || 0,
         nutriScore: recipe.nutri_score || 0,
+        footprint: getFootprintSummary(recipe),
         source: source,  // 'search' vagy 'ai-recommendation'
+        searchId: searchId,
         timestamp: new Date().toISOString(),
-        sessionId: generateSessionId()
+        sessionId: getCurrentSessionId()
     };
     
     // Meglévő választások lekérése és frissítése
@@ -132,20 +148,6 @@ export function recordUserChoice(user, recipe, rank, searchIngredients, decision
     return choiceData;
 }
 
-/**
- * Teszt csoport hozzárendelése
- * Konzisztens hozzárendelés a felhasználó ID alapján
- * 
- * @param {string} userId - Felhasználó azonosító
- * @returns {string} Teszt csoport (A, B, C)
- */
-export function assignTestGroup(userId) {
-    // Hash alapú konzisztens csoport hozzárendelés (33-33-34%)
-    const hash = simpleHash(userId.toString());
-    const groups = ['A', 'B', 'C'];
-    return groups[hash % 3];
-}
-
 /**
  * Teszt csoport leírásának lekérése
  * 
@@ -153,16 +155,7 @@ export function assignTestGroup(userId) {
  * @returns {string} Csoport leírása
  */
 export function getTestGroupDescription(testGroup) {
-    return CONFIG.TEST_GROUPS[testGroup] || 'Ismeretlen csoport';
-}
-
-/**
- * Munkamenet ID generálása
- * 
- * @returns {string} Egyedi munkamenet azonosító
- */
-function generateSessionId() {
-    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    return CONFIG.TEST_GROUPS[testGroup]?.description || 'Ismeretlen csoport';
 }
 
 /**
@@ -244,6 +237,7 @@ export function loginUser(user) {
         };
         
         localStorage.setItem(CONFIG.STORAGE_KEYS.USER, safeJsonStringify(updatedUser));
+        startSession(updatedUser, 'login');
         console.log('✅ Felhasználó bejelentkezve:', updatedUser.email);
         
         return updatedUser;
@@ -267,6 +261,8 @@ export function logoutUser() {
             localStorage.setItem(CONFIG.STORAGE_KEYS.USER, safeJsonStringify(userData));
         }
         
+        endSession('logout');
+        
         console.log('✅ Felhasználó kijelentkezve');
         return true;
     } catch (error) {
@@ -285,6 +281,9 @@ export function exportUserData(userId) {
     try {
         const userData = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.USER), null);
         const choices = getUserChoices(userId);
+        const searches = getSearchEvents(userId);
+        const impressions = getImpressions(userId);
+        const sessions = getSessions(userId);
         
         if (!userData || userData.id !== userId) {
             throw new Error('Felhasználó nem található');
@@ -295,8 +294,10 @@ export function exportUserData(userId) {
                 id: userData.id,
                 email: userData.email,
                 testGroup: userData.testGroup,
+                assignment: userData.assignment || null,
                 registeredAt: userData.registeredAt,
                 totalChoices: choices.length,
+                totalSearches: searches.length,
                 sessionCount: userData.sessionCount || 1
             },
             choices: choices.map(choice => ({
@@ -304,12 +305,45 @@ export function exportUserData(userId) {
                 recipeName: choice.recipeName,
                 recipeCategory: choice.recipeCategory,
                 rank: choice.rank,
+                page: choice.page ?? null,
                 searchIngredients: choice.searchIngredients,
                 decisionTime: choice.decisionTime,
                 sustainabilityIndex: choice.sustainabilityIndex,
+                footprint: choice.footprint || null,
                 source: choice.source,
+                searchId: choice.searchId || null,
+                sessionId: choice.sessionId || null,
                 timestamp: choice.timestamp
             })),
+            searches: searches.map(search => ({
+                searchId: search.searchId,
+                sessionId: search.sessionId || null,
+                query: search.query,
+                terms: search.terms,
+                filters: search.filters || null,
+                facets: search.facets || null,
+                results: search.results,
+                resultsCount: search.resultsCount,
+                totalResults: search.totalResults ?? search.resultsCount,
+                zeroResults: search.zeroResults,
+                timestamp: search.timestamp
+            })),
+            impressions: impressions.map(impression => ({
+                impressionId: impression.impressionId,
+                searchId: impression.searchId,
+                sessionId: impression.sessionId || null,
+                page: impression.page || 1,
+                items: impression.items,
+                timestamp: impression.timestamp
+            })),
+            sessions: sessions.map(session => ({
+                sessionId: session.sessionId,
+                trigger: session.trigger,
+                startedAt: session.startedAt,
+                lastActivityAt: session.lastActivityAt,
+                endedAt: session.endedAt,
+                endReason: session.endReason
+            })),
             exportedAt: new Date().toISOString(),
             version: CONFIG.VERSION
         };
@@ -438,7 +472,7 @@ export function anonymizeUser(userId) {
 export function getTestGroupStats() {
     try {
         const choices = safeJsonParse(localStorage.getItem(CONFIG.STORAGE_KEYS.CHOICES), []);
-        const stats = { A: 0, B: 0, C: 0, total: 0 };
+        const stats = createEmptyGroupStats();
         
         choices.forEach(choice => {
             if (choice.testGroup && stats.hasOwnProperty(choice.testGroup)) {
@@ -450,6 +484,20 @@ export function getTestGroupStats() {
         return stats;
     } catch (error) {
         console.error('❌ Teszt csoport statisztikák hiba:', error);
-        return { A: 0, B: 0, C: 0, total: 0 };
+        return createEmptyGroupStats();
     }
 }
+
+/**
+ * Üres csoportonkénti számláló a konfigurált karokhoz
+ * 
+ * @returns {Object} Számláló ({ <kar>: 0, ..., total: 0 })
+ */
+function createEmptyGroupStats() {
+    const stats = {};
+    getArmIds().forEach(armId => {
+        stats[armId] = 0;
+    });
+    stats.total = 0;
+    return stats;
+}
@@ -5,8 +5,22 @@
  */
 
 import CONFIG from './config.js';
-import { getIngredientSustainabilityImpact } from './sustainability.js';
+import { analyzeSustainability, calculateSustainabilityScore, getIngredientSustainabilityImpact, getRecipeScoreDecomposition } from './sustainability.js';
+import { calculateRecipeFootprint, getEmissionFactor } from './footprint.js';
 import { retry } from '../utils/helpers.js';
+import { getIngredientList } from './data-loader.js';
+import { getKnowledgeSection, getEntryTerms, getKnowledgeBaseVersion } from './knowledge-base.js';
+import { normalizeIngredient, normalizeText, isPartialMatch } from './ingredient-normalizer.js';
+
+// Tényező fontosságok számítási módszere (a magyarázattal együtt tárolódik)
+const IMPORTANCE_METHOD = 'co2e-share+score-share';
+
+// Kontrafaktuális pontszám becslés modellje (a magyarázattal együtt tárolódik)
+const COUNTERFACTUAL_MODEL = 'co2e-scaled-env';
+
+// Zöldség és hús kulcsszavak a táplálkozási tényezőkhöz
+const VEGETABLE_TERMS = ['saláta', 'paradicsom', 'uborka', 'spenót', 'brokkoli', 'sárgarépa'];
+const MEAT_TERMS = ['hús', 'csirke', 'marha', 'sertés'];
 
 /**
  * Recept adatok előkészítése a magyarázathoz
@@ -16,13 +30,7 @@ import { retry } from '../utils/helpers.js';
  */
 function prepareRecipeData(recipe) {
     // Hozzávalók strukturálása
-    const ingredients = (recipe.ingredients || '')
-        .toLowerCase()
-        .replace(/^c\(|\)$/g, '')  // c() eltávolítása
-        .replace(/"/g, '')         // idézőjelek eltávolítása
-        .split(',')
-        .map(i => i.trim())
-        .filter(i => i.length > 0);
+    const ingredients = preprocessIngredients(recipe);
     
     // Numerikus értékek
     const numericValues = {
@@ -39,22 +47,66 @@ function prepareRecipeData(recipe) {
         name: recipe.name,
         ingredients,
         category,
+        importances: computeFactorImportances(recipe),
         ...numericValues
     };
 }
 
+/**
+ * Tényezők fontosságának számítása a recept adataiból
+ * Hozzávalónként a mennyiséggel súlyozott CO2e-részesedés a recept becsült
+ * lábnyomából (calculateRecipeFootprint) és a tömegrészesedés; a pontszám
+ * komponenseinél a tag hozzájárulása az Eco-Score-hoz
+ * (decomposeSustainabilityScore). Ugyanarra a receptre mindig ugyanazt adja.
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @returns {Object} Fontosságok ({ method, ingredients: [{ name, factor, grams,
+ *                   co2eKg, co2eShare, massShare }], components: { environment,
+ *                   nutrition, category } })
+ */
+export function computeFactorImportances(recipe) {
+    const footprint = calculateRecipeFootprint(recipe);
+    const totalCo2e = footprint.ingredients.reduce((sum, item) => sum + item.co2eKg, 0);
+    const totalGrams = footprint.ingredients.reduce((sum, item) => sum + item.grams, 0);
+    
+    const ingredients = footprint.ingredients.map(item => ({
+        name: item.name.toLowerCase().trim(),
+        factor: item.factor,
+        grams: item.grams,
+        co2eKg: item.co2eKg,
+        co2eShare: roundShare(totalCo2e > 0 ? item.co2eKg / totalCo2e : 0),
+        massShare: roundShare(totalGrams > 0 ? item.grams / totalGrams : 0)
+    }));
+    
+    const decomposition = getRecipeScoreDecomposition(recipe);
+    const components = {};
+    decomposition.terms.forEach(term => {
+        components[term.key] = roundShare(decomposition.total > 0 ? term.contribution / decomposition.total : 0);
+    });
+    
+    return {
+        method: IMPORTANCE_METHOD,
+        footprintModel: CONFIG.FOOTPRINT?.MODEL_VERSION || null,
+        ingredients,
+        components
+    };
+}
+
 /**
  * XAI magyarázat lekérése a pontszámokhoz
+ * A magyarázat rögzíti az előállításához használt tudásbázis verzióját.
+ * A kontrafaktuális keresés csak kérésre fut (a kar megjeleníti-e).
  * 
  * @param {Object} recipe - Recept objektum
+ * @param {Object} options - Beállítások ({ includeCounterfactuals })
  * @returns {Promise<Object>} Magyarázat objektum
  */
-export async function getExplanation(recipe) {
+export async function getExplanation(recipe, options = {}) {
     try {
         // Ha nincs elegendő adat, visszaadjuk a fallback magyarázatot
         if (!recipe.ingredients || !recipe.env_score || !recipe.nutri_score) {
             console.warn('⚠️ Hiányos recept adatok, fallback magyarázat használata');
-            return generateFallbackExplanation(recipe);
+            return stampKnowledgeBaseVersion(generateFallbackExplanation(recipe));
         }
         
         // Adatok előkészítése
@@ -71,14 +123,34 @@ export async function getExplanation(recipe) {
             xaiExplanation = await simulateXaiApi(recipeData);
         }
         
-        return xaiExplanation;
+        if (options.includeCounterfactuals) {
+            xaiExplanation = {
+                ...xaiExplanation,
+                counterfactuals: generateCounterfactuals(recipe)
+            };
+        }
+        
+        return stampKnowledgeBaseVersion(xaiExplanation);
         
     } catch (error) {
         console.error('❌ XAI magyarázat hiba:', error);
-        return generateFallbackExplanation(recipe);
+        return stampKnowledgeBaseVersion(generateFallbackExplanation(recipe));
     }
 }
 
+/**
+ * Tudásbázis verzió hozzáadása a magyarázathoz
+ * 
+ * @param {Object} explanation - Magyarázat objektum
+ * @returns {Object} Magyarázat a knowledgeBaseVersion mezővel
+ */
+function stampKnowledgeBaseVersion(explanation) {
+    return {
+        ...explanation,
+        knowledgeBaseVersion: getKnowledgeBaseVersion()
+    };
+}
+
 /**
  * Külső XAI API hívás
  * 
@@ -193,9 +265,9 @@ function parseApiResponse(response, recipeData) {
                 const content = line.replace(/^[-•]\s*/, '');
                 
                 if (currentSection === 'environmental') {
-                    environmentalFactors.push(parseFactorLine(content));
+                    environmentalFactors.push(parseFactorLine(content, recipeData.importances, 'environment'));
                 } else if (currentSection === 'nutritional') {
-                    nutritionalFactors.push(parseFactorLine(content));
+                    nutritionalFactors.push(parseFactorLine(content, recipeData.importances, 'nutrition'));
                 } else if (currentSection === 'suggestions') {
                     suggestions.push(content);
                 }
@@ -209,6 +281,7 @@ function parseApiResponse(response, recipeData) {
             environmentalFactors: environmentalFactors.length > 0 ? environmentalFactors : generateDefaultEnvironmentalFactors(recipeData),
             nutritionalFactors: nutritionalFactors.length > 0 ? nutritionalFactors : generateDefaultNutritionalFactors(recipeData),
             suggestions: suggestions.length > 0 ? suggestions : generateDefaultSuggestions(recipeData),
+            importances: recipeData.importances,
             confidence: 0.85,
             source: 'openai'
         };
@@ -224,18 +297,23 @@ function parseApiResponse(response, recipeData) {
 
 /**
  * Tényező sor feldolgozása
+ * A fontosság a megnevezett hozzávaló CO2e-részesedése, ha a tényező
+ * hozzávalóra illeszkedik, különben a szakasz pontszám komponensének
+ * részesedése.
  * 
  * @param {string} line - Tényező sor
+ * @param {Object} importances - computeFactorImportances() eredménye
+ * @param {string} component - Szakasz pontszám komponense ('environment' | 'nutrition')
  * @returns {Object} Tényező objektum
  */
-function parseFactorLine(line) {
+function parseFactorLine(line, importances, component) {
     const parts = line.split(':');
     if (parts.length < 2) {
         return {
             name: line,
             impact: 'neutral',
             explanation: '',
-            importance: 0.5
+            ...getNamedFactorImportance(importances, line, component)
         };
     }
     
@@ -253,7 +331,7 @@ function parseFactorLine(line) {
         name,
         impact,
         explanation: rest.replace(/(pozitív|negatív|semleges)\s*-?\s*/i, ''),
-        importance: Math.random() * 0.4 + 0.6 // 0.6-1.0 között
+        ...getNamedFactorImportance(importances, name, component)
     };
 }
 
@@ -277,6 +355,7 @@ async function simulateXaiApi(recipeData) {
         environmentalFactors,
         nutritionalFactors,
         suggestions,
+        importances: recipeData.importances,
         confidence: 0.75,
         source: 'simulated'
     };
@@ -289,22 +368,32 @@ async function simulateXaiApi(recipeData) {
  * @returns {Array} Környezeti tényezők
  */
 function generateDefaultEnvironmentalFactors(recipeData) {
+    const importances = recipeData.importances;
     const factors = [];
     
-    recipeData.ingredients.forEach(ingredient => {
+    // Ismétlődő hozzávaló egy tényező, a részesedései összeadódnak
+    [...new Set(recipeData.ingredients)].forEach(ingredient => {
         const impact = getIngredientSustainabilityImpact(ingredient);
         factors.push({
             name: ingredient,
             impact: impact.impact === 'positive' ? 'pozitív' : 
                    impact.impact === 'negative' ? 'negatív' : 'semleges',
             explanation: impact.explanation,
-            importance: Math.abs(impact.score) / 10
+            importance: sumIngredientShares(importances, [ingredient], 'co2eShare'),
+            importanceBasis: 'co2e-share'
         });
     });
     
-    // Kategória hatás
+    // A legnagyobb lábnyomú hozzávalók elöl (stabil rendezés: egyenlőségnél receptsorrend)
+    factors.sort((a, b) => b.importance - a.importance);
+    
+    // Kategória hatás: az Eco-Score-beli részesedése más skála, mint a CO2e-részesedés
     const categoryImpact = getCategoryEnvironmentalImpact(recipeData.category);
-    factors.push(categoryImpact);
+    factors.push({
+        ...categoryImpact,
+        importance: importances?.components?.category ?? 0,
+        importanceBasis: 'score-share'
+    });
     
     return factors.slice(0, 5); // Maximum 5 tényező
 }
@@ -316,6 +405,8 @@ function generateDefaultEnvironmentalFactors(recipeData) {
  * @returns {Array} Táplálkozási tényezők
  */
 function generateDefaultNutritionalFactors(recipeData) {
+    const importances = recipeData.importances;
+    const nutritionShare = importances?.components?.nutrition ?? 0;
     const factors = [];
     
     // Táplálkozási pontszám alapján
@@ -324,43 +415,45 @@ function generateDefaultNutritionalFactors(recipeData) {
             name: 'Magas tápérték',
             impact: 'pozitív',
             explanation: 'Ez a recept gazdag vitaminokban és ásványi anyagokban.',
-            importance: 0.9
+            importance: nutritionShare,
+            importanceBasis: 'score-share'
         });
     } else if (recipeData.nutriScore < 40) {
         factors.push({
             name: 'Alacsony tápérték',
             impact: 'negatív', 
             explanation: 'A recept táplálkozási értéke javítható lenne.',
-            importance: 0.8
+            importance: nutritionShare,
+            importanceBasis: 'score-share'
         });
     }
     
     // Összetevők alapú elemzés
-    const veggieCount = recipeData.ingredients.filter(ing => 
-        ['saláta', 'paradicsom', 'uborka', 'spenót', 'brokkoli', 'sárgarépa'].some(veg => 
-            ing.includes(veg)
-        )
-    ).length;
+    const veggies = recipeData.ingredients.filter(ing => 
+        VEGETABLE_TERMS.some(veg => ing.includes(veg))
+    );
     
-    if (veggieCount > 2) {
+    if (veggies.length > 2) {
         factors.push({
             name: 'Gazdag zöldségtartalom',
             impact: 'pozitív',
             explanation: 'Sok zöldség növeli a vitamin- és rosttartalmat.',
-            importance: 0.8
+            importance: sumIngredientShares(importances, veggies, 'massShare'),
+            importanceBasis: 'mass-share'
         });
     }
     
-    const meatCount = recipeData.ingredients.filter(ing =>
-        ['hús', 'csirke', 'marha', 'sertés'].some(meat => ing.includes(meat))
-    ).length;
+    const meats = recipeData.ingredients.filter(ing =>
+        MEAT_TERMS.some(meat => ing.includes(meat))
+    );
     
-    if (meatCount > 0) {
+    if (meats.length > 0) {
         factors.push({
             name: 'Húsfehérje tartalom',
             impact: 'semleges',
             explanation: 'A hús jó fehérjeforrás, de modéráltan fogyasztandó.',
-            importance: 0.6
+            importance: sumIngredientShares(importances, meats, 'massShare'),
+            importanceBasis: 'mass-share'
         });
     }
     
@@ -493,6 +586,7 @@ function generateFallbackExplanation(recipe) {
     const sustainabilityIndex = recipe.sustainability_index || 50;
     const envScore = recipe.env_score || 50;
     const nutriScore = recipe.nutri_score || 50;
+    const importances = computeFactorImportances(recipe);
     
     return {
         summary: `Ez a recept ${sustainabilityIndex.toFixed(1)}/100 fenntarthatósági pontot kapott. A pontozás a környezeti hatás (${envScore.toFixed(1)}) és a táplálkozási érték (${nutriScore.toFixed(1)}) alapján történt.`,
@@ -501,7 +595,8 @@ function generateFallbackExplanation(recipe) {
                 name: 'Környezeti hatás',
                 impact: envScore > 60 ? 'negatív' : envScore > 40 ? 'semleges' : 'pozitív',
                 explanation: `A recept környezeti pontszáma ${envScore.toFixed(1)}/100.`,
-                importance: 0.8
+                importance: importances.components.environment ?? 0,
+                importanceBasis: 'score-share'
             }
         ],
         nutritionalFactors: [
@@ -509,18 +604,154 @@ function generateFallbackExplanation(recipe) {
                 name: 'Táplálkozási érték',
                 impact: nutriScore > 60 ? 'pozitív' : nutriScore > 40 ? 'semleges' : 'negatív',
                 explanation: `A recept táplálkozási pontszáma ${nutriScore.toFixed(1)}/100.`,
-                importance: 0.7
+                importance: importances.components.nutrition ?? 0,
+                importanceBasis: 'score-share'
             }
         ],
         suggestions: [
             'Részletes AI magyarázat jelenleg nem elérhető.',
             'A pontszámok a hozzávalók fenntarthatósági hatása alapján készültek.'
         ],
+        importances,
         confidence: 0.6,
         source: 'fallback'
     };
 }
 
+/**
+ * Kontrafaktuális magyarázatok: mely hozzávaló módosítások vinnék a
+ * receptet a célpontszám fölé
+ * A módosított recept pontszáma a valódi pontozó modellel számolódik
+ * (calculateSustainabilityScore): a környezeti pontszám a becsült CO2e
+ * lábnyom arányában változik (csere esetén a helyettesítő emissziós
+ * tényezőjével, azonos tömegre), a táplálkozási pontszám és a kategória
+ * változatlan. A keresés a legkevesebb módosítással célt érő megoldásokat
+ * adja: ha már egy módosítás elég, kombinációkat nem vizsgál. Ha a recept
+ * forrásbeli pontszáma hiányzik (helyettesítő érték), nem ad javaslatot
+ * (missingData: true).
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @param {Object} options - Beállítások ({ targetScore, maxEdits, maxResults, candidateLimit })
+ * @returns {Object} Eredmény ({ model, baseScore, targetScore, reachable,
+ *                   counterfactuals: [{ edits, envScore, score, delta }], closest, missingData })
+ */
+export function generateCounterfactuals(recipe, options = {}) {
+    const settings = CONFIG.XAI?.COUNTERFACTUAL || {};
+    const maxEdits = options.maxEdits ?? settings.MAX_EDITS ?? 2;
+    const maxResults = options.maxResults ?? settings.MAX_RESULTS ?? 3;
+    const candidateLimit = options.candidateLimit ?? settings.CANDIDATE_LIMIT ?? 8;
+    
+    const baseScore = calculateSustainabilityScore(recipe?.env_score || 0, recipe?.nutri_score || 0, recipe?.category);
+    const result = {
+        model: COUNTERFACTUAL_MODEL,
+        baseScore,
+        targetScore: options.targetScore ?? getNextScoreThreshold(baseScore),
+        reachable: false,
+        counterfactuals: [],
+        closest: null,
+        missingData: hasPlaceholderScores(recipe)
+    };
+    
+    // Helyettesítő (50-es) pontszám arányos skálázása nem mondana semmit
+    if (result.missingData) {
+        return result;
+    }
+    
+    const footprint = recipe ? calculateRecipeFootprint(recipe) : null;
+    if (result.targetScore === null || !footprint || footprint.co2eKg <= 0) {
+        return result;
+    }
+    
+    // Egyedi módosítások, a legnagyobb javulás elöl (stabil rendezés)
+    const singles = collectCandidateEdits(footprint.ingredients)
+        .map(edit => scoreEdits(recipe, footprint.co2eKg, [edit], baseScore))
+        .filter(candidate => candidate.delta > 0)
+        .sort((a, b) => b.score - a.score);
+    
+    const pool = singles.slice(0, candidateLimit);
+    
+    for (let size = 1; size <= maxEdits; size++) {
+        const candidates = size === 1
+            ? singles
+            : combineEdits(pool.map(candidate => candidate.edits[0]), size)
+                .map(edits => scoreEdits(recipe, footprint.co2eKg, edits, baseScore))
+                .sort((a, b) => b.score - a.score);
+        
+        // Célt érő módosítások: a cserék az elhagyások előtt (a recept jellege megmarad)
+        const passing = candidates
+            .filter(candidate => candidate.score >= result.targetScore)
+            .sort((a, b) => countRemovals(a.edits) - countRemovals(b.edits));
+        if (passing.length > 0) {
+            result.reachable = true;
+            result.counterfactuals = passing.slice(0, maxResults);
+            return result;
+        }
+        
+        if (candidates.length > 0 && (!result.closest || candidates[0].score > result.closest.score)) {
+            result.closest = candidates[0];
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Két recept összevetése (kontrasztív magyarázat)
+ * A pontszám felbontások, a hozzávalók szintű különbségek (közös, csak az
+ * egyikben szereplő, nagyobb lábnyomú) és egy generált összevető mondat. A
+ * hozzávalók hatása és lábnyoma a fenntarthatósági elemzésből
+ * (analyzeSustainability), a hasonlóság a Jaccard hasonlóságból jön. A
+ * hiányzó forrásbeli pontszámon alapuló tag nem szerepel a különbség okaként,
+ * a mondat ilyenkor figyelmeztetést tartalmaz.
+ * 
+ * @param {Object} recipeA - Első recept
+ * @param {Object} recipeB - Második recept
+ * @returns {Object} Összevetés ({ recipeIds, similarity, scoreDifference, scores, footprint,
+ *                   missingScores, ingredients: { shared, onlyA, onlyB, higherImpact }, sentence })
+ */
+export function compareRecipes(recipeA, recipeB) {
+    if (!recipeA || !recipeB) {
+        throw new Error('Az összevetéshez két recept szükséges');
+    }
+    
+    const analysisA = analyzeSustainability(recipeA);
+    const analysisB = analyzeSustainability(recipeB);
+    const entriesA = collectComparisonEntries(analysisA);
+    const entriesB = collectComparisonEntries(analysisB);
+    
+    const shared = [...entriesA.values()]
+        .filter(entry => entriesB.has(entry.name))
+        .map(entry => ({ name: entry.name, co2eKgA: entry.co2eKg, co2eKgB: entriesB.get(entry.name).co2eKg }));
+    const byFootprint = (a, b) => b.co2eKg - a.co2eKg;
+    const onlyA = [...entriesA.values()].filter(entry => !entriesB.has(entry.name)).sort(byFootprint);
+    const onlyB = [...entriesB.values()].filter(entry => !entriesA.has(entry.name)).sort(byFootprint);
+    
+    // A két recept eltérő hozzávalói közül a legnagyobb lábnyomúak
+    const higherImpact = [
+        ...onlyA.map(entry => ({ ...entry, side: 'a' })),
+        ...onlyB.map(entry => ({ ...entry, side: 'b' }))
+    ]
+        .filter(entry => entry.co2eKg > 0 || entry.impact === 'negative')
+        .sort(byFootprint)
+        .slice(0, 3);
+    
+    const scores = { a: getRecipeScoreDecomposition(recipeA), b: getRecipeScoreDecomposition(recipeB) };
+    const comparison = {
+        recipeIds: [recipeA.recipeid, recipeB.recipeid],
+        similarity: roundShare(calculateIngredientSimilarity(preprocessIngredients(recipeA), preprocessIngredients(recipeB))),
+        scoreDifference: Math.round((scores.a.total - scores.b.total) * 10) / 10,
+        scores,
+        footprint: { a: analysisA.footprint.co2eKg, b: analysisB.footprint.co2eKg },
+        missingScores: { a: hasPlaceholderScores(recipeA), b: hasPlaceholderScores(recipeB) },
+        ingredients: { shared, onlyA, onlyB, higherImpact }
+    };
+    
+    return {
+        ...comparison,
+        sentence: generateContrastiveSentence(recipeA, recipeB, comparison)
+    };
+}
+
 /**
  * Hasonló, de fenntarthatóbb receptek keresése
  * 
@@ -535,7 +766,7 @@ export function findSimilarButMoreSustainableRecipes(targetRecipe, allRecipes, l
     }
     
     const targetSustainability = targetRecipe.sustainability_index || 50;
-    const targetIngredients = preprocessIngredients(targetRecipe.ingredients);
+    const targetIngredients = preprocessIngredients(targetRecipe);
     
     const candidates = allRecipes
         .filter(recipe => {
@@ -547,7 +778,7 @@ export function findSimilarButMoreSustainableRecipes(targetRecipe, allRecipes, l
             return recipeSustainability > targetSustainability + 5; // Minimum 5 pont javulás
         })
         .map(recipe => {
-            const recipeIngredients = preprocessIngredients(recipe.ingredients);
+            const recipeIngredients = preprocessIngredients(recipe);
             const similarity = calculateIngredientSimilarity(targetIngredients, recipeIngredients);
             const sustainabilityImprovement = (recipe.sustainability_index || 50) - targetSustainability;
             
@@ -567,6 +798,9 @@ export function findSimilarButMoreSustainableRecipes(targetRecipe, allRecipes, l
 
 /**
  * Összetevő helyettesítési javaslatok
+ * A tudásbázis helyettesítői közül a legkisebb emissziós tényezőjű kerül a
+ * javaslatba (ismert tényező nélküliek a végén, egyenlőségnél a tudásbázis
+ * sorrendje), így ugyanarra a receptre mindig ugyanaz a javaslat.
  * 
  * @param {Object} recipe - Recept objektum
  * @returns {Array} Helyettesítési javaslatok
@@ -576,53 +810,19 @@ export function suggestIngredientSubstitutions(recipe) {
         return [];
     }
     
-    const ingredients = preprocessIngredients(recipe.ingredients);
+    const ingredients = preprocessIngredients(recipe);
     const substitutions = [];
     
-    // Helyettesítési táblázat
-    const substitutionMap = {
-        'marha': {
-            substitutes: ['lencse', 'csicseriborsó', 'tofu', 'tempeh'],
-            improvementPercent: 60,
-            explanation: 'Növényi fehérjék sokkal alacsonyabb környezeti hatással rendelkeznek.'
-        },
-        'marhahús': {
-            substitutes: ['bab', 'quinoa', 'szeitan'],
-            improvementPercent: 65,
-            explanation: 'Növényi alapú alternatívák drámaian csökkentik a szén-lábnyomot.'
-        },
-        'sertés': {
-            substitutes: ['csirke', 'hal', 'tofu'],
-            improvementPercent: 35,
-            explanation: 'Alternatív fehérjeforrások alacsonyabb környezeti hatással.'
-        },
-        'csirke': {
-            substitutes: ['hal', 'tojás', 'cottage cheese'],
-            improvementPercent: 20,
-            explanation: 'Kevésbé erőforrás-igényes állati fehérjék.'
-        },
-        'vaj': {
-            substitutes: ['olívaolaj', 'kókuszolaj', 'avokádó'],
-            improvementPercent: 30,
-            explanation: 'Növényi zsírok alacsonyabb környezeti hatással.'
-        },
-        'tejszín': {
-            substitutes: ['kókusztej', 'zabtej', 'mandulakrém'],
-            improvementPercent: 40,
-            explanation: 'Növényi tejek kevesebb erőforrást igényelnek.'
-        },
-        'saj': { // sajt részleges egyezéshez
-            substitutes: ['nutritional yeast', 'kesutej-sajt', 'tofu-sajt'],
-            improvementPercent: 45,
-            explanation: 'Növényi sajtalternatívák fenntarthatóbbak.'
-        }
-    };
+    // Helyettesítési táblázat (tudásbázis)
+    const substitutionMap = getKnowledgeSection('substitutions');
     
     ingredients.forEach(ingredient => {
         // Pontos egyezés keresése
-        for (const [key, data] of Object.entries(substitutionMap)) {
-            if (ingredient.includes(key) || key.includes(ingredient)) {
-                const substitute = data.substitutes[Math.floor(Math.random() * data.substitutes.length)];
+        const normalized = normalizeIngredient(ingredient);
+        
+        for (const data of substitutionMap) {
+            if (getEntryTerms(data).some(term => isPartialMatch(normalized, term))) {
+                const substitute = pickLowestEmissionSubstitute(data.substitutes);
                 substitutions.push({
                     original: ingredient,
                     substitute: substitute,
@@ -640,21 +840,321 @@ export function suggestIngredientSubstitutions(recipe) {
 /**
  * Hozzávalók előfeldolgozása
  * 
- * @param {string} ingredients - Hozzávalók string
+ * @param {Object} recipe - Recept objektum
  * @returns {Array} Tisztított hozzávalók
  */
-function preprocessIngredients(ingredients) {
-    if (!ingredients || typeof ingredients !== 'string') {
-        return [];
+function preprocessIngredients(recipe) {
+    return getIngredientList(recipe)
+        .map(ing => ing.toLowerCase().trim())
+        .filter(ing => ing.length > 0);
+}
+
+/**
+ * Következő Eco-Score sáv alsó határa
+ * 
+ * @param {number} score - Jelenlegi pontszám
+ * @returns {number|null} Célpontszám vagy null, ha már a legfelső sávban van
+ */
+function getNextScoreThreshold(score) {
+    const thresholds = (CONFIG.SUSTAINABILITY?.ECO_SCORE_RANGES || [])
+        .map(range => range.min)
+        .filter(min => min > score)
+        .sort((a, b) => a - b);
+    
+    return thresholds.length > 0 ? thresholds[0] : null;
+}
+
+/**
+ * Lehetséges hozzávaló módosítások (elhagyás, csere a tudásbázis alapján)
+ * Csak ismert lábnyomú hozzávaló módosítható, és csak olyan helyettesítőre,
+ * amelynek van emissziós tényezője.
+ * 
+ * @param {Array} rows - calculateRecipeFootprint() hozzávalónkénti bontása
+ * @returns {Array} Módosítások ({ type, index, ingredient, substitute, co2eDelta })
+ */
+function collectCandidateEdits(rows) {
+    const substitutionMap = getKnowledgeSection('substitutions');
+    const edits = [];
+    
+    rows.forEach((row, index) => {
+        if (!row.matched || row.grams <= 0) {
+            return;
+        }
+        
+        if (rows.length > 1) {
+            edits.push({ type: 'remove', index, ingredient: row.name, substitute: null, co2eDelta: -row.co2eKg });
+        }
+        
+        const normalized = normalizeIngredient(row.name);
+        const entry = substitutionMap.find(data => getEntryTerms(data).some(term => isPartialMatch(normalized, term)));
+        
+        (entry?.substitutes || []).forEach(substitute => {
+            const factor = getEmissionFactor(substitute);
+            if (factor) {
+                edits.push({
+                    type: 'substitute',
+                    index,
+                    ingredient: row.name,
+                    substitute,
+                    co2eDelta: (row.grams / 1000) * factor.co2e - row.co2eKg
+                });
+            }
+        });
+    });
+    
+    return edits;
+}
+
+/**
+ * Módosítások pontszáma a valódi pontozó modellel
+ * 
+ * @param {Object} recipe - Eredeti recept
+ * @param {number} co2eKg - Eredeti becsült lábnyom
+ * @param {Array} edits - Módosítások
+ * @param {number} baseScore - Eredeti pontszám
+ * @returns {Object} Kontrafaktuális ({ edits, envScore, score, delta })
+ */
+function scoreEdits(recipe, co2eKg, edits, baseScore) {
+    const editedCo2e = Math.max(0, co2eKg + edits.reduce((sum, edit) => sum + edit.co2eDelta, 0));
+    const envScore = Math.round((recipe.env_score || 0) * (editedCo2e / co2eKg) * 10) / 10;
+    const score = calculateSustainabilityScore(envScore, recipe.nutri_score || 0, recipe.category);
+    
+    return {
+        edits: edits.map(({ co2eDelta, ...edit }) => ({ ...edit, co2eDelta: Math.round(co2eDelta * 1000) / 1000 })),
+        envScore,
+        score,
+        delta: Math.round((score - baseScore) * 10) / 10
+    };
+}
+
+/**
+ * Elhagyások száma egy módosítás listában
+ * 
+ * @param {Array} edits - Módosítások
+ * @returns {number} Elhagyások száma
+ */
+function countRemovals(edits) {
+    return edits.filter(edit => edit.type === 'remove').length;
+}
+
+/**
+ * Legkisebb CO2e emissziós tényezőjű helyettesítő kiválasztása
+ * 
+ * @param {Array<string>} substitutes - Helyettesítők (tudásbázis sorrendben)
+ * @returns {string|null} Helyettesítő
+ */
+function pickLowestEmissionSubstitute(substitutes) {
+    let best = null;
+    let bestCo2e = Infinity;
+    
+    substitutes.forEach(substitute => {
+        const co2e = getEmissionFactor(substitute)?.co2e ?? Infinity;
+        if (best === null || co2e < bestCo2e) {
+            best = substitute;
+            bestCo2e = co2e;
+        }
+    });
+    
+    return best;
+}
+
+/**
+ * Helyettesítő (a forrásban hiányzó) pontszám a recepten
+ * 
+ * @param {Object} recipe - Recept objektum
+ * @returns {boolean} A környezeti vagy a táplálkozási pontszám hiányzik-e
+ */
+function hasPlaceholderScores(recipe) {
+    return Boolean(recipe?.envScoreMissing || recipe?.nutriScoreMissing);
+}
+
+/**
+ * Helyettesítő pontszámon alapuló Eco-Score tagok
+ * 
+ * @param {Array} recipes - Receptek
+ * @returns {Array<string>} Tag kulcsok ('environment', 'nutrition')
+ */
+function getPlaceholderTermKeys(recipes) {
+    const keys = [];
+    
+    if (recipes.some(recipe => recipe?.envScoreMissing)) {
+        keys.push('environment');
+    }
+    if (recipes.some(recipe => recipe?.nutriScoreMissing)) {
+        keys.push('nutrition');
     }
     
-    return ingredients
-        .toLowerCase()
-        .replace(/^c\(|\)$/g, '')
-        .replace(/["']/g, '')
-        .split(',')
-        .map(ing => ing.trim())
-        .filter(ing => ing.length > 0);
+    return keys;
+}
+
+/**
+ * Figyelmeztetés a hiányzó forrásbeli pontszámokról
+ * 
+ * @param {Array} recipes - Receptek
+ * @returns {string} Figyelmeztető mondat (szóközzel kezdve) vagy üres szöveg
+ */
+function describeMissingScores(recipes) {
+    const notes = recipes
+        .filter(hasPlaceholderScores)
+        .map(recipe => {
+            const missing = [
+                recipe.envScoreMissing ? 'környezeti' : null,
+                recipe.nutriScoreMissing ? 'táplálkozási' : null
+            ].filter(Boolean);
+            return `a(z) „${recipe.name}” ${missing.join(' és ')} pontszáma`;
+        });
+    
+    if (notes.length === 0) {
+        return '';
+    }
+    
+    return ` Hiányzik ${notes.join(', valamint ')} (helyettesítő értéke 50), ezért az összevetés részben becsült.`;
+}
+
+/**
+ * Különböző hozzávalókat érintő módosítás kombinációk
+ * 
+ * @param {Array} edits - Egyedi módosítások
+ * @param {number} size - Kombináció mérete
+ * @returns {Array} Módosítás listák
+ */
+function combineEdits(edits, size) {
+    if (size === 0) {
+        return [[]];
+    }
+    
+    const combinations = [];
+    edits.forEach((edit, i) => {
+        combineEdits(edits.slice(i + 1), size - 1)
+            .filter(rest => rest.every(other => other.index !== edit.index))
+            .forEach(rest => combinations.push([edit, ...rest]));
+    });
+    
+    return combinations;
+}
+
+/**
+ * Elemzett hozzávalók névenként (az ismétlődők lábnyoma összeadódik)
+ * 
+ * @param {Object} analysis - analyzeSustainability() eredménye
+ * @returns {Map} Név → { name, impact, co2eKg }
+ */
+function collectComparisonEntries(analysis) {
+    const entries = new Map();
+    
+    analysis.ingredients.forEach((item, index) => {
+        const co2eKg = analysis.footprint.ingredients[index]?.co2eKg || 0;
+        const entry = entries.get(item.name);
+        
+        if (entry) {
+            entry.co2eKg = Math.round((entry.co2eKg + co2eKg) * 1000) / 1000;
+        } else if (item.name) {
+            entries.set(item.name, { name: item.name, impact: item.impact, co2eKg });
+        }
+    });
+    
+    return entries;
+}
+
+/**
+ * Összevető mondat generálása
+ * 
+ * @param {Object} recipeA - Első recept
+ * @param {Object} recipeB - Második recept
+ * @param {Object} comparison - compareRecipes() részeredménye
+ * @returns {string} Összevető mondat(ok)
+ */
+function generateContrastiveSentence(recipeA, recipeB, comparison) {
+    const { shared, onlyA } = comparison.ingredients;
+    const similarityText = shared.length > 0
+        ? `A(z) „${recipeA.name}” ${shared.length + onlyA.length} hozzávalójából ${shared.length} a(z) „${recipeB.name}” receptben is szerepel.`
+        : 'Nincs közös hozzávalójuk.';
+    const caveat = describeMissingScores([recipeA, recipeB]);
+    
+    if (Math.abs(comparison.scoreDifference) < 0.1) {
+        return `A(z) „${recipeA.name}” és a(z) „${recipeB.name}” Eco-Score-ja azonos (${comparison.scores.a.total.toFixed(1)}).${caveat} ${similarityText}`;
+    }
+    
+    const aIsBetter = comparison.scoreDifference > 0;
+    const [better, worse] = aIsBetter ? [recipeA, recipeB] : [recipeB, recipeA];
+    const [betterScores, worseScores] = aIsBetter
+        ? [comparison.scores.a, comparison.scores.b]
+        : [comparison.scores.b, comparison.scores.a];
+    
+    // A különbséget leginkább okozó pontszám tag (helyettesítő pontszámú tag nem lehet ok)
+    const placeholderTerms = getPlaceholderTermKeys([recipeA, recipeB]);
+    const driver = betterScores.terms
+        .map((term, index) => ({ key: term.key, label: term.label, difference: term.contribution - (worseScores.terms[index]?.contribution ?? 0) }))
+        .filter(term => !placeholderTerms.includes(term.key))
+        .sort((a, b) => b.difference - a.difference)[0];
+    
+    let sentence = `A(z) „${better.name}” Eco-Score-ja ${Math.abs(comparison.scoreDifference).toFixed(1)} ponttal magasabb a(z) „${worse.name}” receptnél`;
+    sentence += driver && driver.difference > 0
+        ? `, főként a ${driver.label.toLowerCase()} miatt (+${driver.difference.toFixed(1)} pont).`
+        : '.';
+    sentence += caveat;
+    
+    // A gyengébb recept legnagyobb lábnyomú saját hozzávalója
+    const worseSide = aIsBetter ? 'b' : 'a';
+    const heaviest = comparison.ingredients.higherImpact.find(entry => entry.side === worseSide && entry.co2eKg > 0);
+    if (heaviest) {
+        sentence += ` A(z) „${worse.name}” receptben szereplő ${heaviest.name} becsült lábnyoma ${heaviest.co2eKg.toFixed(1)} kg CO2e.`;
+    }
+    
+    return `${sentence} ${similarityText}`;
+}
+
+/**
+ * Hozzávalók részesedésének összege
+ * 
+ * @param {Object} importances - computeFactorImportances() eredménye
+ * @param {Array} names - Hozzávaló nevek (preprocessIngredients() formában)
+ * @param {string} field - Részesedés mező ('co2eShare' | 'massShare')
+ * @returns {number} Részesedés (0-1)
+ */
+function sumIngredientShares(importances, names, field) {
+    const wanted = new Set(names);
+    const share = (importances?.ingredients || [])
+        .filter(item => wanted.has(item.name))
+        .reduce((sum, item) => sum + item[field], 0);
+    
+    return roundShare(Math.min(1, share));
+}
+
+/**
+ * Szövegesen megnevezett (pl. API válaszból származó) tényező fontossága
+ * A tényezőre illeszkedő hozzávalók CO2e-részesedése, vagy ha egy sem
+ * illeszkedik, a megadott pontszám komponens részesedése.
+ * 
+ * @param {Object} importances - computeFactorImportances() eredménye
+ * @param {string} name - Tényező neve
+ * @param {string} component - Pontszám komponens kulcsa
+ * @returns {Object} Fontosság és skálája ({ importance: 0-1, importanceBasis })
+ */
+function getNamedFactorImportance(importances, name, component) {
+    const term = normalizeText(name);
+    const matches = term
+        ? (importances?.ingredients || []).filter(item => isPartialMatch(normalizeIngredient(item.name), term))
+        : [];
+    
+    if (matches.length > 0) {
+        return {
+            importance: sumIngredientShares(importances, matches.map(item => item.name), 'co2eShare'),
+            importanceBasis: 'co2e-share'
+        };
+    }
+    
+    return { importance: importances?.components?.[component] ?? 0, importanceBasis: 'score-share' };
+}
+
+/**
+ * Részesedés kerekítése három tizedesre
+ * 
+ * @param {number} value - Részesedés
+ * @returns {number} Kerekített részesedés
+ */
+function roundShare(value) {
+    return Math.round(value * 1000) / 1000;
 }
 
 /**
@@ -4,39 +4,28 @@
  * Verzió: 2025.06.20
  */
 
+import { parseRVector, cleanVectorItems } from './r-vector.js';
+
 /**
  * Hozzávalók formázása olvasható formátumra
  * 
- * @param {string} ingredients - Nyers hozzávalók string
+ * @param {Array|string} ingredients - Hozzávalók listája vagy nyers R vektor szöveg
  * @returns {string} Formázott hozzávalók
  */
 export function formatIngredients(ingredients) {
-    if (!ingredients || typeof ingredients !== 'string') {
+    // NA és üres elemek nélkül, többszörös szóközök (és sortörések) eltávolításával
+    const items = cleanVectorItems(parseRVector(ingredients));
+    
+    if (items.length === 0) {
         return 'Nincs megadva';
     }
     
-    let formatted = ingredients
-        // R karakteres lista formátum eltávolítása: c("item1", "item2")
-        .replace(/^c\s*\(/i, '')
-        .replace(/\)$/, '')
-        // Idézőjelek eltávolítása
-        .replace(/["']/g, '')
-        // Vessző utáni szóközök normalizálása
-        .replace(/\s*,\s*/g, ', ')
-        // Többszörös szóközök eltávolítása
-        .replace(/\s+/g, ' ')
-        .trim();
-    
-    // Ha még mindig vesszős lista, szebb formázás
-    if (formatted.includes(',')) {
-        const items = formatted.split(',').map(item => item.trim()).filter(item => item.length > 0);
-        if (items.length > 1) {
-            const lastItem = items.pop();
-            return items.join(', ') + ' és ' + lastItem;
-        }
+    if (items.length === 1) {
+        return items[0];
     }
     
-    return formatted || 'Nincs megadva';
+    const lastItem = items.pop();
+    return items.join(', ') + ' és ' + lastItem;
 }
 
 /**
@@ -73,6 +62,63 @@ export function formatScore(score, decimals = 1) {
     return score.toFixed(decimals);
 }
 
+/**
+ * Értékelés formázása csillagokkal
+ * 
+ * @param {number|null} rating - Átlagos értékelés (0-5)
+ * @param {number} reviewCount - Értékelések száma
+ * @returns {string} Formázott értékelés
+ */
+export function formatRating(rating, reviewCount = 0) {
+    if (typeof rating !== 'number' || isNaN(rating) || reviewCount <= 0) {
+        return 'Még nincs értékelés';
+    }
+    
+    const fullStars = Math.round(Math.min(Math.max(rating, 0), 5));
+    const stars = '★'.repeat(fullStars) + '☆'.repeat(5 - fullStars);
+    
+    return `${stars} ${rating.toFixed(1)} (${reviewCount} értékelés)`;
+}
+
+/**
+ * Mennyiség formázása konyhai törtekkel ("1 1/2", "3/4")
+ * 
+ * @param {number|null} quantity - Mennyiség
+ * @returns {string} Formázott mennyiség
+ */
+export function formatQuantity(quantity) {
+    if (typeof quantity !== 'number' || isNaN(quantity)) {
+        return '–';
+    }
+    
+    const fractions = [
+        { value: 1 / 8, label: '1/8' },
+        { value: 1 / 4, label: '1/4' },
+        { value: 1 / 3, label: '1/3' },
+        { value: 1 / 2, label: '1/2' },
+        { value: 2 / 3, label: '2/3' },
+        { value: 3 / 4, label: '3/4' }
+    ];
+    
+    const whole = Math.floor(quantity);
+    const remainder = quantity - whole;
+    
+    if (remainder < 0.02) {
+        return String(whole);
+    }
+    
+    if (remainder > 0.98) {
+        return String(whole + 1);
+    }
+    
+    const fraction = fractions.find(item => Math.abs(remainder - item.value) < 0.02);
+    if (fraction) {
+        return whole > 0 ? `${whole} ${fraction.label}` : fraction.label;
+    }
+    
+    return String(Math.round(quantity * 10) / 10);
+}
+
 /**
  * Idő formázása (másodpercből)
  * 
@@ -109,12 +155,13 @@ export function highlightSearchTerms(text, searchTerms) {
         return text || '';
     }
     
-    // Keresési kifejezések feldolgozása
+    // Keresési kifejezések feldolgozása (kizárt hozzávalók és szűrők nélkül, lásd query-parser.js)
     const terms = searchTerms
         .toLowerCase()
         .split(/[,\s]+/)
-        .filter(term => term.length >= 2)
-        .map(term => term.trim());
+        .filter(term => !term.startsWith('-') && !/[:<>=]/.test(term))
+        .map(term => term.replace(/^\+/, '').replace(/"/g, '').trim())
+        .filter(term => term.length >= 2);
     
     if (terms.length === 0) {
         return text;
@@ -272,6 +319,25 @@ export function truncateText(text, maxLength = 100, suffix = '...') {
     return truncated + suffix;
 }
 
+/**
+ * HTML speciális karakterek escape-elése (felhasználói szöveg beillesztéséhez)
+ * 
+ * @param {string} text - Szöveg
+ * @returns {string} Biztonságosan beilleszthető szöveg
+ */
+export function escapeHtml(text) {
+    if (text === null || text === undefined) {
+        return '';
+    }
+    
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Szöveg tisztítása HTML tag-ektől
  * 
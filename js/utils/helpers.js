@@ -12,6 +12,11 @@
  * @returns {*} Parsed objektum vagy alapértelmezett érték
  */
 export function safeJsonParse(str, defaultValue = null) {
+    // Hiányzó localStorage kulcs esetén (null) is az alapértelmezett érték jár
+    if (str === null || str === undefined) {
+        return defaultValue;
+    }
+    
     try {
         return JSON.parse(str);
     } catch (error) {
@@ -66,17 +71,37 @@ export function simpleHash(str) {
     return Math.abs(hash);
 }
 
+/**
+ * Seedelhető pszeudovéletlen generátor (mulberry32)
+ * Azonos seed mindig azonos számsorozatot ad.
+ * 
+ * @param {string|number} seed - Seed érték
+ * @returns {Function} Generátor, amely [0, 1) közötti számot ad vissza
+ */
+export function createSeededRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : simpleHash(String(seed));
+    
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * Tömb összekeverése (Fisher-Yates algoritmus)
  * 
  * @param {Array} array - Összekeverendő tömb
+ * @param {Function} random - Véletlenszám generátor (alapértelmezett: Math.random)
  * @returns {Array} Összekevert tömb
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, random = Math.random) {
     const shuffled = [...array];
     
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     
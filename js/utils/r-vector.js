@@ -0,0 +1,118 @@
+/**
+ * r-vector.js
+ * Az adatkészlet R formátumú listáinak (c("a", "b")) feldolgozása
+ * Verzió: 2025.06.20
+ */
+
+/**
+ * R vektor szöveg feldolgozása tömbbé
+ * Az adatkészlet listái R formátumúak: c("a", "b"), egyetlen "a", character(0).
+ * Tokenizáló alapú feldolgozás: a vesszők, escape-elt idézőjelek (\") és
+ * többsoros értékek az idézőjeles elemen belül megmaradnak.
+ * Az NA elemek null értékként maradnak meg, hogy az indexek ne csússzanak el.
+ * 
+ * @param {string|Array} value - R vektor szöveg (vagy már feldolgozott tömb)
+ * @returns {Array<string|null>} Elemek
+ */
+export function parseRVector(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => (item === null || item === undefined ? null : String(item)));
+    }
+    
+    if (value === null || value === undefined) {
+        return [];
+    }
+    
+    const text = String(value).trim();
+    
+    if (!text || text === 'NULL' || /^(character|numeric|integer|logical)\(0\)$/.test(text)) {
+        return [];
+    }
+    
+    // Nem R formátumú szöveg egyetlen elemnek számít
+    const wrapper = text.match(/^c\s*\(([\s\S]*)\)$/);
+    if (!wrapper && !/^["']/.test(text) && text !== 'NA') {
+        return [text];
+    }
+    
+    const body = wrapper ? wrapper[1] : text;
+    const items = [];
+    let position = 0;
+    
+    while (position < body.length) {
+        const char = body[position];
+        
+        // Elválasztók és szóközök átugrása
+        if (char === ',' || /\s/.test(char)) {
+            position++;
+            continue;
+        }
+        
+        if (char === '"' || char === "'") {
+            const token = readQuotedToken(body, position);
+            items.push(token.value);
+            position = token.end;
+            continue;
+        }
+        
+        // Idézőjel nélküli elem (NA, szám) a következő vesszőig
+        let end = body.indexOf(',', position);
+        if (end === -1) {
+            end = body.length;
+        }
+        
+        const bare = body.slice(position, end).trim();
+        items.push(bare === 'NA' ? null : bare);
+        position = end;
+    }
+    
+    return items;
+}
+
+/**
+ * Feldolgozott vektor elemek tisztítása (NA és üres elemek nélkül)
+ * 
+ * @param {Array<string|null>} items - Elemek
+ * @returns {Array<string>} Tisztított elemek
+ */
+export function cleanVectorItems(items) {
+    return items
+        .filter(item => item !== null)
+        .map(item => item.replace(/\s+/g, ' ').trim())
+        .filter(item => item.length > 0);
+}
+
+/**
+ * Idézőjeles token beolvasása
+ * 
+ * @param {string} text - Feldolgozandó szöveg
+ * @param {number} start - A nyitó idézőjel pozíciója
+ * @returns {Object} Token értéke és a lezáró idézőjel utáni pozíció
+ */
+function readQuotedToken(text, start) {
+    const quote = text[start];
+    const escapes = { n: '\n', t: '\t', r: '\r' };
+    let value = '';
+    let position = start + 1;
+    
+    while (position < text.length) {
+        const char = text[position];
+        
+        if (char === '\\' && position + 1 < text.length) {
+            const next = text[position + 1];
+            value += escapes[next] || next;
+            position += 2;
+            continue;
+        }
+        
+        if (char === quote) {
+            return { value, end: position + 1 };
+        }
+        
+        value += char;
+        position++;
+    }
+    
+    // Lezáratlan idézőjel: a szöveg végéig tart
+    return { value, end: position };
+}
@@ -0,0 +1,110 @@
+/**
+ * arm-balance.js
+ * Ellenőrzés: a blokkos besorolás minden teljes blokk után pontosan a kiosztási arányokat követi-e
+ * Verzió: 2025.06.20
+ */
+
+import CONFIG from '../js/modules/config.js';
+import { getArms, buildAllocationBlock, resetAssignmentState } from '../js/modules/experiment.js';
+import { registerUser, clearUserData } from '../js/modules/user-manager.js';
+
+// Ellenőrzött blokkos besorolási módszerek
+const BLOCK_METHODS = ['block', 'stratified'];
+
+// Rétegzéshez használt minta attribútumok (körbejárva)
+const SAMPLE_ATTRIBUTES = [
+    { ageGroup: '18-29', diet: 'mindenevo' },
+    { ageGroup: '30-44', diet: 'vegetarianus' },
+    { ageGroup: '45-59', diet: 'flexitarianus' },
+    {}
+];
+
+/**
+ * Karok kiegyensúlyozottságának ellenőrzése
+ * Módszerenként tiszta besorolási állapotból egymás után regisztrálja a
+ * felhasználókat (közöttük csak a felhasználói rekordot törli). Minden teljes
+ * blokk után a réteg karonkénti létszámának pontosan a kiosztásnak kell
+ * megfelelnie, a rögzített sorszámnak pedig az érkezési sorrendnek és a
+ * blokkból újragenerált karnak. A végén a lokális tároló visszaáll.
+ * 
+ * @param {number} userCount - Regisztrált felhasználók száma módszerenként
+ * @returns {Object} Eredmény ({ checked, counts, imbalanced })
+ */
+export function checkArmBalance(userCount = 600) {
+    const arms = getArms();
+    const repeats = Math.max(1, CONFIG.EXPERIMENT?.BLOCK_REPEATS || 1);
+    const configuredMethod = CONFIG.EXPERIMENT.METHOD;
+    const snapshot = snapshotStorage();
+    const counts = {};
+    const imbalanced = [];
+    
+    try {
+        BLOCK_METHODS.forEach(method => {
+            CONFIG.EXPERIMENT.METHOD = method;
+            resetAssignmentState();
+            
+            const strata = {};
+            counts[method] = Object.fromEntries(arms.map(arm => [arm.id, 0]));
+            
+            for (let i = 0; i < userCount; i++) {
+                clearUserData();
+                const attributes = SAMPLE_ATTRIBUTES[i % SAMPLE_ATTRIBUTES.length];
+                const { assignment } = registerUser(`teszt${i}@example.com`, attributes);
+                
+                const stratum = strata[assignment.stratum] ||= {
+                    arrivals: 0,
+                    counts: Object.fromEntries(arms.map(arm => [arm.id, 0]))
+                };
+                const audited = buildAllocationBlock(assignment.seed, assignment.stratum, assignment.blockIndex)[assignment.blockPosition];
+                
+                if (assignment.sequenceNumber !== stratum.arrivals || audited !== assignment.arm) {
+                    imbalanced.push({ method, stratum: assignment.stratum, user: i, assignment, audited, expectedSequence: stratum.arrivals });
+                }
+                
+                stratum.arrivals++;
+                stratum.counts[assignment.arm]++;
+                counts[method][assignment.arm]++;
+                
+                if (stratum.arrivals % assignment.blockSize === 0) {
+                    const blocks = stratum.arrivals / assignment.blockSize;
+                    const unbalancedArms = arms.filter(arm => stratum.counts[arm.id] !== arm.allocation * repeats * blocks);
+                    
+                    if (unbalancedArms.length) {
+                        imbalanced.push({ method, stratum: assignment.stratum, afterArrivals: stratum.arrivals, counts: { ...stratum.counts } });
+                    }
+                }
+            }
+        });
+    } finally {
+        CONFIG.EXPERIMENT.METHOD = configuredMethod;
+        restoreStorage(snapshot);
+    }
+    
+    return { checked: userCount * BLOCK_METHODS.length, counts, imbalanced };
+}
+
+/**
+ * Lokális tároló tartalmának mentése
+ * 
+ * @returns {Object} Kulcs-érték párok
+ */
+function snapshotStorage() {
+    const snapshot = {};
+    
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        snapshot[key] = localStorage.getItem(key);
+    }
+    
+    return snapshot;
+}
+
+/**
+ * Lokális tároló visszaállítása mentésből
+ * 
+ * @param {Object} snapshot - Kulcs-érték párok
+ */
+function restoreStorage(snapshot) {
+    localStorage.clear();
+    Object.entries(snapshot).forEach(([key, value]) => localStorage.setItem(key, value));
+}
@@ -0,0 +1,99 @@
+/**
+ * ingredient-normalizer.js
+ * Ellenőrzés: a magyar hozzávaló normalizálás a várt szótöveket és tagokat adja-e
+ * Verzió: 2025.06.20
+ */
+
+import { normalizeText, normalizeIngredient } from '../js/modules/ingredient-normalizer.js';
+import { parseSearchQuery } from '../js/modules/query-parser.js';
+
+// Szöveg → várt normalizeText() eredmény (a tudásbázis betöltése után)
+export const TEXT_CASES = [
+    // Toldalékok (tárgyrag, többes szám, -val/-vel, esetragok)
+    ['paradicsomot', 'paradicsom'],
+    ['hagymákat', 'hagyma'],
+    ['almát', 'alma'],
+    ['tojással', 'tojas'],
+    ['olívaolajjal', 'olivaolaj'],
+    ['sajtot', 'sajt'],
+    ['sót', 'so'],
+    // Kieső tőhangzó: a szótári tő áll vissza, nem a csonka "cukr"
+    ['cukrot', 'cukor'],
+    ['cukor', 'cukor'],
+    ['epret', 'eper'],
+    // Ismeretlen szó nem csonkul a minimális tőhossz alá ("sül", "ede")
+    ['sült', 'sult'],
+    ['sültet', 'sult'],
+    ['édes', 'edes'],
+    // Kötőjel: a tagok külön szavak, a kötőjeles toldalék nem önálló szó
+    ['sült-csirke', 'sult csirke'],
+    ['csirke-mell', 'csirke mell'],
+    ['wok-ban', 'wok'],
+    ['ketchup-pal', 'ketchup'],
+    ['vaj-jal', 'vaj'],
+    ['tofu-t', 'tofu'],
+    // A hasonult -val/-vel csak az előző tag végét ismétlő mássalhangzóval toldalék
+    ['sült-hal', 'sult hal'],
+    ['füstölt-hal', 'fustol hal'],
+    // Szinonimák
+    ['krumplit', 'burgonya'],
+    ['marhahúst', 'marha']
+];
+
+// Hozzávaló → normalizeIngredient() tokenjai között kötelezően szereplő tagok
+export const TOKEN_CASES = [
+    ['csirkemellből', ['csirkemell', 'csirke', 'mell']],
+    ['sült-csirke', ['sult', 'csirke']],
+    ['füstölt-hal', ['hal']]
+];
+
+// Keresési lekérdezés → várt keresett kifejezések (a kötőjel nem kizárás a szó belsejében)
+export const QUERY_CASES = [
+    ['sült-csirke', ['sult', 'csirke']],
+    ['wok-ban csirke', ['wok', 'csirke']],
+    ['cukrot, sült-csirke', ['cukor', 'sult', 'csirke']],
+    ['sült-hal', ['sult', 'hal']],
+    ['füstölt-hal', ['fustol', 'hal']]
+];
+
+// Ezek a tagok nem keletkezhetnek (csonka szótövek)
+export const FORBIDDEN_TOKENS = ['cukr', 'sul', 'ban', 'pal'];
+
+/**
+ * Normalizálási esetek ellenőrzése
+ * 
+ * @returns {Object} Eredmény ({ checked, mismatches })
+ */
+export function checkIngredientNormalizer() {
+    const mismatches = [];
+    
+    TEXT_CASES.forEach(([input, expected]) => {
+        const actual = normalizeText(input);
+        if (actual !== expected) {
+            mismatches.push({ input, expected, actual });
+        }
+    });
+    
+    TOKEN_CASES.forEach(([input, expected]) => {
+        const tokens = normalizeIngredient(input).tokens;
+        if (!expected.every(token => tokens.includes(token))) {
+            mismatches.push({ input, expected, actual: tokens });
+        }
+    });
+    
+    QUERY_CASES.forEach(([input, expected]) => {
+        const terms = parseSearchQuery(input).terms;
+        if (terms.join('|') !== expected.join('|')) {
+            mismatches.push({ input, expected, actual: terms });
+        }
+    });
+    
+    [...TEXT_CASES, ...TOKEN_CASES].forEach(([input]) => {
+        const forbidden = normalizeIngredient(input).tokens.filter(token => FORBIDDEN_TOKENS.includes(token));
+        if (forbidden.length > 0) {
+            mismatches.push({ input, expected: 'tiltott tag nélkül', actual: forbidden });
+        }
+    });
+    
+    return { checked: TEXT_CASES.length + TOKEN_CASES.length + QUERY_CASES.length, mismatches };
+}
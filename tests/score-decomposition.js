@@ -0,0 +1,134 @@
+/**
+ * score-decomposition.js
+ * Ellenőrzés: a magyarázat számítási bontása kiadja-e a megjelenített Eco-Score-t
+ * Verzió: 2025.06.20
+ */
+
+import CONFIG from '../js/modules/config.js';
+import { calculateSustainabilityScore, decomposeSustainabilityScore, getRecipeScoreDecomposition } from '../js/modules/sustainability.js';
+
+// Kézzel számolt bontások (komponensek és hozzájárulások a tagok sorrendjében:
+// környezeti, táplálkozási, kategória). A weights a konfigurált súlyok helyett
+// használandó súlyok; az utolsó esetben az összeg 118.0, így a 100-as
+// felső korlát miatt az igazítás -18.0.
+export const EXPECTED_DECOMPOSITIONS = [
+    {
+        // 100-20=80 × 0.6 = 48; 70 × 0.3 = 21; saláta +10: 50+50 = 100 × 0.1 = 10
+        input: { env: 20, nutri: 70, category: 'saláta' },
+        components: [80.0, 70.0, 100.0],
+        contributions: [48.0, 21.0, 10.0],
+        adjustment: 0,
+        total: 79.0
+    },
+    {
+        // 100-35.5=64.5 × 0.6 = 38.7; 42.3 × 0.3 = 12.69 ≈ 12.7; desszert -5: 50-25 = 25 × 0.1 = 2.5
+        input: { env: 35.5, nutri: 42.3, category: 'desszert' },
+        components: [64.5, 42.3, 25.0],
+        contributions: [38.7, 12.7, 2.5],
+        adjustment: 0,
+        total: 53.9
+    },
+    {
+        // Helyettesítő pontszámok: 50 × 0.6 = 30; 50 × 0.3 = 15; főétel 0: 50 × 0.1 = 5
+        input: { env: 50, nutri: 50, category: 'főétel' },
+        components: [50.0, 50.0, 50.0],
+        contributions: [30.0, 15.0, 5.0],
+        adjustment: 0,
+        total: 50.0
+    },
+    {
+        // 90 × 0.8 = 72; 90 × 0.4 = 36; 100 × 0.1 = 10; összeg 118 → 100 (igazítás -18)
+        input: { env: 10, nutri: 90, category: 'saláta' },
+        weights: { ENV_SCORE: 0.8, NUTRI_SCORE: 0.4, CATEGORY_MODIFIER: 0.1 },
+        components: [90.0, 90.0, 100.0],
+        contributions: [72.0, 36.0, 10.0],
+        adjustment: -18.0,
+        total: 100.0
+    }
+];
+
+/**
+ * Bontások ellenőrzése minden receptre
+ * A felületen megjelenő (egy tizedesre formázott) tagok és az igazítás
+ * összegének egyeznie kell a recept megjelenített pontszámával, a súlyoknak
+ * pedig a konfigurált súlyokkal.
+ * 
+ * @param {Array} recipes - Előkészített receptek
+ * @returns {Object} Eredmény ({ checked, mismatches })
+ */
+export function checkScoreDecompositions(recipes) {
+    const weights = CONFIG.SUSTAINABILITY.WEIGHTS;
+    const expectedWeights = [weights.ENV_SCORE, weights.NUTRI_SCORE, weights.CATEGORY_MODIFIER];
+    const mismatches = [];
+    
+    recipes.forEach(recipe => {
+        const decomposition = getRecipeScoreDecomposition(recipe);
+        const displayed = recipe.sustainability_index.toFixed(1);
+        
+        const sumTenths = decomposition.terms.reduce(
+            (sum, term) => sum + Math.round(Number(term.contribution.toFixed(1)) * 10),
+            Math.round(Number(decomposition.adjustment.toFixed(1)) * 10)
+        );
+        const breakdown = (sumTenths / 10).toFixed(1);
+        const recomputed = calculateSustainabilityScore(recipe.env_score, recipe.nutri_score, recipe.category).toFixed(1);
+        const weightsMatch = decomposition.terms.every((term, i) => term.weight === expectedWeights[i]);
+        
+        if (breakdown !== displayed || recomputed !== displayed || !weightsMatch) {
+            mismatches.push({
+                recipeid: recipe.recipeid,
+                name: recipe.name,
+                displayed,
+                breakdown,
+                recomputed,
+                weightsMatch
+            });
+        }
+    });
+    
+    return { checked: recipes.length, mismatches };
+}
+
+/**
+ * Bontások ellenőrzése kézzel számolt értékekkel
+ * A receptenkénti ellenőrzés csak a belső összhangot nézi; ez a független
+ * elvárt értékekkel veti össze a képletet. Egyedi súlyoknál a konfigurált
+ * súlyok a futtatás után visszaállnak.
+ * 
+ * @returns {Object} Eredmény ({ checked, mismatches })
+ */
+export function checkExpectedDecompositions() {
+    const configuredWeights = CONFIG.SUSTAINABILITY.WEIGHTS;
+    const format = values => values.map(value => value.toFixed(1)).join(', ');
+    const mismatches = [];
+    
+    EXPECTED_DECOMPOSITIONS.forEach(expected => {
+        const { env, nutri, category } = expected.input;
+        let decomposition;
+        
+        try {
+            CONFIG.SUSTAINABILITY.WEIGHTS = expected.weights || configuredWeights;
+            decomposition = decomposeSustainabilityScore(env, nutri, category);
+        } finally {
+            CONFIG.SUSTAINABILITY.WEIGHTS = configuredWeights;
+        }
+        
+        const actual = {
+            components: format(decomposition.terms.map(term => term.component)),
+            contributions: format(decomposition.terms.map(term => term.contribution)),
+            adjustment: decomposition.adjustment.toFixed(1),
+            total: decomposition.total.toFixed(1)
+        };
+        const wanted = {
+            components: format(expected.components),
+            contributions: format(expected.contributions),
+            adjustment: expected.adjustment.toFixed(1),
+            total: expected.total.toFixed(1)
+        };
+        
+        if (Object.keys(wanted).some(key => actual[key] !== wanted[key])) {
+            mismatches.push({ input: expected.input, expected: wanted, actual });
+        }
+    });
+    
+    return { checked: EXPECTED_DECOMPOSITIONS.length, mismatches };
+}
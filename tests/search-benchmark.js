@@ -0,0 +1,145 @@
+/**
+ * search-benchmark.js
+ * Keresési benchmark: index alapú keresés vs. teljes (lineáris) pontozás
+ * Verzió: 2025.06.20
+ */
+
+import CONFIG from '../js/modules/config.js';
+import { searchRecipes } from '../js/modules/recipe-search.js';
+import { buildSearchIndex } from '../js/modules/search-index.js';
+
+// Alapértelmezett keresések (pontos, részleges, ragozott, elgépelt, többszavas)
+export const DEFAULT_QUERIES = [
+    'csirke',
+    'paradicsom, hagyma',
+    'burgonya',
+    'krumpli',
+    'tojás, liszt, tej',
+    'hagymák',
+    'paradicsm',
+    'sajt',
+    'gomba, tejföl',
+    'marhahús',
+    'fokhagyma, olívaolaj',
+    'rizs, borsó',
+    'csokoládé',
+    'spenót',
+    'sertés, káposzta'
+];
+
+/**
+ * Receptlista felnagyítása másolatokkal (egyedi azonosítóval és névvel)
+ * 
+ * @param {Array} recipes - Előkészített receptek
+ * @param {number} size - Kívánt receptszám
+ * @returns {Array} Felnagyított receptlista
+ */
+export function replicateRecipes(recipes, size) {
+    if (!recipes.length) {
+        return [];
+    }
+    
+    const maxId = Math.max(...recipes.map(recipe => Number(recipe.recipeid) || 0));
+    
+    return Array.from({ length: size }, (_, i) => {
+        const copy = Math.floor(i / recipes.length);
+        const recipe = recipes[i % recipes.length];
+        
+        if (copy === 0) {
+            return recipe;
+        }
+        
+        return {
+            ...recipe,
+            recipeid: (Number(recipe.recipeid) || 0) + copy * (maxId + 1),
+            name: `${recipe.name} #${copy + 1}`
+        };
+    });
+}
+
+/**
+ * Benchmark futtatása
+ * Méretenként felépíti az indexet, majd minden keresést és csoportot
+ * lefuttat index alapon és lineáris pontozással is. A két út teljes
+ * (MAX_RESULTS korlát nélküli) találati sorrendjének egyeznie kell.
+ * 
+ * @param {Array} recipes - Előkészített receptek
+ * @param {Object} options - Beállítások ({ sizes, queries, testGroups, repeats, seed, scorer })
+ * @returns {Array} Méretenkénti eredmények
+ */
+export function runSearchBenchmark(recipes, options = {}) {
+    const sizes = options.sizes || [1000, 10000];
+    const queries = options.queries || DEFAULT_QUERIES;
+    const testGroups = options.testGroups || ['A', 'B', 'C'];
+    const repeats = options.repeats || 1;
+    const seed = options.seed ?? 'benchmark';
+    const scorer = options.scorer;
+    
+    const originalMaxResults = CONFIG.SEARCH.MAX_RESULTS;
+    const originalLog = console.log;
+    
+    // A keresés részletes naplózása a mérést torzítaná
+    console.log = () => {};
+    CONFIG.SEARCH.MAX_RESULTS = Number.MAX_SAFE_INTEGER;
+    
+    try {
+        return sizes.map(size => {
+            const list = replicateRecipes(recipes, size);
+            
+            let start = now();
+            const index = buildSearchIndex(list, { precomputeFuzzy: true });
+            const buildMs = now() - start;
+            
+            const result = {
+                size: list.length,
+                buildMs,
+                searches: queries.length * testGroups.length,
+                linearMs: 0,
+                indexedMs: 0,
+                mismatches: []
+            };
+            
+            queries.forEach(query => {
+                testGroups.forEach(testGroup => {
+                    let linear = [];
+                    let indexed = [];
+                    
+                    start = now();
+                    for (let i = 0; i < repeats; i++) {
+                        linear = searchRecipes(list, query, testGroup, { seed, scorer, linearScan: true });
+                    }
+                    result.linearMs += (now() - start) / repeats;
+                    
+                    start = now();
+                    for (let i = 0; i < repeats; i++) {
+                        indexed = searchRecipes(list, query, testGroup, { seed, scorer, index });
+                    }
+                    result.indexedMs += (now() - start) / repeats;
+                    
+                    const linearIds = linear.map(recipe => recipe.recipeid).join(',');
+                    const indexedIds = indexed.map(recipe => recipe.recipeid).join(',');
+                    
+                    if (linearIds !== indexedIds) {
+                        result.mismatches.push({ query, testGroup, linear: linear.length, indexed: indexed.length });
+                    }
+                });
+            });
+            
+            result.avgLinearMs = result.linearMs / result.searches;
+            result.avgIndexedMs = result.indexedMs / result.searches;
+            result.speedup = result.indexedMs > 0 ? result.linearMs / result.indexedMs : null;
+            
+            return result;
+        });
+    } finally {
+        console.log = originalLog;
+        CONFIG.SEARCH.MAX_RESULTS = originalMaxResults;
+    }
+}
+
+/**
+ * Időbélyeg milliszekundumban (böngészőben és Node-ban is)
+ */
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
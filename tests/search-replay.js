@@ -0,0 +1,81 @@
+/**
+ * search-replay.js
+ * Ellenőrzés: a naplózott keresések (szűrőpanellel is) újrajátszva ugyanazt a találati oldalt adják-e
+ * Verzió: 2025.06.20
+ */
+
+import CONFIG from '../js/modules/config.js';
+import { rankSearchResults, getResultPage, replaySearch, buildRankingSeed, preprocessSearchQuery } from '../js/modules/recipe-search.js';
+import { parseSearchQuery } from '../js/modules/query-parser.js';
+import { createFacetState, updateFacetState, getFacetFilters } from '../js/modules/facets.js';
+import { recordSearchEvent } from '../js/modules/search-history.js';
+
+// Újrajátszandó keresések (szűrőpanel módosításokkal)
+export const REPLAY_CASES = [
+    { query: 'csirke', facets: [] },
+    { query: 'paradicsom, hagyma', facets: [['category', 'főétel']] },
+    { query: 'tojás, liszt', facets: [['category', 'desszert'], ['allergen', 'dio']] },
+    { query: 'burgonya', facets: [['sustainability', [60, 100]]] }
+];
+
+/**
+ * Keresések naplózása és újrajátszása
+ * A keresés a főoldallal azonos módon fut (seed, szűrőpanel), az esemény a
+ * valódi naplózóval kerül rögzítésre, majd a replaySearch() eredményének
+ * sorrendje összevetődik a naplózott találati listával. A lokális tároló
+ * eredeti tartalma a futtatás után visszaáll.
+ * 
+ * @param {Array} recipes - Előkészített receptek
+ * @param {string} testGroup - Teszt csoport
+ * @returns {Object} Eredmény ({ checked, mismatches })
+ */
+export function checkSearchReplays(recipes, testGroup = 'C') {
+    const user = { id: 'replay-teszt', testGroup };
+    const storedSearches = localStorage.getItem(CONFIG.STORAGE_KEYS.SEARCHES);
+    const mismatches = [];
+    
+    try {
+        REPLAY_CASES.forEach(testCase => {
+            const facetState = testCase.facets.reduce(
+                (state, [facet, value]) => updateFacetState(state, facet, value),
+                createFacetState()
+            );
+            const facetFilters = getFacetFilters(facetState);
+            const seed = buildRankingSeed(user.id, null, testCase.query);
+            
+            const firstPage = getResultPage(rankSearchResults(recipes, testCase.query, testGroup, {
+                seed,
+                filters: facetFilters
+            }));
+            const searchEvent = recordSearchEvent(
+                user,
+                testCase.query,
+                preprocessSearchQuery(testCase.query),
+                firstPage.items,
+                { strategy: null, scorer: null, seed, sort: null },
+                parseSearchQuery(testCase.query).filters,
+                facetFilters,
+                firstPage.totalResults
+            );
+            
+            if (!searchEvent) {
+                throw new Error('A keresési naplózás ki van kapcsolva (ANALYTICS.TRACK_SEARCH)');
+            }
+            
+            const logged = searchEvent.results.map(result => result.recipeId);
+            const replayed = replaySearch(recipes, searchEvent).map(recipe => recipe.recipeid);
+            
+            if (logged.length === 0 || logged.join(',') !== replayed.join(',')) {
+                mismatches.push({ query: testCase.query, facets: searchEvent.facets, logged, replayed });
+            }
+        });
+    } finally {
+        if (storedSearches === null) {
+            localStorage.removeItem(CONFIG.STORAGE_KEYS.SEARCHES);
+        } else {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.SEARCHES, storedSearches);
+        }
+    }
+    
+    return { checked: REPLAY_CASES.length, mismatches };
+}